@@ -17,6 +17,11 @@ const argv = require('yargs')
         description: 'Run configuration wizard',
         type: 'boolean'
     })
+    .option('check-config', {
+        default: false,
+        description: 'Check the configuration file and report every problem found, without starting the router.',
+        type: 'boolean'
+    })
     .option('h', {
         alias: 'hotplug',
         default: true,
@@ -34,6 +39,75 @@ const argv = require('yargs')
         description: 'List all connected MIDI devices',
         type: 'boolean'
     })
+    .option('panic', {
+        default: false,
+        description: 'Send All Notes Off, All Sound Off and Reset All Controllers to every output.',
+        type: 'boolean'
+    })
+    .option('play', {
+        default: undefined,
+        description: 'Play a MIDI file in time with the clock, or replay the loaded file if no path is given.',
+        type: 'string'
+    })
+    .option('loop', {
+        default: undefined,
+        description: 'Loop MIDI file playback. Used with --play.',
+        type: 'boolean'
+    })
+    .option('stop', {
+        default: false,
+        description: 'Stop MIDI file playback.',
+        type: 'boolean'
+    })
+    .option('save', {
+        default: false,
+        description: 'Save the configuration of the running service, including changes made while running, to its '
+            + 'configuration file.',
+        type: 'boolean'
+    })
+    .option('reload', {
+        default: false,
+        description: 'Reload the configuration of the running service, applying any changes without restarting.',
+        type: 'boolean'
+    })
+    .option('scene', {
+        default: undefined,
+        description: 'Switch the running service to a scene, given by name.',
+        type: 'string'
+    })
+    .option('mute', {
+        default: undefined,
+        description: 'Mute a mapping of the running service, given by name.',
+        type: 'string'
+    })
+    .option('unmute', {
+        default: undefined,
+        description: 'Enable a muted mapping of the running service, given by name.',
+        type: 'string'
+    })
+    .option('record', {
+        default: undefined,
+        choices: ['start', 'stop'],
+        description: 'Start recording incoming MIDI, or stop and save the recording.',
+        type: 'string'
+    })
+    .option('capture', {
+        default: undefined,
+        description: 'Capture a sysex dump from a device into the library: the device nickname and an optional name '
+            + 'for the dump, separated by a space.',
+        type: 'array'
+    })
+    .option('capture-stop', {
+        default: false,
+        description: 'End sysex captures in progress, saving what has been received.',
+        type: 'boolean'
+    })
+    .option('dump', {
+        default: undefined,
+        description: 'Send a sysex dump from the library: the device nickname, the dump name and an optional output, '
+            + 'separated by spaces.',
+        type: 'array'
+    })
     .option('monitor', {
         default: false,
         description: 'Monitor mode, reports all MIDI traffic for easy inspection',
@@ -63,14 +137,35 @@ if (argv.configure) {
     const wizard = require('./libs/wizard');
     wizard(argv.config);
     process.exit();
+} else if (argv.checkConfig) {
+    const { Configuration } = require('./libs/midi/router');
+    let validator = Configuration.check(argv.config);
+    if (validator.warnings.length) {
+        console.warn(validator.warningReport);
+    }
+    if (validator.valid) {
+        console.log(`Configuration is valid: ${argv.config}`);
+        process.exit(0);
+    }
+    console.error(validator.report);
+    process.exit(1);
 } else if (argv.list) {
-    let devices = require('./libs/midi/core').Core.deviceMap;
-    for (let name in devices) {
-        for (let port in devices[name]) {
-            logger.debug(`${name}, ${port}`);
+    const { Core } = require('./libs/midi/core');
+    const identity = require('./libs/midi/identity');
+    let ports = Core.ports;
+    identity.identify(ports).then(() => {
+        // The listing is the command's output, so it is printed whatever the log level.
+        for (let port of ports) {
+            console.log(`${port.name} ${port.client}:${port.port}`);
+            if (port.identity) {
+                console.log(`    ${port.identity}`);
+            }
         }
-    }
-    process.exit()
+        process.exit();
+    }).catch((err) => {
+        logger.error(`Error occurred while identifying devices.\n${err}`);
+        process.exit(1);
+    });
 } else if (argv.monitor) {
     let { Monitor } = require('./libs/midi/utils');
     let m = new Monitor({ messageTypes: [] });
@@ -91,6 +186,112 @@ if (argv.configure) {
             ipc.stop();
             process.exit(0);
         });
+    } else if (argv.panic) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            // The Router service isn't running; Send the panic to every output directly.
+            const { Core } = require('./libs/midi/core');
+            Core.openAllOutputs();
+            Core.panic();
+            process.exit(0);
+        });
+        ipc.start(() => {
+            ipc.emit('router.panic');
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.play !== undefined || argv.stop) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('MIDI file playback requires the Router service to be running.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            if (argv.stop) {
+                ipc.emit('player.stop');
+            } else {
+                // Relative paths are resolved here, as the service may have a different working directory.
+                ipc.emit('player.play', {
+                    path: (argv.play) ? require('path').resolve(argv.play) : undefined,
+                    loop: argv.loop
+                });
+            }
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.reload) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('The Router service is not running; There is no configuration to reload.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            ipc.emit('router.reload');
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.save) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('The Router service is not running; There is no configuration to save.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            ipc.emit('router.save');
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.scene !== undefined) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('Switching scenes requires the Router service to be running.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            ipc.emit('router.scene', { name: argv.scene });
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.mute !== undefined || argv.unmute !== undefined) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('Muting mappings requires the Router service to be running.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            let muted = argv.mute !== undefined;
+            ipc.emit('router.mute', { name: (muted) ? argv.mute : argv.unmute, muted });
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.record) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('Recording requires the Router service to be running.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            ipc.emit(`recorder.${argv.record}`);
+            ipc.stop();
+            process.exit(0);
+        });
+    } else if (argv.capture || argv.captureStop || argv.dump) {
+        const ipc = ipcManager.client('messenger', 'master');
+        ipc.on('error', (e) => {
+            logger.error('The sysex librarian requires the Router service to be running.');
+            process.exit(1);
+        });
+        ipc.start(() => {
+            if (argv.capture) {
+                ipc.emit('librarian.capture', { device: argv.capture[0], name: argv.capture[1] });
+            } else if (argv.captureStop) {
+                ipc.emit('librarian.stop');
+            } else {
+                ipc.emit('librarian.send', { device: argv.dump[0], name: argv.dump[1], output: argv.dump[2] });
+            }
+            ipc.stop();
+            process.exit(0);
+        });
     } else if (argv.sysex) {
         // TODO: Expand and validate file path (argv.sysex[0])
         const ipc = ipcManager.client('messenger', 'master');
@@ -98,8 +299,9 @@ if (argv.configure) {
             // TODO: Verify what contents of `e` is with no response from an active IPC server. (`ETIMEDOUT`?)
             const { SysexLoader } = require('./libs/midi/utils');
             let sysex = new SysexLoader(argv.sysex[0], argv.sysex[1]);
-            sysex.send();
-            process.exit(0);
+            sysex.send().then(() => {
+                process.exit(0);
+            });
         });
         ipc.start(() => {
             ipc.emit('router.sysex', { path: argv.sysex[0], output: argv.sysex[1] });
@@ -118,6 +320,13 @@ if (argv.configure) {
             }
             midiRouter.onExit();
         });
+        // Handled here rather than as an exit signal, like most daemons.
+        process.on('SIGHUP', () => {
+            logger.info('SIGHUP received; Reloading the configuration.');
+            midiRouter.reloadConfig().catch((err) => {
+                logger.error(`Error occurred while reloading the configuration.\n${err}`);
+            });
+        });
         process.on('uncaughtException', (err) => {
             logger.error(`UncaughtException: ${err}`);
             process.exit(1);
@@ -136,12 +345,64 @@ if (argv.configure) {
         });
         ipc.start(() => {
             logger.info('IPC server started!');
-            midiRouter.loadConfig(argv.config);
             ipc.on('router.sysex', (args) => {
                 midiRouter.sendSysex(args.path, args.output);
             });
-            // Ready!
-            logger.info('Ready.');
+            ipc.on('router.panic', () => {
+                midiRouter.panic();
+            });
+            ipc.on('router.reload', () => {
+                midiRouter.reloadConfig().catch((err) => {
+                    logger.error(`Error occurred while reloading the configuration.\n${err}`);
+                });
+            });
+            ipc.on('router.save', () => {
+                midiRouter.saveConfig().catch((err) => {
+                    logger.error(`Error occurred while saving the configuration.\n${err}`);
+                });
+            });
+            ipc.on('router.scene', ({ name } = {}) => {
+                try {
+                    midiRouter.selectScene(name);
+                } catch (err) {
+                    logger.error(`Error occurred while switching scenes.\n${err}`);
+                }
+            });
+            ipc.on('router.mute', ({ name, muted } = {}) => {
+                try {
+                    midiRouter.muteMapping(name, muted);
+                } catch (err) {
+                    logger.error(`Error occurred while muting a mapping.\n${err}`);
+                }
+            });
+            ipc.on('player.play', ({ path, loop } = {}) => {
+                midiRouter.playFile(path, loop);
+            });
+            ipc.on('player.stop', () => {
+                midiRouter.stopFile();
+            });
+            ipc.on('recorder.start', () => {
+                midiRouter.startRecording();
+            });
+            ipc.on('recorder.stop', () => {
+                midiRouter.stopRecording();
+            });
+            ipc.on('librarian.capture', ({ device, name } = {}) => {
+                midiRouter.captureSysex(device, name);
+            });
+            ipc.on('librarian.stop', ({ device } = {}) => {
+                midiRouter.stopSysexCapture(device);
+            });
+            ipc.on('librarian.send', ({ device, name, output } = {}) => {
+                midiRouter.sendSysexDump(device, name, output);
+            });
+            midiRouter.loadConfig(argv.config).then(() => {
+                // Ready!
+                logger.info('Ready.');
+            }, (err) => {
+                logger.error(`Error occurred while loading the configuration.\n${err}`);
+                process.exit(1);
+            });
         });
     }
 }
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const path = require('path');
 
 module.exports = {
     canReadWrite(filePath) {
@@ -55,6 +56,25 @@ module.exports = {
         }
     },
 
+    /**
+     * Write a file atomically; The data is written to a temporary file beside it, which then replaces the file, so
+     *  that the file is never left partly written.
+     * @param {string} filePath
+     * @param {string|Buffer} data
+     */
+    writeFileAtomic(filePath, data) {
+        let tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+        try {
+            fs.writeFileSync(tempPath, data);
+            fs.renameSync(tempPath, filePath);
+        } catch (err) {
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw err;
+        }
+    },
+
     saveObjectAsJSONFile(obj, filePath, prettyPrint = false) {
         try {
             let space = prettyPrint ? 4 : 0;
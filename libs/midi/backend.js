@@ -0,0 +1,492 @@
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+const tools = require('../tools');
+
+/**
+ * Port objects returned by a {Backend} must provide the same API as node-midi's `input` and `output` objects:
+ *  getPortCount(), getPortName(index), openPort(index), openVirtualPort(name), closePort(), isPortOpen(),
+ *  release(), and either ignoreTypes(sysex, timing, activeSensing) with a 'message' event (inputs)
+ *  or sendMessage(bytes) (outputs).
+ */
+
+/**
+ * Interface for the layer providing access to MIDI ports.
+ * Backends may emit a 'hotplug' event with the arguments (added {boolean}, name {string}) when a device appears
+ *  or disappears.
+ *
+ * @interface
+ */
+class Backend extends EventEmitter {
+    constructor(opts = {}) {
+        super();
+        this._opts = opts;
+    }
+
+    /**
+     * The name this backend is registered under.
+     * @returns {string}
+     */
+    get name() {
+        throw "Not implemented!";
+    }
+
+    get config() {
+        return (Object.keys(this._opts).length) ? Object.assign({ type: this.name }, this._opts) : this.name;
+    }
+
+    /**
+     * Create a new, unopened input port object.
+     */
+    createInput() {
+        throw "Not implemented!";
+    }
+
+    /**
+     * Create a new, unopened output port object.
+     */
+    createOutput() {
+        throw "Not implemented!";
+    }
+
+    /**
+     * Perform any cleanup required when the backend is being replaced or the process is exiting.
+     */
+    release() {
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * Backend for hardware MIDI ports through node-midi (RtMidi).
+ */
+class NodeMidiBackend extends Backend {
+    get name() {
+        return 'node-midi';
+    }
+
+    get _midi() {
+        // Loaded on first use so that other backends can run on systems without the native module.
+        if (!this.__midi) {
+            this.__midi = require('midi');
+        }
+        return this.__midi;
+    }
+
+    createInput() {
+        return new this._midi.input();
+    }
+
+    createOutput() {
+        return new this._midi.output();
+    }
+}
+
+/**
+ * A fake hardware device living in the {LoopbackBackend}. Messages sent to one of its ports by an output are
+ *  emitted as a 'receive' event and, when `echo` is enabled, are sent back out of the same port to any open inputs.
+ *  Devices given an identity answer Identity Requests instead of echoing them.
+ */
+class LoopbackDevice extends EventEmitter {
+    constructor(backend, name, { ports = 1, echo = true, client = 0, identity } = {}) {
+        super();
+        this._identity = identity;
+        this._backend = backend;
+        this._name = name;
+        this._ports = Math.max(1, Math.trunc(ports));
+        this._client = client;
+        this._plugged = false;
+        this._virtualRefs = 0;
+        this._virtualInput = undefined;
+        this.echo = echo;
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get ports() {
+        return this._ports;
+    }
+
+    get plugged() {
+        return this._plugged;
+    }
+
+    portName(port) {
+        return `${this._name} ${this._client}:${port}`;
+    }
+
+    /**
+     * Connect this device to the backend, making its ports available.
+     */
+    plug() {
+        if (!this._plugged) {
+            this._plugged = true;
+            this._backend._onPlug(this);
+        }
+        return this;
+    }
+
+    /**
+     * Disconnect this device from the backend. Any ports opened on the device are closed.
+     */
+    unplug() {
+        if (this._plugged) {
+            this._plugged = false;
+            this._backend._onUnplug(this);
+        }
+        return this;
+    }
+
+    /**
+     * Send a message from this device to any inputs opened on the given port.
+     * @param {number} port - The device port the message is sent from.
+     * @param {number[]} bytes - The MIDI message.
+     */
+    inject(port, bytes) {
+        if (this._plugged) {
+            this._backend._deliver(this, port, bytes);
+        }
+    }
+
+    /**
+     * Write a message to the given port of this device, as an output connected to the device would.
+     * @param {number} port - The device port the message is sent to.
+     * @param {number[]} bytes - The MIDI message.
+     */
+    write(port, bytes) {
+        if (!this._plugged) {
+            return;
+        }
+        this.emit('receive', port, [... bytes]);
+        if (this._identity) {
+            // Loaded here as the identity module depends on the core, which depends on this module.
+            const { DeviceIdentity } = require('./identity');
+            if (DeviceIdentity.isRequest(bytes)) {
+                this.inject(port, new DeviceIdentity(this._identity).bytes);
+                return;
+            }
+        }
+        if (this._virtualInput) {
+            let input = this._virtualInput;
+            setImmediate(() => {
+                input._receive(bytes);
+            });
+        } else if (this.echo) {
+            this.inject(port, bytes);
+        }
+    }
+}
+
+/**
+ * Base for the port objects handed out by the {LoopbackBackend}.
+ */
+class LoopbackPort extends EventEmitter {
+    constructor(backend) {
+        super();
+        this._backend = backend;
+        this._device = undefined;
+        this._port = -1;
+        this._virtual = undefined;
+    }
+
+    getPortCount() {
+        return this._backend._portList().length;
+    }
+
+    getPortName(index) {
+        let entry = this._backend._portList()[index];
+        return (entry) ? entry.device.portName(entry.port) : '';
+    }
+
+    openPort(index) {
+        let entry = this._backend._portList()[index];
+        if (!entry) {
+            throw `Invalid port number: ${index}`;
+        }
+        this._device = entry.device;
+        this._port = entry.port;
+        this._backend._attach(this);
+    }
+
+    openVirtualPort(name) {
+        // Virtual inputs and outputs of the same name share a single device, as other software sees them
+        //  as a single endpoint. Messages never loop from a virtual output back into its virtual input.
+        let device = this._backend.getDevice(name) || this._backend.createDevice(name, { echo: false }).plug();
+        device._virtualRefs++;
+        if (this instanceof LoopbackInput) {
+            device._virtualInput = this;
+        }
+        this._virtual = device;
+        this._device = device;
+        this._port = 0;
+    }
+
+    closePort() {
+        if (this._virtual) {
+            if (this._virtual._virtualInput === this) {
+                this._virtual._virtualInput = undefined;
+            }
+            if (--this._virtual._virtualRefs <= 0) {
+                this._backend.removeDevice(this._virtual.name);
+            }
+            this._virtual = undefined;
+        } else if (this._device) {
+            this._backend._detach(this);
+        }
+        this._device = undefined;
+        this._port = -1;
+    }
+
+    isPortOpen() {
+        return !!this._device && this._device.plugged;
+    }
+
+    release() {
+        this.closePort();
+        this.removeAllListeners();
+    }
+}
+
+class LoopbackInput extends LoopbackPort {
+    constructor(backend) {
+        super(backend);
+        this._ignoreSysex = true;
+        this._ignoreTiming = true;
+        this._ignoreActiveSensing = true;
+        this._lastTime = undefined;
+    }
+
+    ignoreTypes(sysex, timing, activeSensing) {
+        this._ignoreSysex = sysex;
+        this._ignoreTiming = timing;
+        this._ignoreActiveSensing = activeSensing;
+    }
+
+    _isIgnored(status) {
+        // Matches RtMidi's type filtering; Timing includes MIDI Time Code quarter frames.
+        return (this._ignoreSysex && status === 0xF0)
+            || (this._ignoreTiming && (status === 0xF8 || status === 0xF1))
+            || (this._ignoreActiveSensing && status === 0xFE);
+    }
+
+    _receive(bytes) {
+        if (this._isIgnored(bytes[0])) {
+            return;
+        }
+        let now = tools.now();
+        let deltaTime = (this._lastTime === undefined) ? 0 : (now - this._lastTime) / 1e9;
+        this._lastTime = now;
+        this.emit('message', deltaTime, [... bytes]);
+    }
+}
+
+class LoopbackOutput extends LoopbackPort {
+    sendMessage(bytes) {
+        if (!this.isPortOpen()) {
+            return;
+        }
+        if (this._virtual) {
+            this._backend._deliver(this._device, this._port, bytes);
+        } else {
+            this._device.write(this._port, bytes);
+        }
+    }
+}
+
+/**
+ * A pure-JS backend whose ports belong to fake devices that can be created, plugged and unplugged at runtime.
+ *  Useful for exercising routing on systems without any MIDI hardware.
+ */
+class LoopbackBackend extends Backend {
+    /**
+     * @param {Object} [opts]
+     * @param {Object[]} [opts.devices] - Devices to create and plug in immediately.
+     * @param {string} opts.devices[].name - Name of the device.
+     * @param {number} [opts.devices[].ports=1] - Number of ports on the device.
+     * @param {boolean} [opts.devices[].echo=true] - Echo messages sent to the device back to its inputs.
+     * @param {Object} [opts.devices[].identity] - The identity the device replies to Identity Requests with.
+     */
+    constructor(opts = {}) {
+        super(opts);
+        this._devices = {};
+        this._inputs = [];
+        this._nextClient = 20;
+        if (Array.isArray(opts.devices)) {
+            for (let { name, ports, echo, identity } of opts.devices) {
+                this.createDevice(name, { ports, echo, identity }).plug();
+            }
+        }
+    }
+
+    get name() {
+        return 'loopback';
+    }
+
+    get devices() {
+        return Object.assign({}, this._devices);
+    }
+
+    createInput() {
+        return new LoopbackInput(this);
+    }
+
+    createOutput() {
+        return new LoopbackOutput(this);
+    }
+
+    /**
+     * Create a new fake device. The device is not available until it is plugged in.
+     * @param {string} name - Name of the device.
+     * @param {Object} [opts]
+     * @param {number} [opts.ports=1] - Number of ports on the device.
+     * @param {boolean} [opts.echo=true] - Echo messages sent to the device back to its inputs.
+     * @param {Object} [opts.identity] - The identity the device replies to Identity Requests with. Accepts the
+     *      same properties as {DeviceIdentity}.
+     * @returns {LoopbackDevice}
+     */
+    createDevice(name, { ports = 1, echo = true, identity } = {}) {
+        if (this._devices[name]) {
+            throw `Loopback device '${name}' already exists!`;
+        }
+        this._devices[name] = new LoopbackDevice(this, name, { ports, echo, identity, client: this._nextClient++ });
+        return this._devices[name];
+    }
+
+    getDevice(name) {
+        return this._devices[name];
+    }
+
+    removeDevice(name) {
+        let device = this._devices[name];
+        if (device) {
+            device.unplug();
+            device.removeAllListeners();
+            delete this._devices[name];
+        }
+    }
+
+    release() {
+        for (let name in this._devices) {
+            this.removeDevice(name);
+        }
+        this._inputs = [];
+        super.release();
+    }
+
+    _portList() {
+        let result = [];
+        for (let name in this._devices) {
+            let device = this._devices[name];
+            if (device.plugged) {
+                for (let port = 0; port < device.ports; port++) {
+                    result.push({ device, port });
+                }
+            }
+        }
+        return result;
+    }
+
+    _attach(port) {
+        if (port instanceof LoopbackInput && this._inputs.indexOf(port) === -1) {
+            this._inputs.push(port);
+        }
+    }
+
+    _detach(port) {
+        tools.removeFromArray(port, this._inputs);
+    }
+
+    _deliver(device, port, bytes) {
+        for (let input of this._inputs) {
+            if (input._device === device && input._port === port) {
+                // node-midi delivers messages asynchronously from its own thread.
+                setImmediate(() => {
+                    input._receive(bytes);
+                });
+            }
+        }
+    }
+
+    _onPlug(device) {
+        logger.debug(`Loopback device plugged: ${device.name}`);
+        this.emit('hotplug', true, device.name);
+    }
+
+    _onUnplug(device) {
+        for (let input of [... this._inputs]) {
+            if (input._device === device) {
+                this._detach(input);
+            }
+        }
+        logger.debug(`Loopback device unplugged: ${device.name}`);
+        this.emit('hotplug', false, device.name);
+    }
+}
+
+/**
+ * Keeps track of the active backend. Backends are selected by name with optional settings.
+ */
+class BackendManager {
+    constructor() {
+        this._types = {};
+        this._current = undefined;
+        this.register('node-midi', NodeMidiBackend);
+        this.register('loopback', LoopbackBackend);
+    }
+
+    /**
+     * Register a backend type so it can be selected by name.
+     * @param {string} name
+     * @param {Function} type - A class extending {Backend}.
+     */
+    register(name, type) {
+        if (!(type.prototype instanceof Backend)) {
+            throw new TypeError('Backend type must extend the Backend class.');
+        }
+        this._types[name] = type;
+    }
+
+    get available() {
+        return Object.keys(this._types);
+    }
+
+    /**
+     * Get the active backend. node-midi is used if no backend has been selected.
+     * @returns {Backend}
+     */
+    get current() {
+        if (!this._current) {
+            this.use('node-midi');
+        }
+        return this._current;
+    }
+
+    /**
+     * Select the active backend.
+     * @param {string|Object} config - The name of the backend, or an object with a `type` name and
+     *      any settings for the backend.
+     * @returns {Backend}
+     */
+    use(config) {
+        let name = (typeof config === 'string') ? config : config && config.type;
+        let opts = (typeof config === 'object') ? Object.assign({}, config) : {};
+        delete opts.type;
+        if (!this._types[name]) {
+            throw `Unknown MIDI backend '${name}'! Available: ${this.available.join(', ')}`;
+        }
+        if (this._current) {
+            this._current.release();
+        }
+        this._current = new this._types[name](opts);
+        return this._current;
+    }
+}
+
+module.exports = {
+    Backend,
+    LoopbackBackend,
+    LoopbackDevice,
+    NodeMidiBackend,
+    Manager: new BackendManager()
+};
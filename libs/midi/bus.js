@@ -0,0 +1,32 @@
+const endpoints = require('./endpoint');
+
+/**
+ * An internal device that passes every message sent to its port straight back out of it, so that one mapping can use
+ *  it as an output and others as an input. No backend port is involved; Like other endpoints, the bus is listed with
+ *  the connected ports and opened by its nickname.
+ *
+ * Messages are delivered as they are sent, so mappings must not feed a bus they receive from, directly or through
+ *  other buses. Configurations that do are rejected when loaded.
+ */
+class Bus extends endpoints.Endpoint {
+    /**
+     * @param {string} name - The device name used for the bus's port.
+     */
+    constructor(name) {
+        super(name);
+    }
+
+    get type() {
+        return 'bus';
+    }
+
+    get config() {
+        return true;
+    }
+
+    _send(port, bytes) {
+        this._receive(port, bytes);
+    }
+}
+
+module.exports = { Bus };
@@ -251,6 +251,10 @@ class DigitalClockMaster extends EventEmitter {
     get patternLength() {
         return this._patternLength;
     }
+
+    get ppqn() {
+        return this._ppqn;
+    }
 }
 
 class AnalogClockMaster extends EventEmitter {
@@ -379,8 +383,13 @@ class AnalogClockMaster extends EventEmitter {
 }
 
 // TODO: figure out logic for sharing ticks/pulses with multiple ppqn. master:24ppqn,slave:2ppqn - this would work due to the easy even numbers... non-multiples wouldn't be able to share since this blocks the thread its on. non-multiples would require multiple threads spun up.
-class Clock {
-    constructor({ bpm = 120, ppqn = 24, patternLength = 16, tapEnabled = true, inputs = [], outputs = [], analog = false, adjusters } = {}) {
+/**
+ * Sends MIDI clock to its outputs. Emits a 'tick' event with a {Tick} on each pulse, and 'start', 'stop', 'pause' and
+ *  'unpause' events as the transport changes.
+ */
+class Clock extends EventEmitter {
+    constructor({ bpm = 120, ppqn = 24, patternLength = 16, tapEnabled = true, inputs = [], outputs = [], analog = false, adjusters, player } = {}) {
+        super();
         // TODO: Add play queueing, play immediately features. Stop queueing as well? (fires at end of current pattern) If not queued, should a sequence position be sent to sync device sequencers?
         this._playing = false;
         this._paused = false;
@@ -390,10 +399,11 @@ class Clock {
         this._outputIndex = {};
         this.tapEnabled = tapEnabled;
         this._tapTimes = [];
+        this._player = undefined;
         this._clock = new DigitalClockMaster({ bpm, ppqn, patternLength });
         this.analog = analog;
         this._setupClockBindings();
-        this._inputMessageFilter = new MessageTypeFilter([
+        this._inputMessageFilter = new MessageTypeFilter({ adjusters: [
             new Adjuster({
                 name: 'play-pause',
                 description: 'Play / Pause clock playback.',
@@ -441,36 +451,100 @@ class Clock {
                     this.tempo = ((value + 1) * BPM_STEPS) + BPM_MIN;
                 }
             }),
-        ]);
+            new Adjuster({
+                name: 'player-play',
+                description: 'Play the MIDI file from the beginning, or stop it if playing.',
+                potPickup: false,
+                type: 0x0B,
+                triggerMap: {
+                    controller: true,
+                    value: 127
+                },
+                handler: () => {
+                    if (!this._player) {
+                        return;
+                    }
+                    if (this._player.playing) {
+                        this._player.stop();
+                    } else {
+                        try {
+                            this._player.play();
+                        } catch (err) {
+                            logger.warn(`MIDI file playback could not be started. ${err}`);
+                        }
+                    }
+                }
+            }),
+            new Adjuster({
+                name: 'player-loop',
+                description: 'Toggle looping of MIDI file playback.',
+                potPickup: false,
+                type: 0x0B,
+                triggerMap: {
+                    controller: true,
+                    value: 127
+                },
+                handler: () => {
+                    if (this._player) {
+                        this._player.loop = !this._player.loop;
+                    }
+                }
+            })
+        ] });
         if (adjusters) {
             this.adjusters = adjusters;
         }
+        this._onMessage = (device, message) => {
+            return this._inputMessageFilter.process(message) === true;
+        };
         if (Array.isArray(inputs)) {
             this.addInputs(... inputs);
         }
         if (Array.isArray(outputs)) {
             this.addOutputs(... outputs);
         }
-        this._onMessage = (device, message) => {
-            return this._inputMessageFilter.process(message) === true;
+        if (player) {
+            this.player = player;
         }
     }
 
+    /**
+     * The lowest tempo the clock can run at, in BPM.
+     * @returns {number}
+     */
+    static get BPM_MIN() {
+        return BPM_MIN;
+    }
+
+    /**
+     * The highest tempo the clock can run at, in BPM.
+     * @returns {number}
+     */
+    static get BPM_MAX() {
+        return BPM_MAX;
+    }
+
     _setupClockBindings() {
-        this._clock.on('tick', (tick, ticks) => {
+        this._clock.on('tick', ({ tick, ticks }) => {
             // TODO: check tick pattern position, move any queued outputs into _outputs if ready
             this._send(MIDI_CLOCK);
+            this.emit('tick', tick);
         });
         this._clock.on('start', () => {
             this._send(MIDI_START);
+            this.emit('start');
         });
-        let onStopOnPause = () => {
+        this._clock.on('stop', () => {
             this._send(MIDI_STOP);
-        };
-        this._clock.on('stop', onStopOnPause);
-        this._clock.on('pause', onStopOnPause);
+            this.emit('stop');
+        });
+        this._clock.on('pause', () => {
+            this._send(MIDI_STOP);
+            this.emit('pause');
+        });
         this._clock.on('unpause', () => {
             this._send(MIDI_CONT);
+            this.emit('unpause');
         });
     }
 
@@ -515,10 +589,37 @@ class Clock {
         return (!!this._analog) ? this._analog.volume : undefined;
     }
 
+    get inputs() {
+        return [... this._inputs];
+    }
+
     get outputs() {
         return [... this._outputs];
     }
 
+    /**
+     * Get the MIDI file player following this clock, if one has been set up.
+     * @returns {Player|undefined}
+     */
+    get player() {
+        return this._player;
+    }
+
+    /**
+     * Set up a MIDI file player that follows this clock, replacing any existing player.
+     * @param {Object|undefined} settings - Options for {Player}, or undefined to remove the player.
+     */
+    set player(settings) {
+        if (this._player) {
+            this._player.detach();
+            this._player = undefined;
+        }
+        if (settings) {
+            const { Player } = require('./player');
+            this._player = new Player(this, settings);
+        }
+    }
+
     get tapEnabled() {
         return this._tapEnabled;
     }
@@ -567,31 +668,70 @@ class Clock {
         }
     }
 
+    // Devices are indexed by nickname, as devices waiting for their hardware to connect have no name yet.
     // noinspection JSMethodCanBeStatic
     _indexDevice(index, device) {
-        if (!index[device.name]) {
-            index[device.name] = {};
+        if (!index[device.nickname]) {
+            index[device.nickname] = {};
         }
-        index[device.name][device.port] = true;
+        index[device.nickname][device.portNumber] = true;
     }
 
     // noinspection JSMethodCanBeStatic
     _isDeviceIndexed(index, device) {
-        return !!index[device.name] && !!index[device.name][device.port];
+        return !!index[device.nickname] && !!index[device.nickname][device.portNumber];
     }
 
     // noinspection JSMethodCanBeStatic
     _unlistDevice(index, device) {
-        if (index[device.name]) {
-            if (index[device.name][device.port]) {
-                delete index[device.name][device.port];
+        if (index[device.nickname]) {
+            if (index[device.nickname][device.portNumber]) {
+                delete index[device.nickname][device.portNumber];
             }
-            if (!Object.keys(index[device.name]).length) {
-                delete index[device.name];
+            if (!Object.keys(index[device.nickname]).length) {
+                delete index[device.nickname];
             }
         }
     }
 
+    /**
+     * Change the clock's settings without interrupting playback. Only the settings provided are changed; The inputs
+     *  and outputs provided replace the current ones, and `player` replaces the player if the key is present.
+     * @param {Object} options - Any of the options of the constructor.
+     */
+    update(options) {
+        let { bpm, ppqn, patternLength, tapEnabled, inputs, outputs, analog, adjusters } = options;
+        if (bpm !== undefined) {
+            this.tempo = bpm;
+        }
+        if (ppqn !== undefined && ppqn !== this.ppqn) {
+            logger.warn(`Clock PPQN cannot be changed while running; Restart to use ${ppqn} PPQN.`);
+        }
+        if (patternLength !== undefined) {
+            this.patternLength = patternLength;
+        }
+        if (tapEnabled !== undefined) {
+            this.tapEnabled = tapEnabled;
+        }
+        if (analog !== undefined) {
+            this.analog = analog;
+        }
+        if (adjusters !== undefined) {
+            this.adjusters = adjusters;
+        }
+        if (Array.isArray(inputs)) {
+            this.removeInputs(... this._inputs.filter((input) => inputs.indexOf(input) < 0));
+            this.addInputs(... inputs.filter((input) => this._inputs.indexOf(input) < 0));
+        }
+        if (Array.isArray(outputs)) {
+            this.removeOutputs(... this._outputs.filter((output) => outputs.indexOf(output) < 0));
+            this.addOutputs(... outputs.filter((output) => this._outputs.indexOf(output) < 0));
+        }
+        if ('player' in options) {
+            this.player = options.player;
+        }
+    }
+
     addInputs(... inputs) {
         for (let input of inputs) {
             if (input instanceof Input) {
@@ -675,9 +815,7 @@ class Clock {
         if (!this._playing) {
             return;
         }
-        for (let { clock } of this._clocks) {
-            clock.stop();
-        }
+        this._clock.stop();
         this._playing = false;
         this._paused = false;
     }
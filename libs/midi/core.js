@@ -1,8 +1,14 @@
+const backends = require('./backend');
+const endpoints = require('./endpoint');
+const EventEmitter = require('eventemitter3');
 const files = require('../files');
 const fs = require('fs');
 const logger = require('log4js').getLogger();
-const midi = require('midi');
+const notes = require('./notes');
+const parser = require('./parser');
+const scheduler = require('./scheduler');
 const tools = require('../tools');
+const watchdog = require('./watchdog');
 
 /**
  * onMessage callbacks handle incoming MIDI messages with regards to the mapping.
@@ -14,23 +20,85 @@ const tools = require('../tools');
 
 
 const IGNORE_DEVICES_DEFAULT = [ "Midi Through" ];
+// Milliseconds to wait after a USB event for the system to add or remove the device's MIDI ports.
+const USB_SETTLE_TIME = 500;
+
+const ANY_PORT = '*';
 
 class PortRecord {
     static parse(deviceName) {
         if (!deviceName) {
             return;
         }
-        let match = /^([\w\W]+)\s\d+\:(\d+)$/g.exec(deviceName);
-        return new PortRecord(match[1], match[2]);
+        let match = /^([\w\W]+)\s(\d+)\:(\d+)$/g.exec(deviceName);
+        return new PortRecord(match[1], match[3], undefined, { client: match[2] });
+    }
+
+    /**
+     * Convert a device name pattern into a regular expression. Patterns may be a RegExp, a string in the form
+     *  "/pattern/flags", or a glob containing `*` or `?`.
+     * @param {string|RegExp} name
+     * @returns {RegExp|undefined} The pattern, or undefined if `name` is a plain device name.
+     */
+    static toPattern(name) {
+        if (name instanceof RegExp) {
+            return name;
+        } else if (typeof name !== 'string') {
+            return undefined;
+        }
+        let match = /^\/(.+)\/([a-z]*)$/.exec(name);
+        if (match) {
+            // The global flag would make test() stateful between calls.
+            return new RegExp(match[1], match[2].replace('g', ''));
+        } else if (/[*?]/.test(name)) {
+            return tools.globToRegExp(name);
+        }
+        return undefined;
     }
 
-    constructor(name, port, nickname) {
+    /**
+     * @param {string|RegExp} name - The device name as reported by the MIDI backend, or a pattern matching it.
+     * @param {number|string} [port] - The device's port number, or "*" to match any port.
+     * @param {string} [nickname] - The name used to reference this device in the configuration.
+     * @param {Object} [opts] - Additional options describing the port.
+     * @param {boolean} [opts.virtual=false] - The port is a virtual port created by PiMidiBox rather than
+     *      a hardware port found on the system.
+     * @param {number|string} [opts.client] - The client number of the device, distinguishing identical devices.
+     * @param {Object} [opts.identity] - Identity properties a connected device must report to be used for this
+     *      record. See {DeviceIdentity#matches}.
+     * @param {Object} [opts.usb] - The USB `vendorId` and/or `productId` of the device.
+     * @param {Object} [opts.queue] - Send queue settings for the output of this port. See {SendQueue}.
+     */
+    constructor(name, port, nickname, { virtual = false, client, identity, usb, queue } = {}) {
         this._name = name;
+        this._queue = queue;
         let _port = parseInt(port);
         if (!Number.isNaN(_port)) {
             this._port = _port;
         }
-        this._nickname = (!nickname) ? `${tools.StringFormat.pascalCase(name)}___${port}` : nickname;
+        let _client = parseInt(client);
+        if (!Number.isNaN(_client)) {
+            this._client = _client;
+        }
+        this._nickname = (!nickname) ? `${tools.StringFormat.pascalCase(String(name))}___${port}` : nickname;
+        this._virtual = virtual;
+        this._identityMatch = identity;
+        this._identity = undefined;
+        this._usbMatch = (usb) ? {
+            vendorId: PortRecord._usbId(usb.vendorId),
+            productId: PortRecord._usbId(usb.productId)
+        } : undefined;
+        this._pattern = (virtual) ? undefined : PortRecord.toPattern(name);
+        this._anyPort = !virtual && (port === ANY_PORT || this._port === undefined);
+        // Records matching on anything other than an exact name and port are bound to a connected port later.
+        this._criteria = (!virtual && (this._pattern || this._anyPort || usb || identity))
+            ? { name, port: (this._anyPort) ? ANY_PORT : this._port }
+            : undefined;
+        this._resolved = !this._criteria;
+    }
+
+    static _usbId(id) {
+        return (typeof id === 'string') ? parseInt(id, 16) : id;
     }
 
     get name() {
@@ -44,6 +112,157 @@ class PortRecord {
     get nickname() {
         return this._nickname;
     }
+
+    get virtual() {
+        return this._virtual;
+    }
+
+    get client() {
+        return this._client;
+    }
+
+    /**
+     * Send queue settings for the output of this port, if any.
+     * @returns {Object|undefined}
+     */
+    get queue() {
+        return this._queue;
+    }
+
+    /**
+     * The identity reported by the device, if it has been discovered.
+     * @returns {DeviceIdentity|undefined}
+     */
+    get identity() {
+        return this._identity;
+    }
+
+    set identity(identity) {
+        this._identity = identity;
+    }
+
+    /**
+     * The identity properties required of the device, as set in the configuration.
+     * @returns {Object|undefined}
+     */
+    get identityMatch() {
+        return this._identityMatch;
+    }
+
+    /**
+     * The USB vendor and product IDs required of the device, as set in the configuration.
+     * @returns {Object|undefined}
+     */
+    get usbMatch() {
+        return this._usbMatch;
+    }
+
+    /**
+     * True if this record matches connected ports by pattern, USB IDs or identity rather than by exact name and port.
+     * @returns {boolean}
+     */
+    get isPattern() {
+        return !!this._criteria;
+    }
+
+    /**
+     * The matching criteria of the record as set in the configuration, or undefined if this record is not a pattern.
+     * @returns {Object|undefined}
+     */
+    get criteria() {
+        if (!this._criteria) {
+            return undefined;
+        }
+        let result = {
+            name: (this._criteria.name instanceof RegExp) ? this._criteria.name.toString() : this._criteria.name,
+            port: this._criteria.port
+        };
+        if (this._usbMatch) {
+            result.usb = Object.assign({}, this._usbMatch);
+        }
+        if (this._identityMatch) {
+            result.identity = Object.assign({}, this._identityMatch);
+        }
+        return result;
+    }
+
+    /**
+     * False while a pattern record has not been bound to a connected port.
+     * @returns {boolean}
+     */
+    get resolved() {
+        return this._resolved;
+    }
+
+    _matchesPort(live, usbDevices) {
+        if (this._virtual || live.virtual) {
+            return false;
+        }
+        let name = (this._criteria) ? this._criteria.name : this._name;
+        if (this._pattern) {
+            if (!this._pattern.test(live.name)) {
+                return false;
+            }
+        } else if (name && name !== live.name) {
+            return false;
+        }
+        if (!this._anyPort && this._port !== live.port) {
+            return false;
+        }
+        if (this._usbMatch) {
+            // USB product names rarely match the MIDI port names exactly, so either may contain the other.
+            let liveName = live.name.toLowerCase();
+            let found = usbDevices.find((device) => {
+                let usbName = device.name.toLowerCase();
+                return (this._usbMatch.vendorId === undefined || device.vendorId === this._usbMatch.vendorId)
+                    && (this._usbMatch.productId === undefined || device.productId === this._usbMatch.productId)
+                    && (liveName.includes(usbName) || usbName.includes(liveName));
+            });
+            if (!found) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check if a connected port satisfies this record.
+     * @param {PortRecord} live - The record of the connected port.
+     * @param {UsbDevice[]} [usbDevices] - The USB devices connected to the system. Required to match on USB IDs.
+     * @returns {boolean}
+     */
+    matches(live, usbDevices = []) {
+        if (!this._matchesPort(live, usbDevices)) {
+            return false;
+        }
+        return !this._identityMatch || (!!live.identity && live.identity.matches(this._identityMatch));
+    }
+
+    /**
+     * Point this record at a specific connected port.
+     * @param {PortRecord} live - The record of the connected port.
+     */
+    resolve(live) {
+        this._name = live.name;
+        this._port = live.port;
+        this._client = live.client;
+        this._identity = live.identity;
+        this._resolved = true;
+    }
+
+    /**
+     * Release a pattern record from the port it was bound to, so it can be bound again when a device connects.
+     */
+    unresolve() {
+        if (!this._criteria) {
+            return;
+        }
+        this._name = this._criteria.name;
+        this._port = (this._anyPort) ? undefined : this._criteria.port;
+        this._client = undefined;
+        this._identity = undefined;
+        this._resolved = false;
+    }
 }
 
 class PortIndex {
@@ -86,7 +305,7 @@ class PortIndex {
         if (typeof item === 'string') {
             return !!this._records[item];
         } else if (item instanceof PortRecord) {
-            for (let record of this._records) {
+            for (let record of Object.values(this._records)) {
                 if (record === item) {
                     return true;
                 }
@@ -115,9 +334,13 @@ class PortIndex {
         } else {
             if (record instanceof PortRecord) {
                 this._records[nickname] = record;
-            } else if (record.name && record.port !== undefined) {
-                this._records[nickname] =
-                    new PortRecord(record.name, record.port, (record.nickname) ? record.nickname : nickname);
+            } else if (record.name && record.virtual) {
+                this._records[nickname] = new PortRecord(record.name, 0, (record.nickname) ? record.nickname : nickname,
+                    { virtual: true, queue: record.queue });
+            } else if (record.name || record.identity || record.usb) {
+                this._records[nickname] = new PortRecord(record.name, record.port,
+                    (record.nickname) ? record.nickname : nickname,
+                    { identity: record.identity, usb: record.usb, queue: record.queue });
             } // TODO: else?
         }
     }
@@ -136,23 +359,103 @@ class PortIndex {
         // TODO: Any other cases for removal here? Maybe a json version of PortRecord?
     }
 
+    /**
+     * Find the records with a device name matching the given name.
+     * @param {string|RegExp} name - A device name, or a pattern accepted by {PortRecord.toPattern}.
+     * @returns {PortRecord[]}
+     */
     find(name) {
         let result = [];
-        if (name instanceof RegExp) {
-            for (let record of this._records) {
-                if (record.name.match(name)) {
-                    result.push(record);
-                }
+        let pattern = PortRecord.toPattern(name);
+        for (let record of Object.values(this._records)) {
+            if ((pattern) ? pattern.test(record.name) : record.name === name) {
+                result.push(record);
             }
-        } else {
-            for (let record of this._records) {
-                if (record.name === name) {
-                    result.push(record);
-                }
+        }
+        return result;
+    }
+
+    /**
+     * Get all pattern records that have not been bound to a connected port.
+     * @returns {PortRecord[]}
+     */
+    get pending() {
+        let result = [];
+        for (let name in this._records) {
+            if (!this._records[name].resolved) {
+                result.push(this._records[name]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Get all records describing virtual ports.
+     * @returns {PortRecord[]}
+     */
+    get virtualRecords() {
+        let result = [];
+        for (let name in this._records) {
+            if (this._records[name].virtual) {
+                result.push(this._records[name]);
             }
         }
         return result;
     }
+
+    _isClaimed(live) {
+        for (let record of Object.values(this._records)) {
+            if (record.resolved && !record.virtual && record.name === live.name && record.port === live.port
+                && (record.client === undefined || record.client === live.client)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Bind each pending record to the first connected port it matches. Ports already used by another record are
+     *  not considered.
+     * @param {Object} [opts]
+     * @param {number} [opts.timeout] - Milliseconds to wait for replies when matching on device identity.
+     * @returns {Promise<PortRecord[]>} The records that remain pending.
+     */
+    resolve({ timeout } = {}) {
+        let pending = this.pending;
+        if (!pending.length) {
+            return Promise.resolve([]);
+        }
+        let live = core.ports.filter((port) => !this._isClaimed(port));
+        let usb = (pending.some((record) => record.usbMatch))
+            ? require('../usb').Monitor.findDevices().catch((err) => {
+                logger.warn(`USB devices could not be listed.\n${err}`);
+                return [];
+            })
+            : Promise.resolve([]);
+        return usb.then((usbDevices) => {
+            // Only ports that could match a record on every other criteria are asked for their identity.
+            let unidentified = live.filter((port) => {
+                return pending.some((record) => record.identityMatch && record._matchesPort(port, usbDevices));
+            });
+            let identify = (unidentified.length)
+                ? require('./identity').identify(unidentified, { timeout })
+                : Promise.resolve([]);
+            return identify.then(() => {
+                let result = [];
+                for (let record of pending) {
+                    let match = live.find((port) => record.matches(port, usbDevices));
+                    if (match) {
+                        tools.removeFromArray(match, live);
+                        record.resolve(match);
+                        logger.debug(`Device ${record.nickname} bound to ${match.name} ${match.client}:${match.port}`);
+                    } else {
+                        result.push(record);
+                    }
+                }
+                return result;
+            });
+        });
+    }
 }
 
 const byteToStringTypeMap = Object.freeze({
@@ -169,13 +472,22 @@ const byteToStringTypeMap = Object.freeze({
     0xF1: 'mtc',
     0xF2: 'position',
     0xF3: 'select',
+    0xF4: 'undefined f4',
+    0xF5: 'undefined f5',
     0xF6: 'tune',
     0xF7: 'sysex end',
     0xF8: 'clock',
+    0xF9: 'undefined f9',
     0xFA: 'start',
     0xFB: 'continue',
     0xFC: 'stop',
-    0xFF: 'reset'
+    0xFD: 'undefined fd',
+    0xFE: 'active sense',
+    0xFF: 'reset',
+    // parameter (assembled from sequences of cc messages)
+    0x100: 'rpn',
+    0x101: 'nrpn',
+    0x102: 'cc14'
 });
 
 const stringToByteTypeMap = tools.deepFreeze({
@@ -193,18 +505,27 @@ const stringToByteTypeMap = tools.deepFreeze({
         'mtc': 0xF1,
         'position': 0xF2,
         'select': 0xF3,
+        'undefined f4': 0xF4,
+        'undefined f5': 0xF5,
         'tune': 0xF6,
         'sysex end': 0xF7,
         'clock': 0xF8,
+        'undefined f9': 0xF9,
         'start': 0xFA,
         'continue': 0xFB,
         'stop': 0xFC,
+        'undefined fd': 0xFD,
+        'active sense': 0xFE,
         'reset': 0xFF
+    },
+    parameter: {
+        'rpn': 0x100,
+        'nrpn': 0x101,
+        'cc14': 0x102
     }
 });
 
-const SYSEX_START = 0xF0;
-const SYSEX_END = 0xF7;
+const { SYSEX_START, SYSEX_END } = parser;
 
 const noteStrings = Object.freeze(['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']);
 
@@ -255,11 +576,25 @@ class Message {
             return stringToByteTypeMap.basic[typeString];
         } else if (typeString in stringToByteTypeMap.extended) {
             return stringToByteTypeMap.extended[typeString];
+        } else if (typeString in stringToByteTypeMap.parameter) {
+            return stringToByteTypeMap.parameter[typeString];
         } else {
             return -1;
         }
     }
 
+    /**
+     * Check if a message type is one of the parameter types assembled from sequences of cc messages.
+     * @param {number|string} type
+     * @returns {boolean}
+     */
+    static isParameterType(type) {
+        if (typeof type === 'string') {
+            type = Message.typeFromString(type);
+        }
+        return tools.containsValue(Object.values(stringToByteTypeMap.parameter), type);
+    }
+
     constructor(bytes = [0, 0, 0], additionalProperties = {}) {
         this._properties = [];
         this.bytes = bytes;
@@ -381,20 +716,47 @@ class Message {
         return [... this._bytes];
     }
 
+    /**
+     * Get the individual MIDI messages that must be sent to transmit this message.
+     * @returns {number[][]}
+     */
+    get packets() {
+        return [this.bytes];
+    }
+
     set bytes(bytes) {
         // TODO: Validate bytes contents?
         if (bytes[0] === SYSEX_START) {
-            if (bytes.length < 4 || bytes[bytes.length - 1] !== SYSEX_END) {
+            // The shortest sysex message is an empty one, [0xF0, 0xF7].
+            if (bytes.length < 2 || bytes[bytes.length - 1] !== SYSEX_END) {
                 throw "Sysex args must be an array starting with 0xF0 and ending with 0xF7";
             }
             this._bytes = [... bytes];
             this._updateProperties(SYSEX_START);
         } else {
-            this._bytes = [bytes[0], bytes[1], bytes[2]];
+            this._bytes = Message._sized(bytes);
             this._updateProperties(this.type);
         }
     }
 
+    /**
+     * Copy the given bytes into an array of the correct length for the message's status byte. Missing data bytes
+     *  are filled with zero and any extra bytes are dropped.
+     * @param {number[]} bytes
+     * @returns {number[]}
+     * @private
+     */
+    static _sized(bytes) {
+        let length = parser.dataLength(bytes[0]);
+        // A non-status first byte is treated as an unset three byte message.
+        let size = (length < 0) ? 3 : length + 1;
+        let result = [];
+        for (let i = 0; i < size; i++) {
+            result.push((bytes[i] !== undefined) ? bytes[i] : 0);
+        }
+        return result;
+    }
+
     get channel() {
         return (this.isTypeBasic)
             ? this._bytes[0] & 0xF
@@ -414,9 +776,17 @@ class Message {
     }
 
     set type(type) {
-        this._bytes[0] = (type < 0xF0)
-            ? type >> 4
+        let channel = (this.isTypeBasic && this._bytes[0] >= 0x80) ? this.channel : 0;
+        let bytes = [... this._bytes];
+        bytes[0] = (type < 0xF0)
+            ? (type << 4) + channel
             : type;
+        if (type === SYSEX_START) {
+            // An empty sysex message until the contents are provided.
+            this._bytes = [SYSEX_START, SYSEX_END];
+        } else {
+            this._bytes = Message._sized(bytes);
+        }
         this._updateProperties(type);
     }
 
@@ -452,150 +822,580 @@ class Message {
     }
 }
 
-class Device {
-    constructor() {
-        this._name = "";
-        this._port = -1;
-        this._nickname = undefined;
-        this._device = this._create();
-    }
+const CC_DATA_ENTRY_MSB = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_DATA_INCREMENT = 96;
+const CC_DATA_DECREMENT = 97;
+const CC_NRPN_LSB = 98;
+const CC_NRPN_MSB = 99;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+const RPN_NULL = 0x3FFF;
+// How long a coarse value waits for the LSB that completes it, in milliseconds.
+const PARAMETER_HOLD_TIME = 10;
 
+/**
+ * A single logical parameter change that is transmitted as a sequence of cc messages. Covers RPN and NRPN
+ *  (parameter selection followed by data entry) and 14-bit cc pairs (a controller 0-31 followed by its LSB
+ *  controller 32-63).
+ */
+class ParameterMessage extends Message {
     /**
-     * Return the midi device object.
+     * @param {string|number} type - One of 'rpn', 'nrpn' or 'cc14'.
+     * @param {Object} [opts]
+     * @param {number} [opts.channel=0] - The message's channel.
+     * @param {number} [opts.parameter=0] - The 14-bit parameter number, or the controller number for 'cc14'.
+     * @param {number} [opts.value=0] - The 14-bit parameter value.
+     * @param {boolean} [opts.fine=true] - Include the LSB of the value when transmitted. When false, only the
+     *      MSB of the value is sent.
+     * @param {Object} [additionalProperties]
      */
-    _create() {
-        throw "Not implemented!";
+    constructor(type, { channel = 0, parameter = 0, value = 0, fine = true } = {}, additionalProperties = {}) {
+        super([0xB0 + channel, 0, 0], additionalProperties);
+        this._parameterType = (typeof type === 'string') ? Message.typeFromString(type) : type;
+        if (!Message.isParameterType(this._parameterType)) {
+            throw `Invalid parameter message type: ${type}`;
+        }
+        this.parameter = parameter;
+        this.value = value;
+        this.fine = fine;
     }
 
-    /**
-     * Code to be executed during cleanup performed on closing.
-     * @private
-     */
-    _cleanup() {
-        // TODO: make this optional for subclasses?
-        throw "Not implemented!";
+    copy() {
+        return new ParameterMessage(this._parameterType, {
+            channel: this.channel,
+            parameter: this.parameter,
+            value: this.value,
+            fine: this.fine
+        }, Object.assign({}, this._additionalProperties));
     }
 
-    _onOpen() {
-        // Optional override
+    get type() {
+        return this._parameterType;
     }
 
-    _onClose() {
-        // Optional override
+    set type(type) {
+        throw "The type of a ParameterMessage cannot be changed.";
     }
 
-    open(name, portNumber, nickname) {
-        if (this.isOpen) {
-            // TODO: print warning?
-            return this;
-        }
-        if (!this._device) {
-            this._device = this._create();
-        }
-        this._name = name;
-        this._port = portNumber;
-        if (nickname) {
-            this._nickname = nickname;
-        }
-        for (let i = 0; i < this._device.getPortCount(); i++) {
-            let port = PortRecord.parse(this._device.getPortName(i));
-            if (port.name === name && port.port === portNumber) {
-                this._device.openPort(i);
-                this._onOpen();
-                break;
-            }
-        }
-        return this;
+    get typeString() {
+        return super.typeString;
     }
 
-    openPort(number, nickname) {
-        if (this.isOpen) {
-            // TODO: print warning?
-            return this;
-        }
-        if (!this._device) {
-            this._device = this._create();
-        }
-        this._device.openPort(number);
-        let record = PortRecord.parse(this._device.getPortName(number));
-        this._name = record.name;
-        this._port = record.port;
-        if (nickname) {
-            this._nickname = nickname;
-        }
-        this._onOpen();
-        return this;
+    set typeString(typeString) {
+        throw "The type of a ParameterMessage cannot be changed.";
     }
 
-    close(cleanup = true) {
-        if (this._device) {
-            if (cleanup) {
-                this._cleanup();
-            }
-            this._device.closePort();
-            this._onClose();
-            this.release();
+    get bytes() {
+        let result = [];
+        for (let packet of this.packets) {
+            result.push(... packet);
         }
+        return result;
     }
 
-    release() {
-        if (this._device) {
-            this._device.release();
-            delete this._device;
-        }
+    set bytes(bytes) {
+        // Only used during construction; The first byte holds the status and channel of the cc messages.
+        super.bytes = bytes;
     }
 
-    reopen() {
-        if (this._port === -1) {
-            // TODO: print warning?
-            return this;
-        }
-        if (this.isOpen) {
-            this.close(false);
-        }
-        this.open(this._name, this._port, this._nickname);
+    get channel() {
+        return this._bytes[0] & 0xF;
     }
 
-    get isOpen() {
-        return this._device && this._device.isPortOpen();
+    set channel(channel) {
+        this._bytes[0] = 0xB0 + channel;
     }
 
-    get name() {
-        return this._name;
+    get parameter() {
+        return this._parameter;
     }
 
-    get portNumber() {
-        return this._port;
+    set parameter(parameter) {
+        this._parameter = tools.clipToRange(Math.trunc(parameter), 0, (this.type === 0x102) ? 31 : RPN_NULL);
     }
 
-    get nickname() {
-        return (this._nickname) ? this._nickname : this._name;
+    get value() {
+        return this._value;
     }
 
-    // TODO: Move this to a static method
-    portMap(ignored = []) {
-        let result = {};
-        if (this._device.getPortCount()) {
-            for (let i = 0; i < this._device.getPortCount(); i++) {
-                let port = PortRecord.parse(this._device.getPortName(i));
-                if (tools.containsValue(ignored, port.name)) {
-                    continue;
-                }
-                if (!result[port.name]) {
-                    result[port.name] = [];
-                }
-                result[port.name][port.port] = i;
-            }
-        }
-        return result;
+    set value(value) {
+        this._value = tools.clipToRange(Math.trunc(value), 0, 0x3FFF);
     }
 
-    // TODO: Move this to a static method, combine with get.portMap
-    portMapByName(... names) {
-        // todo: This is hacked together... Rewrite later to skip unnecessary port indexing.
-        if (!names.length) {
-            return {};
-        }
+    /**
+     * The most significant 7 bits of the value.
+     * @returns {number}
+     */
+    get coarse() {
+        return this._value >> 7;
+    }
+
+    get fine() {
+        return this._fine;
+    }
+
+    set fine(fine) {
+        this._fine = !!fine;
+    }
+
+    get packets() {
+        let status = this._bytes[0];
+        let msb = this._value >> 7;
+        let lsb = this._value & 0x7F;
+        if (this.type === 0x102) {
+            let result = [[status, this._parameter, msb]];
+            if (this._fine) {
+                result.push([status, this._parameter + 32, lsb]);
+            }
+            return result;
+        }
+        let select = (this.type === 0x100) ? [CC_RPN_MSB, CC_RPN_LSB] : [CC_NRPN_MSB, CC_NRPN_LSB];
+        let result = [
+            [status, select[0], this._parameter >> 7],
+            [status, select[1], this._parameter & 0x7F],
+            [status, CC_DATA_ENTRY_MSB, msb]
+        ];
+        if (this._fine) {
+            result.push([status, CC_DATA_ENTRY_LSB, lsb]);
+        }
+        return result;
+    }
+
+    get properties() {
+        let props = super.properties;
+        props.parameter = this._parameter;
+        props.value = this._value;
+        props.coarse = this.coarse;
+        return props;
+    }
+}
+
+/**
+ * Assembles RPN, NRPN and 14-bit cc sequences received on an input into {ParameterMessage} objects. Cc messages
+ *  that are part of an enabled sequence are consumed; All other messages are passed along untouched.
+ *
+ * A value's MSB is held until its LSB arrives so that the pair becomes a single message. If anything else arrives on
+ *  the channel first, the held value is passed along without its LSB; If nothing does, it is emitted as a 'message'
+ *  event once {PARAMETER_HOLD_TIME} has passed.
+ *
+ * Data increment and decrement step the last value entered for the selected parameter, in its LSB if the value was
+ *  entered with one and in its MSB otherwise. Selecting the null parameter (127/127) is passed along, so that
+ *  receivers ignore data entry that follows it just as the assembler does.
+ */
+class ParameterAssembler extends EventEmitter {
+    /**
+     * @param {Object} [opts]
+     * @param {boolean} [opts.rpn=true] - Assemble registered parameter numbers.
+     * @param {boolean} [opts.nrpn=true] - Assemble non-registered parameter numbers.
+     * @param {number[]} [opts.cc14=[]] - Controllers (0-31) to be paired with their LSB controller (32-63).
+     */
+    constructor({ rpn = true, nrpn = true, cc14 = [] } = {}) {
+        super();
+        this._rpn = rpn;
+        this._nrpn = nrpn;
+        this._cc14 = (Array.isArray(cc14)) ? cc14.filter(controller => tools.withinRange(controller, 0, 31)) : [];
+        this._channels = [];
+    }
+
+    get config() {
+        return {
+            rpn: this._rpn,
+            nrpn: this._nrpn,
+            cc14: [... this._cc14]
+        };
+    }
+
+    _state(channel) {
+        if (!this._channels[channel]) {
+            this._channels[channel] = {
+                select: undefined, msb: 0x7F, lsb: 0x7F, coarse: 0, value: undefined, fine: false, cc14: {},
+                held: undefined, timer: undefined
+            };
+        }
+        return this._channels[channel];
+    }
+
+    /**
+     * Hold a parameter message until the given LSB controller completes it.
+     * @param {Object} state
+     * @param {ParameterMessage} message
+     * @param {number} lsb
+     * @returns {Message[]} No messages, as the held message is passed along later.
+     * @private
+     */
+    _hold(state, message, lsb) {
+        state.held = { message, lsb };
+        state.timer = setTimeout(() => {
+            let held = this._take(state);
+            if (held) {
+                this.emit('message', held);
+            }
+        }, PARAMETER_HOLD_TIME);
+        return [];
+    }
+
+    /**
+     * Remove the message held on a channel.
+     * @param {Object} [state]
+     * @returns {ParameterMessage|undefined}
+     * @private
+     */
+    _take(state) {
+        if (!state || !state.held) {
+            return undefined;
+        }
+        let { message } = state.held;
+        clearTimeout(state.timer);
+        state.held = state.timer = undefined;
+        return message;
+    }
+
+    /**
+     * Drop any held messages and forget the parameters selected on each channel.
+     */
+    reset() {
+        for (let state of this._channels) {
+            this._take(state);
+        }
+        this._channels = [];
+    }
+
+    _isEnabled(type) {
+        return (type === 0x100) ? this._rpn : (type === 0x101) ? this._nrpn : false;
+    }
+
+    /**
+     * Process a message received from the input.
+     * @param {Message} message
+     * @returns {Message[]} The messages to pass along in place of the given message.
+     */
+    process(message) {
+        if (message.type !== 0x0B) {
+            // Messages without a channel, such as clock, don't interrupt a pair.
+            let held = (message.channel >= 0) ? this._take(this._channels[message.channel]) : undefined;
+            return (held) ? [held, message] : [message];
+        }
+        let state = this._state(message.channel);
+        if (state.held && message.controller === state.held.lsb) {
+            let held = this._take(state);
+            held.value = (held.coarse << 7) + message.value;
+            held.fine = true;
+            if (held.type !== 0x102) {
+                state.value = held.value;
+                state.fine = true;
+            }
+            return [held];
+        }
+        let held = this._take(state);
+        let result = this._assemble(state, message);
+        return (held) ? [held, ... result] : result;
+    }
+
+    _assemble(state, message) {
+        let { controller, value } = message;
+        switch (controller) {
+            case CC_RPN_MSB:
+            case CC_NRPN_MSB:
+            case CC_RPN_LSB:
+            case CC_NRPN_LSB: {
+                let type = (controller === CC_RPN_MSB || controller === CC_RPN_LSB) ? 0x100 : 0x101;
+                let deselected = state.select === type && ((state.msb << 7) + state.lsb) === RPN_NULL;
+                if (state.select !== type) {
+                    state.select = type;
+                    state.msb = state.lsb = 0x7F;
+                }
+                if (controller === CC_RPN_MSB || controller === CC_NRPN_MSB) {
+                    state.msb = value;
+                } else {
+                    state.lsb = value;
+                }
+                state.value = undefined;
+                if (!this._isEnabled(type)) {
+                    return [message];
+                } else if (!deselected && ((state.msb << 7) + state.lsb) === RPN_NULL) {
+                    let select = (type === 0x100) ? [CC_RPN_MSB, CC_RPN_LSB] : [CC_NRPN_MSB, CC_NRPN_LSB];
+                    return select.map((cc) => {
+                        return new Message([0xB0 + message.channel, cc, 0x7F], message._additionalProperties);
+                    });
+                }
+                return [];
+            }
+            case CC_DATA_ENTRY_MSB:
+            case CC_DATA_ENTRY_LSB: {
+                let parameter = (state.msb << 7) + state.lsb;
+                if (!this._isEnabled(state.select) || parameter === RPN_NULL) {
+                    return [message];
+                }
+                let fine = controller === CC_DATA_ENTRY_LSB;
+                if (!fine) {
+                    state.coarse = value;
+                }
+                let assembled = new ParameterMessage(state.select, {
+                    channel: message.channel,
+                    parameter,
+                    value: (state.coarse << 7) + ((fine) ? value : 0),
+                    fine
+                }, message._additionalProperties);
+                state.value = assembled.value;
+                state.fine = fine;
+                return (fine) ? [assembled] : this._hold(state, assembled, CC_DATA_ENTRY_LSB);
+            }
+            case CC_DATA_INCREMENT:
+            case CC_DATA_DECREMENT: {
+                let parameter = (state.msb << 7) + state.lsb;
+                if (!this._isEnabled(state.select) || parameter === RPN_NULL || state.value === undefined) {
+                    return [message];
+                }
+                // The controller's value is ignored; Each message is a single step.
+                let step = (state.fine) ? 1 : 0x80;
+                state.value = tools.clipToRange(state.value + ((controller === CC_DATA_INCREMENT) ? step : -step),
+                    0, 0x3FFF);
+                state.coarse = state.value >> 7;
+                return [new ParameterMessage(state.select, {
+                    channel: message.channel,
+                    parameter,
+                    value: state.value,
+                    fine: state.fine
+                }, message._additionalProperties)];
+            }
+        }
+        if (tools.containsValue(this._cc14, controller)) {
+            state.cc14[controller] = value;
+            return this._hold(state, new ParameterMessage(0x102, {
+                channel: message.channel,
+                parameter: controller,
+                value: value << 7,
+                fine: false
+            }, message._additionalProperties), controller + 32);
+        } else if (controller >= 32 && tools.containsValue(this._cc14, controller - 32)) {
+            let msb = state.cc14[controller - 32] || 0;
+            return [new ParameterMessage(0x102, {
+                channel: message.channel,
+                parameter: controller - 32,
+                value: (msb << 7) + value
+            }, message._additionalProperties)];
+        }
+        return [message];
+    }
+}
+
+class Device {
+    constructor() {
+        this._name = "";
+        this._port = -1;
+        this._client = undefined;
+        this._clientRequired = false;
+        this._nickname = undefined;
+        this._virtual = false;
+        this._attached = false;
+        this._device = this._create();
+    }
+
+    /**
+     * Return the midi device object.
+     */
+    _create() {
+        throw "Not implemented!";
+    }
+
+    /**
+     * Code to be executed during cleanup performed on closing.
+     * @private
+     */
+    _cleanup() {
+        // TODO: make this optional for subclasses?
+        throw "Not implemented!";
+    }
+
+    _onOpen() {
+        // Optional override
+    }
+
+    _onClose() {
+        // Optional override
+    }
+
+    /**
+     * Open a port by name and port number.
+     * @param {string} name - The device name as reported by the MIDI backend.
+     * @param {number} portNumber - The device's port number.
+     * @param {string} [nickname] - The name used to reference this device in the configuration.
+     * @param {number} [client] - Only open the port of the device with this client number. The first device with
+     *      a matching name is used if not provided.
+     * @returns {Device}
+     */
+    open(name, portNumber, nickname, client) {
+        if (this.isOpen) {
+            // TODO: print warning?
+            return this;
+        }
+        if (!this._device) {
+            this._device = this._create();
+        }
+        this._name = name;
+        this._port = portNumber;
+        this._client = client;
+        this._clientRequired = client !== undefined;
+        if (nickname) {
+            this._nickname = nickname;
+        }
+        for (let i = 0; i < this._device.getPortCount(); i++) {
+            let port = PortRecord.parse(this._device.getPortName(i));
+            if (port.name === name && port.port === portNumber && (client === undefined || port.client === client)) {
+                this._client = port.client;
+                this._device.openPort(i);
+                this._attached = true;
+                this._onOpen();
+                break;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Create a virtual port that other software on the system can connect to.
+     * @param {string} name - The name of the port to be created.
+     * @param {string} [nickname] - The name used to reference this device in the configuration.
+     * @returns {Device}
+     */
+    openVirtual(name, nickname) {
+        if (this.isOpen) {
+            // TODO: print warning?
+            return this;
+        }
+        if (!this._device) {
+            this._device = this._create();
+        }
+        this._name = name;
+        this._port = 0;
+        this._virtual = true;
+        if (nickname) {
+            this._nickname = nickname;
+        }
+        this._device.openVirtualPort(name);
+        this._attached = true;
+        this._onOpen();
+        return this;
+    }
+
+    openPort(number, nickname) {
+        if (this.isOpen) {
+            // TODO: print warning?
+            return this;
+        }
+        if (!this._device) {
+            this._device = this._create();
+        }
+        this._device.openPort(number);
+        this._attached = true;
+        let record = PortRecord.parse(this._device.getPortName(number));
+        this._name = record.name;
+        this._port = record.port;
+        this._client = record.client;
+        if (nickname) {
+            this._nickname = nickname;
+        }
+        this._onOpen();
+        return this;
+    }
+
+    close(cleanup = true) {
+        if (this._device) {
+            if (cleanup) {
+                this._cleanup();
+            }
+            this._device.closePort();
+            this._attached = false;
+            this._onClose();
+            this.release();
+        }
+    }
+
+    release() {
+        if (this._device) {
+            this._device.release();
+            delete this._device;
+        }
+    }
+
+    reopen() {
+        if (this._port === -1) {
+            // TODO: print warning?
+            return this;
+        }
+        if (this._virtual) {
+            // Virtual ports are owned by this process; Only recreate the port if it has been closed.
+            return (this.isOpen) ? this : this.openVirtual(this._name, this._nickname);
+        }
+        if (this.isOpen) {
+            this.close(false);
+        }
+        // Client numbers change when a device is reconnected, so they are only kept when explicitly requested.
+        this.open(this._name, this._port, this._nickname, (this._clientRequired) ? this._client : undefined);
+    }
+
+    get isOpen() {
+        // RtMidi does not report virtual ports as being connected.
+        return !!this._device && (this._virtual || this._device.isPortOpen());
+    }
+
+    /**
+     * True if a port was opened and has not been closed since, even if its device has been disconnected.
+     * @returns {boolean}
+     */
+    get isAttached() {
+        return this._attached;
+    }
+
+    get isVirtual() {
+        return this._virtual;
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get portNumber() {
+        return this._port;
+    }
+
+    get client() {
+        return this._client;
+    }
+
+    get nickname() {
+        return (this._nickname) ? this._nickname : this._name;
+    }
+
+    set nickname(nickname) {
+        this._nickname = nickname;
+    }
+
+    // TODO: Move this to a static method
+    portMap(ignored = []) {
+        let result = {};
+        if (this._device.getPortCount()) {
+            for (let i = 0; i < this._device.getPortCount(); i++) {
+                let port = PortRecord.parse(this._device.getPortName(i));
+                if (tools.containsValue(ignored, port.name)) {
+                    continue;
+                }
+                if (!result[port.name]) {
+                    result[port.name] = [];
+                }
+                result[port.name][port.port] = i;
+            }
+        }
+        return result;
+    }
+
+    // TODO: Move this to a static method, combine with get.portMap
+    portMapByName(... names) {
+        // todo: This is hacked together... Rewrite later to skip unnecessary port indexing.
+        if (!names.length) {
+            return {};
+        }
         let map = this.portMap();
         let result = {};
         for (let name of names) {
@@ -613,30 +1413,58 @@ class Input extends Device {
         this._listenSysex = false;
         this._listenClock = false;
         this._listenActiveSense = false;
+        this._watchActiveSense = false;
         this._messageHandlers = [];
+        this._parser = new parser.StreamParser();
+        this._assembler = undefined;
     }
 
     _create() {
-        return new midi.input();
+        return endpoints.Manager.createInput(backends.Manager.current.createInput());
     }
 
     _onOpen() {
+        this._parser.reset();
         // TODO: Should this binding be delayed until explicitly requested? (when first binding is added)
         this._device.on('message', (deltaTime, msg) => {
-            let message = new Message(msg, { deltaTime });
-            // todo: THIS MIGHT CRASH!!! this device might emit message before the constructor fully finishes.
-            for (let handler of this._messageHandlers) {
-                if (handler(this, message) === true) {
-                    logger.debug('Message chain handled early.');
-                    break;
+            // Backends may deliver running status, several messages at once or sysex split across callbacks.
+            for (let bytes of this._parser.feed(msg)) {
+                let message;
+                try {
+                    message = new Message(bytes, { deltaTime });
+                } catch (err) {
+                    // A malformed message from the device shouldn't stop the others from being handled.
+                    logger.warn(`Dropped a message from ${this.nickname || this.name}: ${err}`);
+                    continue;
+                }
+                deltaTime = 0;
+                if (this._assembler) {
+                    for (let assembled of this._assembler.process(message)) {
+                        this._dispatch(assembled);
+                    }
+                } else {
+                    this._dispatch(message);
                 }
             }
         });
         this._setupListenTypes(false);
     }
 
+    _dispatch(message) {
+        // todo: THIS MIGHT CRASH!!! this device might emit message before the constructor fully finishes.
+        for (let handler of this._messageHandlers) {
+            if (handler(this, message) === true) {
+                logger.debug('Message chain handled early.');
+                break;
+            }
+        }
+    }
+
     _cleanup() {
         this.unbindAll();
+        if (this._assembler) {
+            this._assembler.reset();
+        }
         if (this._device) {
             this._device.removeAllListeners();
         }
@@ -663,7 +1491,37 @@ class Input extends Device {
         return {
             sysex: this._listenSysex,
             clock: this._listenClock,
-            activeSense: this._listenActiveSense
+            activeSense: this._listenActiveSense,
+            parameters: this.listenParameters
+        }
+    }
+
+    /**
+     * Get the parameter assembly settings for this input, or false if parameter messages are not assembled.
+     * @returns {boolean|Object}
+     */
+    get listenParameters() {
+        return (this._assembler) ? this._assembler.config : false;
+    }
+
+    /**
+     * Enable the assembly of RPN, NRPN and 14-bit cc sequences into single parameter messages.
+     * @param {boolean|Object} listen - `true` to assemble RPN and NRPN sequences, `false` to disable assembly,
+     *      or an object of options for {ParameterAssembler}.
+     */
+    set listenParameters(listen) {
+        if (listen !== true && listen !== false && !(listen && typeof listen === 'object')) {
+            return;
+        }
+        if (this._assembler) {
+            this._assembler.reset();
+            this._assembler.removeAllListeners();
+            this._assembler = undefined;
+        }
+        if (listen) {
+            this._assembler = new ParameterAssembler((listen === true) ? undefined : listen);
+            // Values held for an LSB that never came.
+            this._assembler.on('message', (message) => this._dispatch(message));
         }
     }
 
@@ -703,38 +1561,208 @@ class Input extends Device {
         this._setupListenTypes(true);
     }
 
+    /**
+     * True if Active Sense messages are received for a watchdog, whether or not they are being listened for.
+     * @returns {boolean}
+     */
+    get watchActiveSense() {
+        return this._watchActiveSense;
+    }
+
+    set watchActiveSense(watch) {
+        if (this._watchActiveSense === watch || typeof watch !== 'boolean') {
+            return;
+        }
+        this._watchActiveSense = watch;
+        this._setupListenTypes(true);
+    }
+
     _setupListenTypes(changed) {
-        if (this.isOpen && (changed || (this._listenSysex || this._listenClock || this._listenActiveSense))) {
-            this._device.ignoreTypes(!this._listenSysex, !this._listenClock, !this._listenActiveSense);
+        let activeSense = this._listenActiveSense || this._watchActiveSense;
+        if (this.isOpen && (changed || (this._listenSysex || this._listenClock || activeSense))) {
+            this._device.ignoreTypes(!this._listenSysex, !this._listenClock, !activeSense);
         }
     }
 }
 
 class Output extends Device {
+    constructor() {
+        super();
+        this._queue = undefined;
+        this._notes = new notes.NoteTracker();
+    }
 
     _create() {
-        return new midi.output();
+        return endpoints.Manager.createOutput(backends.Manager.current.createOutput());
     }
 
     _cleanup() {
         // TODO
     }
 
-    sendMessage(message) {
+    _onClose() {
+        if (this._queue) {
+            // Queued messages are meant for the device as it was; Don't deliver them if it's reopened.
+            this._queue.clear();
+        }
+        // Nothing is left sounding on a device that has been closed or disconnected.
+        this._notes.clear();
+    }
+
+    /**
+     * Get the notes sent to this output that have not been released.
+     * @returns {{channel: number, note: number}[]}
+     */
+    get heldNotes() {
+        return this._notes.notes;
+    }
+
+    /**
+     * Get the send queue settings of this output, or undefined if messages are sent immediately.
+     * @returns {Object|undefined}
+     */
+    get queue() {
+        return (this._queue) ? this._queue.config : undefined;
+    }
+
+    /**
+     * Pace the messages sent to this output with a send queue.
+     * @param {Object|undefined} settings - Options for {SendQueue}, or undefined to send messages immediately.
+     */
+    set queue(settings) {
+        if (this._queue) {
+            this._queue.clear();
+            this._queue.removeAllListeners();
+        }
+        this._queue = (settings) ? new scheduler.SendQueue((bytes) => {
+            if (this.isOpen) {
+                this._device.sendMessage(bytes);
+            }
+        }, settings) : undefined;
+    }
+
+    /**
+     * Wait for all queued messages to be sent.
+     * @returns {Promise}
+     */
+    flush() {
+        if (!this._queue || !this._queue.depth) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this._queue.once('drain', resolve);
+        });
+    }
+
+    /**
+     * Get the depth, peak depth, sent and dropped message counts of the send queue.
+     * @returns {Object|undefined}
+     */
+    get queueStats() {
+        return (this._queue) ? this._queue.stats : undefined;
+    }
+
+    /**
+     * Send a message to this output.
+     * @param {Message|number[]} message - The message object or raw bytes of the message to send.
+     * @param {number} [priority] - A value of {Priority} for the send queue. Defaults to the priority configured
+     *      for the message's type.
+     * @param {Object} [tag] - Where the message came from, such as the `source` input and `mapping` that sent it.
+     *      Notes are released by tag with `releaseNotes`.
+     */
+    sendMessage(message, priority, tag) {
         logger.debug(`sendMessage::${this.name}||isOpen::${this.isOpen}`);
         if (this.isOpen) {
-            this._device.sendMessage(message);
+            let packets = (message instanceof Message) ? message.packets : [message];
+            for (let bytes of packets) {
+                this._notes.track(bytes, tag);
+            }
+            if (this._queue) {
+                if (priority === undefined) {
+                    let type = (message instanceof Message) ? message.type
+                        : (message[0] < 0xF0) ? message[0] >> 4 : message[0];
+                    priority = this._queue.priorityOf(byteToStringTypeMap[type]);
+                }
+                for (let bytes of packets) {
+                    this._queue.push(bytes, priority);
+                }
+                return;
+            }
+            for (let bytes of packets) {
+                this._device.sendMessage(bytes);
+            }
+        }
+    }
+
+    _sendUrgent(messages, immediate) {
+        for (let bytes of messages) {
+            if (this._queue && !immediate) {
+                this._queue.push(bytes, scheduler.Priority.HIGH);
+            } else {
+                this._device.sendMessage(bytes);
+            }
+        }
+    }
+
+    /**
+     * Send note-offs for the held notes sent with a tag matching the given criteria.
+     * @param {Object} [criteria] - Tag properties to match, eg. `{ source: input }`. All notes are released if not
+     *      provided.
+     * @param {boolean} [immediate=false] - Bypass the send queue, for when the output is about to be closed.
+     * @returns {number} The number of notes released.
+     */
+    releaseNotes(criteria, immediate = false) {
+        let released = this._notes.release(criteria);
+        if (this.isOpen && released.length) {
+            logger.debug(`Releasing ${released.length} held note(s) on ${this.nickname || this.name}.`);
+            this._sendUrgent(released, immediate);
+        }
+        return released.length;
+    }
+
+    /**
+     * Release all held notes, then send All Notes Off, All Sound Off and Reset All Controllers on every channel.
+     * @param {boolean} [immediate=false] - Bypass the send queue.
+     */
+    panic(immediate = false) {
+        this.releaseNotes(undefined, immediate);
+        if (this.isOpen) {
+            this._sendUrgent(notes.PANIC_MESSAGES, immediate);
         }
     }
 }
 
-class Core {
-    // TODO: Core class can handle the switch-off between node-midi and node-midi-jack if added.
+/**
+ * Keeps track of all open devices. Emits an 'attach' event with the device when an input or output is opened after
+ *  its hardware connects, and a 'detach' event with the device when it is closed after its hardware disconnects.
+ *
+ * Emits a 'dropout' event with the input and a reason ('timeout' or 'removed') when an input that was sending
+ *  Active Sensing goes silent, or when its hardware disconnects. Notes sent from that input are released first.
+ */
+class Core extends EventEmitter {
     constructor() {
+        super();
         this._inputs = {};
         this._outputs = {};
+        this._patterns = new Map();
         this._usb = undefined;
+        this._virtualNames = [];
+        this._hotplugQueue = Promise.resolve();
+        this._watchdog = new watchdog.ActiveSenseWatchdog();
+        this._watchdog.on('dropout', (input) => {
+            this._onDropout(input, 'timeout');
+        });
         this.ignoredDevices = IGNORE_DEVICES_DEFAULT;
+        this._onHotplug = this._onHotplug.bind(this);
+        // Endpoints such as network sessions connect whenever they like, so they are attached whether or not USB
+        //  hotplug is enabled.
+        endpoints.Manager.on('hotplug', this._onHotplug);
+        this._onUsbEvent = (event, device) => {
+            let added = event === this._usb.Event.ADD;
+            setTimeout(() => {
+                this._onHotplug(added, device.name);
+            }, USB_SETTLE_TIME);
+        };
     }
 
     get ignoredDevices() {
@@ -750,50 +1778,210 @@ class Core {
         // todo: else?
     }
 
+    /**
+     * Get the active MIDI backend.
+     * @returns {Backend}
+     */
+    get backend() {
+        return backends.Manager.current;
+    }
+
+    /**
+     * Select the MIDI backend. Must be set before any devices are opened.
+     * @param {string|Object} config - The name of the backend, or an object with a `type` name and
+     *      any settings for the backend.
+     */
+    set backend(config) {
+        if (!config) {
+            return;
+        }
+        let name = (typeof config === 'string') ? config : config.type;
+        if (name === this.backend.name && typeof config === 'string') {
+            return;
+        }
+        for (let registry of [this._inputs, this._outputs]) {
+            if (Object.keys(registry).length) {
+                logger.warn(`MIDI backend cannot be changed to '${name}' while devices are open.`);
+                return;
+            }
+        }
+        this.backend.off('hotplug', this._onHotplug);
+        backends.Manager.use(config);
+        // Like endpoints, backend devices are attached whether or not USB hotplug is enabled.
+        this.backend.on('hotplug', this._onHotplug);
+    }
+
     get hotplug() {
         return this._usb !== undefined;
     }
 
     set hotplug(enabled) {
         if (this.hotplug === enabled || typeof enabled !== 'boolean') {
-            logger.warn(`Hotplug assignment was ignored. this.hotplug=${this.hotplug}, parameter hotplug=${hotplug}`);
+            logger.warn(`Hotplug assignment was ignored. this.hotplug=${this.hotplug}, parameter hotplug=${enabled}`);
             return;
         }
         if (enabled) {
-            let add = (io) => {
-                io.reopen();
-            };
-            let remove = (io) => {
-                io.close(false);
-            };
             // TODO: Move this import over to the `usb` object imported at very top.
             this._usb = require('../usb');
-            this._usb.Monitor.watchDevices((event, device) => {
-                let processor = event === this._usb.Event.ADD ? add : remove;
-                logger.debug(`Hotplug : ${event.toString()} - ${device.name}`);
-                let ins = this._inputs[device.name];
-                let outs = this._outputs[device.name];
-                for (let group of [ins, outs]) {
-                    if (group) {
-                        for (let io of group) {
-                            processor(io);
-                        }
-                    }
-                }
-            });
+            this._usb.Monitor.watchDevices(this._onUsbEvent);
             this._usb.Monitor.startMonitoring();
         } else {
+            this._usb.Monitor.stopWatching(this._onUsbEvent);
             this._usb.Monitor.stopMonitoring();
             delete this._usb;
         }
     }
 
+    _onHotplug(added, name) {
+        logger.debug(`Hotplug : ${(added) ? 'ADD' : 'REMOVE'} - ${name}`);
+        // USB device names rarely match their MIDI port names, so every device is checked against the connected
+        //  ports. Events are handled in order so that a port is never bound to more than one pattern record.
+        this._hotplugQueue = this._hotplugQueue.then(() => {
+            if (added) {
+                return portIndex.resolve().then(() => {
+                    this._attach();
+                });
+            }
+            this._detach();
+        }).catch((err) => {
+            logger.error(`Error occurred during hotplug event.\n${err}`);
+        });
+        return this._hotplugQueue;
+    }
+
+    /**
+     * Open every device whose hardware is connected but has not been opened.
+     * @private
+     */
+    _attach() {
+        for (let io of [... this.inputs, ... this.outputs]) {
+            if (io.isAttached || io.isVirtual) {
+                continue;
+            }
+            let record = this._patterns.get(io);
+            if (record) {
+                if (record.resolved) {
+                    io.open(record.name, record.port, record.nickname, record.client);
+                }
+            } else {
+                io.reopen();
+            }
+            if (io.isAttached) {
+                logger.info(`Device attached: ${io.nickname}`);
+                this.emit('attach', io);
+            }
+        }
+    }
+
+    /**
+     * Close every device whose port is no longer connected. Pattern records bound to these ports are released.
+     * @private
+     */
+    _detach() {
+        let live = this.ports;
+        for (let io of [... this.inputs, ... this.outputs]) {
+            if (!io.isAttached || io.isVirtual) {
+                continue;
+            }
+            let connected = live.some((port) => {
+                return port.name === io.name && port.port === io.portNumber && port.client === io.client;
+            });
+            if (connected) {
+                continue;
+            }
+            io.close(false);
+            let record = this._patterns.get(io);
+            if (record) {
+                record.unresolve();
+            }
+            if (io instanceof Input) {
+                this._watchdog.reset(io);
+                this._onDropout(io, 'removed');
+            }
+            logger.info(`Device detached: ${io.nickname}`);
+            this.emit('detach', io);
+        }
+    }
+
+    _onDropout(input, reason) {
+        logger.warn(`Lost connection to ${input.nickname || input.name}. (${reason})`);
+        // The note-offs for anything this device was playing are never going to arrive.
+        this.releaseNotes({ source: input });
+        this.emit('dropout', input, reason);
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _registryEntry(port) {
+        if (port.isPattern) {
+            // Pattern records keep the same device objects as they are bound to different ports over time.
+            return { key: `@${port.nickname}`, slot: 0 };
+        }
+        // Ports bound to a specific client are kept apart from identical devices opened by name only.
+        return { key: (port.client !== undefined) ? `${port.name} ${port.client}` : port.name, slot: port.port };
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _list(registry) {
+        let result = [];
+        for (let key in registry) {
+            for (let io of registry[key]) {
+                if (io) {
+                    result.push(io);
+                }
+            }
+        }
+        return result;
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _find(registry, port) {
+        return this._list(registry).find((io) => {
+            return io.name === port.name && io.portNumber === port.port
+                && (port.client === undefined || io.client === port.client);
+        });
+    }
+
+    /**
+     * Get all inputs opened by the Core.
+     * @returns {Input[]}
+     */
+    get inputs() {
+        return this._list(this._inputs);
+    }
+
+    /**
+     * Get all outputs opened by the Core.
+     * @returns {Output[]}
+     */
+    get outputs() {
+        return this._list(this._outputs);
+    }
+
+    /**
+     * Find an input previously opened by the Core.
+     * @param {PortRecord} port - The record describing the port.
+     * @returns {Input|undefined}
+     */
+    findInput(port) {
+        return this._find(this._inputs, port);
+    }
+
+    /**
+     * Find an output previously opened by the Core.
+     * @param {PortRecord} port - The record describing the port.
+     * @returns {Output|undefined}
+     */
+    findOutput(port) {
+        return this._find(this._outputs, port);
+    }
+
     // noinspection JSMethodCanBeStatic
     _setListenFlags(listenFlags, ... inputs) {
         for (let input of inputs) {
             input.listenSysex = listenFlags.sysex;
             input.listenClock = listenFlags.clock;
             input.listenActiveSense = listenFlags.activeSense;
+            input.listenParameters = listenFlags.parameters;
         }
     }
 
@@ -801,16 +1989,35 @@ class Core {
     _open(type, registry, ... ports) {
         let opened = [];
         for (let port of ports) {
-            if (registry[port.name] && registry[port.name][port.port]) {
-                opened.push(registry[port.name][port.port]);
+            let { key, slot } = this._registryEntry(port);
+            if (registry[key] && registry[key][slot]) {
+                opened.push(registry[key][slot]);
                 continue;
             }
-            let opening = new type().open(port.name, port.port, port.nickname);
+            let opening = new type();
+            if (port.virtual) {
+                opening.openVirtual(port.name, port.nickname);
+            } else if (port.resolved) {
+                opening.open(port.name, port.port, port.nickname, port.client);
+            } else {
+                // Opened once a matching device connects.
+                logger.debug(`Device ${port.nickname} is waiting for a matching device to connect.`);
+                opening.nickname = port.nickname;
+            }
+            if (port.queue && opening instanceof Output) {
+                opening.queue = port.queue;
+            }
+            if (port.isPattern) {
+                this._patterns.set(opening, port);
+            }
+            if (opening instanceof Input) {
+                this._watchdog.watch(opening);
+            }
             opened.push(opening);
-            if (!registry[port.name]) {
-                registry[port.name] = [];
+            if (!registry[key]) {
+                registry[key] = [];
             }
-            registry[port.name][port.port] = opening;
+            registry[key][slot] = opening;
         }
         return opened;
     }
@@ -827,9 +2034,37 @@ class Core {
         return this._open(Output, this._outputs, ... ports);
     }
 
+    /**
+     * Create virtual input and output ports for the given records. Ports already created are reused.
+     * @param {PortRecord} ports - Records describing the virtual ports to be created.
+     * @returns {{inputs: Input[], outputs: Output[]}}
+     */
+    openVirtualPorts(... ports) {
+        let _ports = [];
+        for (let port of ports) {
+            if (!port.virtual) {
+                logger.warn(`Port ${port.nickname} is not virtual; Skipping.`);
+                continue;
+            }
+            if (!tools.containsValue(this._virtualNames, port.name)) {
+                this._virtualNames.push(port.name);
+            }
+            _ports.push(port);
+        }
+        return {
+            inputs: this._open(Input, this._inputs, ... _ports),
+            outputs: this._open(Output, this._outputs, ... _ports)
+        };
+    }
+
     _openAll(type, registry) {
         let map = this.deviceMap;
         let result = [];
+        for (let name of this._virtualNames) {
+            if (registry[name]) {
+                result.push(... registry[name]);
+            }
+        }
         for (let name in map) {
             if (registry[name]) {
                 result.push(... registry[name]);
@@ -856,6 +2091,33 @@ class Core {
         return this._openAll(Output, this._outputs);
     }
 
+    /**
+     * Close inputs and outputs opened by the Core, releasing any notes left sounding on the outputs first.
+     * @param {Device} devices - The inputs and outputs to close.
+     */
+    close(... devices) {
+        for (let registry of [this._inputs, this._outputs]) {
+            for (let key in registry) {
+                registry[key].forEach((device, slot) => {
+                    if (!device || devices.indexOf(device) < 0) {
+                        return;
+                    }
+                    if (device instanceof Output) {
+                        device.releaseNotes(undefined, true);
+                    } else {
+                        this._watchdog.unwatch(device);
+                    }
+                    this._patterns.delete(device);
+                    device.close();
+                    delete registry[key][slot];
+                });
+                if (!registry[key].some((device) => !!device)) {
+                    delete registry[key];
+                }
+            }
+        }
+    }
+
     // noinspection JSMethodCanBeStatic
     deviceMapByName(... names) {
         // TODO: Combine with deviceMap getter, make static if possible
@@ -865,17 +2127,62 @@ class Core {
         return map;
     }
 
+    /**
+     * Get records of all hardware ports currently connected to the system, including their client numbers.
+     * @returns {PortRecord[]}
+     */
+    get ports() {
+        let input = new Input();
+        let ignored = [... this._ignoredDevices, ... this._virtualNames];
+        let result = [];
+        for (let i = 0; i < input._device.getPortCount(); i++) {
+            let port = PortRecord.parse(input._device.getPortName(i));
+            if (port && !tools.containsValue(ignored, port.name)) {
+                result.push(port);
+            }
+        }
+        input.release();
+        return result;
+    }
+
     // noinspection JSMethodCanBeStatic
+    /**
+     * Send note-offs on every output for the held notes sent with a tag matching the given criteria.
+     * @param {Object} [criteria] - Tag properties to match, eg. `{ source: input }`. All notes are released if not
+     *      provided.
+     * @param {boolean} [immediate=false] - Bypass the send queues.
+     */
+    releaseNotes(criteria, immediate = false) {
+        for (let output of this.outputs) {
+            output.releaseNotes(criteria, immediate);
+        }
+    }
+
+    /**
+     * Send All Notes Off, All Sound Off and Reset All Controllers on every channel of every open output.
+     */
+    panic() {
+        logger.info('Panic!');
+        for (let output of this.outputs) {
+            output.panic();
+        }
+    }
+
     get deviceMap() {
         // TODO: Make this static if possible
         let input = new Input();
-        let map = input.portMap(this._ignoredDevices);
+        let map = input.portMap([... this._ignoredDevices, ... this._virtualNames]);
         input.release();
         return map;
     }
 
     onExit() {
-        this.hotplug = false;
+        if (this.hotplug) {
+            this.hotplug = false;
+        }
+        // The process is exiting, so there is no waiting on the send queues.
+        this.releaseNotes(undefined, true);
+        this._watchdog.unwatchAll();
         for (let registry of [this._inputs, this._outputs]) {
             for (let name in registry) {
                 for (let port in registry[name]) {
@@ -884,15 +2191,23 @@ class Core {
                 }
             }
         }
+        this._virtualNames = [];
+        this._patterns.clear();
     }
 }
 
 
+const core = new Core();
+const portIndex = new PortIndex();
+
 module.exports = {
-    Core: new Core(),
+    ANY_PORT: ANY_PORT,
+    Core: core,
     Input: Input,
     Output: Output,
     Message: Message,
+    ParameterAssembler: ParameterAssembler,
+    ParameterMessage: ParameterMessage,
     PortRecord: PortRecord,
-    PortIndex: new PortIndex()
+    PortIndex: portIndex
 };
\ No newline at end of file
@@ -0,0 +1,332 @@
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+const tools = require('../tools');
+
+// Kept clear of the client numbers used by ALSA and the loopback backend.
+const CLIENT_BASE = 192;
+
+/**
+ * A MIDI device reached through something other than the MIDI backend, such as a network session. The ports of
+ *  connected endpoints are listed after the backend's ports, so they are opened, mapped and hotplugged like any
+ *  other device.
+ *
+ * Subclasses implement `_send(port, bytes)`, call `_receive(port, bytes)` with each message from the device, and
+ *  call `_setConnected(connected)` as the device comes and goes.
+ *
+ * @interface
+ */
+class Endpoint extends EventEmitter {
+    /**
+     * @param {string} name - The device name used for the endpoint's ports.
+     * @param {Object} [opts]
+     * @param {number} [opts.ports=1] - Number of ports on the device.
+     */
+    constructor(name, { ports = 1 } = {}) {
+        super();
+        this._name = name;
+        this._ports = Math.max(1, Math.trunc(ports));
+        this._client = undefined;
+        this._connected = false;
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get ports() {
+        return this._ports;
+    }
+
+    /**
+     * The client number assigned to this endpoint by the {EndpointManager}.
+     * @returns {number|undefined}
+     */
+    get client() {
+        return this._client;
+    }
+
+    get connected() {
+        return this._connected;
+    }
+
+    /**
+     * The key of the endpoint's settings in a device configuration record, eg. 'osc'.
+     * @returns {string|undefined}
+     */
+    get type() {
+        return undefined;
+    }
+
+    /**
+     * The settings the endpoint was created with, as saved in the configuration.
+     * @returns {Object|undefined}
+     */
+    get config() {
+        return undefined;
+    }
+
+    portName(port) {
+        return `${this._name} ${this._client}:${port}`;
+    }
+
+    /**
+     * Make the device available. Endpoints that have to set up a connection first override this.
+     * @returns {Promise}
+     */
+    open() {
+        this._setConnected(true);
+        return Promise.resolve();
+    }
+
+    close() {
+        this._setConnected(false);
+    }
+
+    /**
+     * Send a message to the device.
+     * @param {number} port - The device port the message is sent to.
+     * @param {number[]} bytes - The MIDI message.
+     */
+    send(port, bytes) {
+        if (this._connected) {
+            this._send(port, bytes);
+        }
+    }
+
+    _send(port, bytes) {
+        throw "Not implemented!";
+    }
+
+    _receive(port, bytes) {
+        this.emit('message', port, [... bytes]);
+    }
+
+    _setConnected(connected) {
+        if (this._connected !== connected) {
+            this._connected = connected;
+            this.emit((connected) ? 'connect' : 'disconnect', this);
+        }
+    }
+}
+
+/**
+ * Wraps a port object created by the MIDI backend so that the ports of connected endpoints are listed after the
+ *  backend's own ports. Provides the same API as node-midi's port objects.
+ */
+class EndpointPort extends EventEmitter {
+    constructor(manager, native) {
+        super();
+        this._manager = manager;
+        this._native = native;
+        this._endpoint = undefined;
+        this._port = -1;
+    }
+
+    _entry(index) {
+        return this._manager._portList()[index - this._native.getPortCount()];
+    }
+
+    getPortCount() {
+        return this._native.getPortCount() + this._manager._portList().length;
+    }
+
+    getPortName(index) {
+        if (index < this._native.getPortCount()) {
+            return this._native.getPortName(index);
+        }
+        let entry = this._entry(index);
+        return (entry) ? entry.endpoint.portName(entry.port) : '';
+    }
+
+    openPort(index) {
+        if (index < this._native.getPortCount()) {
+            this._native.openPort(index);
+            return;
+        }
+        let entry = this._entry(index);
+        if (entry) {
+            this._endpoint = entry.endpoint;
+            this._port = entry.port;
+            this._onOpen();
+        }
+    }
+
+    openVirtualPort(name) {
+        this._native.openVirtualPort(name);
+    }
+
+    closePort() {
+        if (this._endpoint) {
+            this._onClose();
+            this._endpoint = undefined;
+            this._port = -1;
+        } else {
+            this._native.closePort();
+        }
+    }
+
+    isPortOpen() {
+        return (this._endpoint) ? this._endpoint.connected : this._native.isPortOpen();
+    }
+
+    release() {
+        if (this._endpoint) {
+            this.closePort();
+        }
+        this._native.release();
+    }
+
+    _onOpen() {
+        // Optional override
+    }
+
+    _onClose() {
+        // Optional override
+    }
+}
+
+class EndpointInput extends EndpointPort {
+    constructor(manager, native) {
+        super(manager, native);
+        this._ignoreSysex = true;
+        this._ignoreTiming = true;
+        this._ignoreActiveSensing = true;
+        this._lastTime = undefined;
+        this._onMessage = (port, bytes) => {
+            if (port === this._port && !this._isIgnored(bytes[0])) {
+                let now = tools.now();
+                let deltaTime = (this._lastTime === undefined) ? 0 : (now - this._lastTime) / 1e9;
+                this._lastTime = now;
+                this.emit('message', deltaTime, bytes);
+            }
+        };
+        native.on('message', (deltaTime, message) => {
+            this.emit('message', deltaTime, message);
+        });
+    }
+
+    ignoreTypes(sysex, timing, activeSensing) {
+        this._ignoreSysex = sysex;
+        this._ignoreTiming = timing;
+        this._ignoreActiveSensing = activeSensing;
+        this._native.ignoreTypes(sysex, timing, activeSensing);
+    }
+
+    _isIgnored(status) {
+        // Matches RtMidi's type filtering; Timing includes MIDI Time Code quarter frames.
+        return (this._ignoreSysex && status === 0xF0)
+            || (this._ignoreTiming && (status === 0xF8 || status === 0xF1))
+            || (this._ignoreActiveSensing && status === 0xFE);
+    }
+
+    _onOpen() {
+        this._lastTime = undefined;
+        this._endpoint.on('message', this._onMessage);
+    }
+
+    _onClose() {
+        this._endpoint.off('message', this._onMessage);
+    }
+}
+
+class EndpointOutput extends EndpointPort {
+    sendMessage(bytes) {
+        if (this._endpoint) {
+            this._endpoint.send(this._port, bytes);
+        } else {
+            this._native.sendMessage(bytes);
+        }
+    }
+}
+
+/**
+ * Keeps track of the endpoints available to the Core. Emits a 'hotplug' event with the arguments
+ *  (added {boolean}, name {string}) when an endpoint connects or disconnects, as a {Backend} does.
+ */
+class EndpointManager extends EventEmitter {
+    constructor() {
+        super();
+        this._endpoints = [];
+        this._nextClient = CLIENT_BASE;
+        this._onConnect = (endpoint) => {
+            logger.debug(`Endpoint connected: ${endpoint.name}`);
+            this.emit('hotplug', true, endpoint.name);
+        };
+        this._onDisconnect = (endpoint) => {
+            logger.debug(`Endpoint disconnected: ${endpoint.name}`);
+            this.emit('hotplug', false, endpoint.name);
+        };
+    }
+
+    get endpoints() {
+        return [... this._endpoints];
+    }
+
+    /**
+     * Make an endpoint's ports available while it is connected.
+     * @param {Endpoint} endpoint
+     */
+    add(endpoint) {
+        if (!(endpoint instanceof Endpoint)) {
+            throw new TypeError('Endpoint must extend the Endpoint class.');
+        }
+        if (this._endpoints.indexOf(endpoint) > -1) {
+            return;
+        }
+        endpoint._client = this._nextClient++;
+        this._endpoints.push(endpoint);
+        endpoint.on('connect', this._onConnect);
+        endpoint.on('disconnect', this._onDisconnect);
+        if (endpoint.connected) {
+            this._onConnect(endpoint);
+        }
+    }
+
+    /**
+     * Remove an endpoint. Its ports are no longer listed.
+     * @param {Endpoint} endpoint
+     */
+    remove(endpoint) {
+        if (this._endpoints.indexOf(endpoint) === -1) {
+            return;
+        }
+        tools.removeFromArray(endpoint, this._endpoints);
+        endpoint.off('connect', this._onConnect);
+        endpoint.off('disconnect', this._onDisconnect);
+        if (endpoint.connected) {
+            this._onDisconnect(endpoint);
+        }
+    }
+
+    /**
+     * Wrap an input port object created by the MIDI backend.
+     * @param {Object} native - The backend's input port object.
+     * @returns {EndpointInput}
+     */
+    createInput(native) {
+        return new EndpointInput(this, native);
+    }
+
+    /**
+     * Wrap an output port object created by the MIDI backend.
+     * @param {Object} native - The backend's output port object.
+     * @returns {EndpointOutput}
+     */
+    createOutput(native) {
+        return new EndpointOutput(this, native);
+    }
+
+    _portList() {
+        let result = [];
+        for (let endpoint of this._endpoints) {
+            if (endpoint.connected) {
+                for (let port = 0; port < endpoint.ports; port++) {
+                    result.push({ endpoint, port });
+                }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = { Endpoint, Manager: new EndpointManager() };
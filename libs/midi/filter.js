@@ -20,6 +20,11 @@ const { Message } = require('./core');
  * @param {Object<string, number>} value - The value parsed to match the {Adjuster}'s `valueMap`.
  */
 
+/**
+ * User mapping keys that can be used in place of `controller` to trigger a cc Adjuster with a parameter message.
+ */
+const PARAMETER_MAPPING_KEYS = Object.freeze(['rpn', 'nrpn', 'cc14']);
+
 class Adjuster extends EventEmitter {
     /**
      * @param {Object} opts - An object defining the properties to build this Adjuster with.
@@ -54,13 +59,19 @@ class Adjuster extends EventEmitter {
 
     process(message) {
         if (this._handler && this._userMap) {
-            for (let { 0: property, 1: value } in Object.entries(this._userMap)) {
-                if (message[property] !== value) {
+            let read = (property) => {
+                // Parameter messages carry 14-bit values; Adjusters mapped to them operate on the coarse value.
+                return (this._mappedType !== this._type && property === 'value')
+                    ? message.coarse
+                    : message[property];
+            };
+            for (let { 0: property, 1: value } of Object.entries(this._userMap)) {
+                if (read(property) !== value) {
                     return false;
                 }
             }
             if (this._potPickup) {
-                let value = message[this._valueKey];
+                let value = read(this._valueKey);
                 if (value !== undefined) {
                     if (Math.abs(this._value - value) <= 1) {
                         this._value = value;
@@ -68,7 +79,7 @@ class Adjuster extends EventEmitter {
                     }
                 }
             } else {
-                this._handler(message[this._valueKey]);
+                this._handler(read(this._valueKey));
             }
             return true;
         }
@@ -138,33 +149,67 @@ class Adjuster extends EventEmitter {
         }
         if (Message.isTypeValid(type)) {
             this._type = type;
+            this._mappedType = type;
         } else {
             throw "Invalid message type provided!";
         }
     }
 
+    /**
+     * The message type that triggers this Adjuster with its current user mapping. This differs from `type` when
+     *  a cc Adjuster is mapped to a RPN, NRPN or 14-bit cc parameter.
+     * @returns {number}
+     */
+    get mappedType() {
+        return this._mappedType;
+    }
+
     get userMapping() {
-        return this._userMap || {};
+        return this._userMapping || {};
     }
 
+    /**
+     * Map this Adjuster to the controls that will trigger it.
+     * Adjusters triggered by a `controller` may instead be mapped with a `rpn`, `nrpn` or `cc14` parameter number.
+     * @param {Object<string, number>|undefined} map - The mapping, or undefined to unmap the Adjuster.
+     */
     set userMapping(map) {
         if (map) {
             let userMap = {};
-            for (let { 0: name, 1: value } of Object.entries(this._triggerMap)) {
-                if (map[name] === undefined) {
+            let triggerMap = this._triggerMap;
+            let parameterKey = (this._type === 0x0B && map.controller === undefined && 'controller' in triggerMap)
+                ? PARAMETER_MAPPING_KEYS.find(key => map[key] !== undefined)
+                : undefined;
+            if (parameterKey) {
+                triggerMap = Object.assign({}, triggerMap);
+                delete triggerMap.controller;
+                userMap.parameter = map[parameterKey];
+            }
+            for (let { 0: name, 1: value } of Object.entries(triggerMap)) {
+                if (typeof value === 'number') {
+                    // Required values are fixed by the Adjuster; They don't need to be in the user's mapping.
+                    userMap[name] = value;
+                } else if (map[name] === undefined) {
                     if (value !== false) {
                         throw `Adjuster mapping missing required field '${name}'!`;
                     }
                 } else {
-                    if (typeof value === 'number') {
-                        userMap[name] = value;
-                    } else {
-                        userMap[name] = map[name];
-                    }
+                    userMap[name] = map[name];
                 }
             }
+            let userMapping = Object.assign({}, userMap);
+            if (parameterKey) {
+                delete userMapping.parameter;
+                userMapping[parameterKey] = userMap.parameter;
+            }
+            this._mappedType = (parameterKey) ? Message.typeFromString(parameterKey) : this._type;
             this._userMap = userMap;
-            this.emit('mapped', this._userMap);
+            this._userMapping = userMapping;
+            this.emit('mapped', this._userMapping);
+        } else if (this._userMap) {
+            this._userMap = undefined;
+            this._userMapping = undefined;
+            this.emit('mapped', {});
         }
     }
 
@@ -244,19 +289,21 @@ class Filter {
         }
         for (let adjuster of _adjusters) {
             let mappingHandler = (mapping) => {
-                if (Object.keys(mapping).length) {
-                    if (!this._mappedAdjusters[adjuster.type]) {
-                        this._mappedAdjusters[adjuster.type] = {};
-                    }
-                    this._mappedAdjusters[adjuster.type][adjuster.name] = adjuster;
-                } else {
-                    if (this._mappedAdjusters[adjuster.type]) {
-                        delete this._mappedAdjusters[adjuster.type][adjuster.name];
-                        if (!Object.keys(this._mappedAdjusters[adjuster.type]).length) {
-                            delete this._mappedAdjusters[adjuster.type];
+                // The triggering type may change between mappings, so the adjuster is removed from every type first.
+                for (let type in this._mappedAdjusters) {
+                    if (this._mappedAdjusters[type][adjuster.name] === adjuster) {
+                        delete this._mappedAdjusters[type][adjuster.name];
+                        if (!Object.keys(this._mappedAdjusters[type]).length) {
+                            delete this._mappedAdjusters[type];
                         }
                     }
                 }
+                if (Object.keys(mapping).length) {
+                    if (!this._mappedAdjusters[adjuster.mappedType]) {
+                        this._mappedAdjusters[adjuster.mappedType] = {};
+                    }
+                    this._mappedAdjusters[adjuster.mappedType][adjuster.name] = adjuster;
+                }
             };
             mappingHandler(adjuster.userMapping);
             adjuster.on('mapped', mappingHandler);
@@ -278,10 +325,9 @@ class Filter {
      */
     set adjusters(adjusters) {
         if (adjusters) {
+            // Adjusters left out are unmapped.
             for (let adjuster of this._availableAdjusters) {
-                if (adjusters[adjuster.name]) {
-                    adjuster.userMapping = adjusters[adjuster.name];
-                }
+                adjuster.userMapping = adjusters[adjuster.name];
             }
         }
     }
@@ -329,7 +375,7 @@ class Filter {
     _processAdjusters(message) {
         let type = message.type;
         if (this._mappedAdjusters[type]) {
-            for (let { 0: name, 1: adjuster } of Object.entries(this._mappedAdjusters)) {
+            for (let { 0: name, 1: adjuster } of Object.entries(this._mappedAdjusters[type])) {
                 let processed = adjuster.process(message);
                 if (processed) {
                     logger.debug(`${this.constructor.name} process handled by mapped action '${name}'.`);
@@ -403,15 +449,19 @@ class ChannelFilter extends Filter {
      * @param {Number[]} [opts.blacklist] - An array of integers representing the only channels to be ignored.
      *      Messages on all other channels will be processed.
      * @param {Object} [opts.map] - an object mapping input channels to a different output channel.
+     * @param {Object} [opts.parameters] - The only parameter numbers to be listened to, keyed by parameter type
+     *      ('rpn', 'nrpn' or 'cc14'). Parameter messages of a listed type with any other number will be ignored.
+     *      Parameter messages are assembled by inputs listening for them; See {Input#listenParameters}.
      * @example <caption>Example of a channel mapping.</caption>
      *      // Input messages on channel 6 will be forwarded to 1, 7 to 2, 8 to 3.
      *      { "6": 1, "7": 2, "8": 3 }
      */
-    constructor({ whitelist = [], blacklist = [], map = {} } = {}) {
+    constructor({ whitelist = [], blacklist = [], map = {}, parameters = {} } = {}) {
         super();
         this._whitelist = whitelist;
         this._blacklist = blacklist;
         this._map = map;
+        this._parameters = parameters;
     }
 
     static _makeList(... channels) {
@@ -435,7 +485,18 @@ class ChannelFilter extends Filter {
         this._map = map;
     }
 
+    set parameters(parameters) {
+        this._parameters = parameters;
+    }
+
     _process(message) {
+        if (Message.isParameterType(message.type)) {
+            let numbers = this._parameters[message.typeString];
+            if (numbers && !tools.containsValue(numbers, message.parameter)) {
+                logger.debug(`Parameter is not listened to! ${message.typeString} ${message.parameter}`);
+                return false;
+            }
+        }
         let channel = message.channel + 1;
         if (!!this._whitelist.length) {
             if (!tools.containsValue(this._whitelist, channel)) {
@@ -467,6 +528,9 @@ class ChannelFilter extends Filter {
         if (!!Object.keys(this._map).length) {
             settings.map = this._map;
         }
+        if (!!Object.keys(this._parameters).length) {
+            settings.parameters = this._parameters;
+        }
         return settings;
     }
 }
@@ -522,6 +586,14 @@ class ChordFilter extends Filter {
         this.chord = chord;
     }
 
+    /**
+     * Get the names of the supported chords.
+     * @returns {string[]}
+     */
+    static get chords() {
+        return [... Chords];
+    }
+
     _adjusters() {
         return [
             new Adjuster({
@@ -547,7 +619,7 @@ class ChordFilter extends Filter {
         if (this._chord === chord) {
             return;
         } else if (!Chord[chord]) {
-            throw "Unsupported value for `chord`.";
+            throw `Unsupported value for \`chord\`: ${JSON.stringify(chord)}`;
         }
         this._chord = chord;
         this._offsets = Chord[chord];
@@ -556,7 +628,7 @@ class ChordFilter extends Filter {
     _process(message) {
         let result = [];
         for (let offset of this._offsets) {
-            let note = message.note += offset;
+            let note = message.note + offset;
             if (!tools.withinRange(note, 0, 127)) {
                 continue;
             }
@@ -772,8 +844,8 @@ class VelocityFilter extends Filter {
             case 'clip':
             default:
                 this._processor = (velocity) => {
-                    return tools.clipToRange(message.velocity, this._min, this._max);
-                }
+                    return tools.clipToRange(velocity, this._min, this._max);
+                };
         }
     }
 
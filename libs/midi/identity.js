@@ -0,0 +1,268 @@
+const logger = require('log4js').getLogger();
+const midi = require('./core');
+const { SYSEX_END, SYSEX_START } = require('./parser');
+
+const UNIVERSAL_NON_REALTIME = 0x7E;
+const ALL_CALL = 0x7F;
+const GENERAL_INFORMATION = 0x06;
+const IDENTITY_REQUEST_ID = 0x01;
+const IDENTITY_REPLY_ID = 0x02;
+
+const IDENTITY_REQUEST = Object.freeze(
+    [SYSEX_START, UNIVERSAL_NON_REALTIME, ALL_CALL, GENERAL_INFORMATION, IDENTITY_REQUEST_ID, SYSEX_END]);
+const DISCOVERY_TIMEOUT_DEFAULT = 500;
+
+const toHex = (bytes) => {
+    return bytes.map((byte) => byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+};
+
+/**
+ * Convert a manufacturer ID to its bytes. IDs may be given as an array of bytes, a string of hex bytes
+ *  (eg. "00 20 29") or a number.
+ * @param {number[]|string|number} manufacturer
+ * @returns {number[]}
+ */
+const manufacturerBytes = (manufacturer) => {
+    if (Array.isArray(manufacturer)) {
+        return [... manufacturer];
+    } else if (typeof manufacturer === 'number') {
+        return (manufacturer > 0x7F)
+            ? [0, (manufacturer >> 8) & 0x7F, manufacturer & 0x7F]
+            : [manufacturer];
+    } else if (typeof manufacturer === 'string') {
+        let hex = manufacturer.replace(/0x|\s/gi, '');
+        let result = [];
+        for (let i = 0; i < hex.length; i += 2) {
+            result.push(parseInt(hex.substr(i, 2), 16));
+        }
+        return result;
+    }
+    return [];
+};
+
+/**
+ * Convert a version to its 4 bytes. Versions may be given as an array of bytes or a dotted string (eg. "1.0.2.0").
+ * @param {number[]|string} version
+ * @returns {number[]}
+ */
+const versionBytes = (version) => {
+    let result = (typeof version === 'string') ? version.split('.').map((part) => parseInt(part)) : [... version];
+    while (result.length < 4) {
+        result.push(0);
+    }
+    return result.slice(0, 4);
+};
+
+/**
+ * The identity reported by a device in response to a Universal SysEx Identity Request.
+ */
+class DeviceIdentity {
+    /**
+     * Check if a message is an Identity Request.
+     * @param {number[]} bytes - Bytes of the message.
+     * @returns {boolean}
+     */
+    static isRequest(bytes) {
+        return bytes.length === IDENTITY_REQUEST.length && bytes[0] === SYSEX_START
+            && bytes[1] === UNIVERSAL_NON_REALTIME && bytes[3] === GENERAL_INFORMATION
+            && bytes[4] === IDENTITY_REQUEST_ID;
+    }
+
+    /**
+     * Parse an Identity Reply message.
+     * @param {number[]} bytes - Bytes of the message.
+     * @returns {DeviceIdentity|undefined} The identity, or undefined if the message is not an Identity Reply.
+     */
+    static parse(bytes) {
+        if (bytes.length < 15 || bytes[0] !== SYSEX_START || bytes[1] !== UNIVERSAL_NON_REALTIME
+            || bytes[3] !== GENERAL_INFORMATION || bytes[4] !== IDENTITY_REPLY_ID) {
+            return undefined;
+        }
+        // Manufacturer IDs starting with 0 are extended 3 byte IDs.
+        let length = (bytes[5] === 0) ? 3 : 1;
+        let index = 5 + length;
+        if (bytes.length < index + 9) {
+            return undefined;
+        }
+        return new DeviceIdentity({
+            deviceId: bytes[2],
+            manufacturer: bytes.slice(5, index),
+            family: bytes[index] + (bytes[index + 1] << 7),
+            model: bytes[index + 2] + (bytes[index + 3] << 7),
+            version: bytes.slice(index + 4, index + 8)
+        });
+    }
+
+    /**
+     * @param {Object} identity
+     * @param {number} [identity.deviceId=0x7F] - The device ID (sysex channel) of the device.
+     * @param {number[]|string|number} identity.manufacturer - The manufacturer's sysex ID.
+     * @param {number} [identity.family=0] - The device family code.
+     * @param {number} [identity.model=0] - The device family member (model) code.
+     * @param {number[]|string} [identity.version] - The software revision level, as 4 bytes.
+     */
+    constructor({ deviceId = ALL_CALL, manufacturer, family = 0, model = 0, version = [0, 0, 0, 0] }) {
+        this._deviceId = deviceId;
+        this._manufacturer = manufacturerBytes(manufacturer);
+        this._family = family;
+        this._model = model;
+        this._version = versionBytes(version);
+    }
+
+    get deviceId() {
+        return this._deviceId;
+    }
+
+    /**
+     * The manufacturer's sysex ID as hex bytes, eg. "00 20 29".
+     * @returns {string}
+     */
+    get manufacturer() {
+        return toHex(this._manufacturer);
+    }
+
+    get family() {
+        return this._family;
+    }
+
+    get model() {
+        return this._model;
+    }
+
+    /**
+     * The software revision level as dotted bytes, eg. "1.0.2.0".
+     * @returns {string}
+     */
+    get version() {
+        return this._version.join('.');
+    }
+
+    /**
+     * Get the Identity Reply message describing this identity.
+     * @returns {number[]}
+     */
+    get bytes() {
+        return [
+            SYSEX_START, UNIVERSAL_NON_REALTIME, this._deviceId, GENERAL_INFORMATION, IDENTITY_REPLY_ID,
+            ... this._manufacturer,
+            this._family & 0x7F, (this._family >> 7) & 0x7F,
+            this._model & 0x7F, (this._model >> 7) & 0x7F,
+            ... this._version,
+            SYSEX_END
+        ];
+    }
+
+    /**
+     * Check if this identity matches the given criteria. Only the properties present in the criteria are compared.
+     * @param {Object} criteria - Any of the properties accepted by the constructor.
+     * @returns {boolean}
+     */
+    matches(criteria) {
+        if (!criteria) {
+            return false;
+        }
+        if (criteria.manufacturer !== undefined
+            && toHex(manufacturerBytes(criteria.manufacturer)) !== this.manufacturer) {
+            return false;
+        }
+        if (criteria.version !== undefined && versionBytes(criteria.version).join('.') !== this.version) {
+            return false;
+        }
+        for (let key of ['deviceId', 'family', 'model']) {
+            if (criteria[key] !== undefined && criteria[key] !== this[key]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    toJson() {
+        return {
+            deviceId: this.deviceId,
+            manufacturer: this.manufacturer,
+            family: this.family,
+            model: this.model,
+            version: this.version
+        };
+    }
+
+    toString() {
+        return `Manufacturer: ${this.manufacturer}, Family: ${this.family}, Model: ${this.model}, `
+            + `Version: ${this.version}, Device ID: ${this.deviceId}`;
+    }
+}
+
+const closeTemporary = (... devices) => {
+    for (let { device, temporary } of devices) {
+        if (temporary && device) {
+            device.close();
+        }
+    }
+};
+
+/**
+ * Send an Identity Request to the output of a port and wait for the reply on its paired input. Ports already opened
+ *  by the Core are reused; Otherwise the ports are opened for the duration of the request.
+ * @param {PortRecord} record - The port to query.
+ * @param {number} timeout - Milliseconds to wait for a reply.
+ * @returns {Promise<DeviceIdentity|undefined>}
+ */
+const query = (record, timeout) => {
+    let output = { device: midi.Core.findOutput(record), temporary: false };
+    let input = { device: midi.Core.findInput(record), temporary: false };
+    for (let { entry, type } of [{ entry: output, type: midi.Output }, { entry: input, type: midi.Input }]) {
+        if (!entry.device) {
+            entry.device = new type().open(record.name, record.port, undefined, record.client);
+            entry.temporary = true;
+        }
+    }
+    if (!output.device.isOpen || !input.device.isOpen) {
+        logger.debug(`Identity of ${record.name} ${record.port} cannot be requested; Ports could not be opened.`);
+        closeTemporary(output, input);
+        return Promise.resolve(undefined);
+    }
+    return new Promise((resolve) => {
+        let identity;
+        let listenSysex = input.device.listenSysex;
+        let onMessage = (device, message) => {
+            let reply = DeviceIdentity.parse(message.bytes);
+            if (reply) {
+                identity = identity || reply;
+                // Replies are consumed so they are not routed to other devices.
+                return true;
+            }
+        };
+        input.device.listenSysex = true;
+        input.device.bind(onMessage, true);
+        output.device.sendMessage([... IDENTITY_REQUEST]);
+        setTimeout(() => {
+            input.device.unbind(onMessage);
+            input.device.listenSysex = listenSysex;
+            closeTemporary(output, input);
+            resolve(identity);
+        }, timeout);
+    });
+};
+
+/**
+ * Request the identity of each given port. The identities of ports that reply are stored on their records.
+ * @param {PortRecord[]} records - The ports to identify. Virtual ports are skipped.
+ * @param {Object} [opts]
+ * @param {number} [opts.timeout=500] - Milliseconds to wait for replies.
+ * @returns {Promise<PortRecord[]>} The records that replied with their identity.
+ */
+const identify = (records, { timeout = DISCOVERY_TIMEOUT_DEFAULT } = {}) => {
+    let hardware = records.filter((record) => !record.virtual);
+    return Promise.all(hardware.map((record) => query(record, timeout))).then((identities) => {
+        let result = [];
+        identities.forEach((identity, i) => {
+            if (identity) {
+                hardware[i].identity = identity;
+                result.push(hardware[i]);
+            }
+        });
+        return result;
+    });
+};
+
+module.exports = { DeviceIdentity, IDENTITY_REQUEST, identify };
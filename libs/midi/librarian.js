@@ -0,0 +1,211 @@
+const fs = require('fs');
+const logger = require('log4js').getLogger();
+const midi = require('./core');
+const parser = require('./parser');
+const path = require('path');
+const tools = require('../tools');
+
+const EXTENSION = '.syx';
+// Milliseconds to wait for the first message of a dump; Many synths only send once a button is pressed.
+const TIMEOUT_DEFAULT = 60000;
+// Milliseconds without sysex after which a dump is considered complete.
+const IDLE_DEFAULT = 2000;
+
+/**
+ * Make a device or dump name safe to use as a file name.
+ * @param {string} name
+ * @returns {string}
+ */
+const safeName = (name) => {
+    return String(name).replace(/[^\w. -]/g, '_').replace(/^\.+/, '_');
+};
+
+/**
+ * Captures sysex dumps from inputs into a library of .syx files, and sends them back later.
+ *
+ * The library is a directory with a folder for each device, holding a folder for each dump. Each message of a dump
+ *  is stored in its own numbered file, so dumps are sent back one message at a time as they were received:
+ *
+ *      sysex/Synth/bank-a/001.syx
+ */
+class Librarian {
+    /**
+     * @param {Object} [opts]
+     * @param {string} [opts.directory="sysex"] - The library directory. Relative paths are relative to the
+     *      configuration file.
+     */
+    constructor({ directory = 'sysex' } = {}) {
+        this._directory = directory;
+        this._captures = {};
+    }
+
+    get config() {
+        return { directory: this._directory };
+    }
+
+    /**
+     * The library directory.
+     * @returns {string}
+     */
+    get directory() {
+        let base = (global.configPath) ? path.dirname(global.configPath) : '.';
+        return path.resolve(base, this._directory);
+    }
+
+    /**
+     * Get the names of the stored dumps of each device.
+     * @returns {Object<string, string[]>}
+     */
+    get dumps() {
+        let result = {};
+        for (let device of Librarian._folders(this.directory)) {
+            result[device] = Librarian._folders(path.join(this.directory, device));
+        }
+        return result;
+    }
+
+    /**
+     * Get the nicknames of the devices currently being captured from.
+     * @returns {string[]}
+     */
+    get capturing() {
+        return Object.keys(this._captures);
+    }
+
+    /**
+     * Capture a sysex dump from a device. Sysex is listened for on the device's input for the duration of the
+     *  capture.
+     * @param {string} device - The nickname of the device to capture from.
+     * @param {Object} [opts]
+     * @param {string} [opts.name] - The name of the dump. Named after the current time if not provided; An existing
+     *      dump of the same name is replaced.
+     * @param {number} [opts.timeout=60000] - Milliseconds to wait for the dump to start.
+     * @param {number} [opts.idle=2000] - Milliseconds without sysex after which the dump is complete.
+     * @returns {Promise<string[]>} Resolves with the paths of the files written once the capture ends.
+     */
+    capture(device, { name, timeout = TIMEOUT_DEFAULT, idle = IDLE_DEFAULT } = {}) {
+        if (this._captures[device]) {
+            return Promise.reject(`A sysex capture from ${device} is already in progress!`);
+        }
+        let record = midi.PortIndex.get(device) || midi.PortRecord.parse(device);
+        let input = midi.Core.openInputs(undefined, record)[0];
+        if (!input || !input.isOpen) {
+            return Promise.reject(`Input for ${device} could not be opened!`);
+        }
+        name = name || `dump-${tools.timestamp(new Date())}`;
+        return new Promise((resolve, reject) => {
+            let messages = [];
+            let listenSysex = input.listenSysex;
+            let timer;
+            let finish = () => {
+                clearTimeout(timer);
+                input.unbind(onMessage);
+                input.listenSysex = listenSysex;
+                delete this._captures[device];
+                if (!messages.length) {
+                    logger.info(`Sysex capture from ${device} ended; Nothing was received.`);
+                    resolve([]);
+                    return;
+                }
+                try {
+                    resolve(this._save(device, name, messages));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            let onMessage = (source, message) => {
+                if (message.bytes[0] !== parser.SYSEX_START) {
+                    return;
+                }
+                messages.push([... message.bytes]);
+                clearTimeout(timer);
+                timer = setTimeout(finish, idle);
+            };
+            input.listenSysex = true;
+            input.bind(onMessage);
+            timer = setTimeout(finish, timeout);
+            this._captures[device] = finish;
+            logger.info(`Capturing sysex from ${device} as "${name}".`);
+        });
+    }
+
+    /**
+     * End a capture, saving what has been received so far.
+     * @param {string} [device] - The nickname of the device. Every capture is ended if not provided.
+     */
+    stopCapture(device) {
+        let devices = (device) ? [device] : this.capturing;
+        for (let nickname of devices) {
+            if (this._captures[nickname]) {
+                this._captures[nickname]();
+            }
+        }
+    }
+
+    /**
+     * Load the messages of a stored dump.
+     * @param {string} device - The nickname of the device the dump was captured from.
+     * @param {string} name - The name of the dump.
+     * @returns {Message[]}
+     */
+    load(device, name) {
+        let folder = path.join(this.directory, safeName(device), safeName(name));
+        if (!fs.existsSync(folder)) {
+            throw `No sysex dump named "${name}" for ${device}!`;
+        }
+        let files = fs.readdirSync(folder).filter((file) => file.endsWith(EXTENSION)).sort();
+        let result = [];
+        for (let file of files) {
+            result.push(... midi.Message.fromSysexFile(path.join(folder, file)));
+        }
+        return result;
+    }
+
+    /**
+     * Send a stored dump.
+     * @param {string} device - The nickname of the device the dump was captured from.
+     * @param {string} name - The name of the dump.
+     * @param {string} [output] - The nickname of the output to send to. Sent back to `device` if not provided.
+     * @returns {Promise} Resolves once any messages held in the output's send queue have been sent.
+     */
+    send(device, name, output = device) {
+        let messages = this.load(device, name);
+        let record = midi.PortIndex.get(output) || midi.PortRecord.parse(output);
+        let _output = midi.Core.openOutputs(record)[0];
+        // Each message is sent separately so that the output's send queue can pace the dump.
+        for (let message of messages) {
+            _output.sendMessage(message);
+        }
+        logger.info(`Sent sysex dump "${name}" (${messages.length} message(s)) to ${output}.`);
+        return _output.flush();
+    }
+
+    static _folders(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory).filter((file) => {
+            return fs.statSync(path.join(directory, file)).isDirectory();
+        }).sort();
+    }
+
+    _save(device, name, messages) {
+        let folder = path.join(this.directory, safeName(device), safeName(name));
+        if (fs.existsSync(folder)) {
+            for (let file of fs.readdirSync(folder).filter((file) => file.endsWith(EXTENSION))) {
+                fs.unlinkSync(path.join(folder, file));
+            }
+        }
+        fs.mkdirSync(folder, { recursive: true });
+        let digits = Math.max(3, String(messages.length).length);
+        let files = messages.map((bytes, i) => {
+            let filePath = path.join(folder, `${String(i + 1).padStart(digits, '0')}${EXTENSION}`);
+            fs.writeFileSync(filePath, Buffer.from(bytes));
+            return filePath;
+        });
+        logger.info(`Saved sysex dump "${name}" from ${device} to ${folder}. (${messages.length} message(s))`);
+        return files;
+    }
+}
+
+module.exports = { Librarian };
@@ -0,0 +1,108 @@
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+
+const CC_ALL_SOUND_OFF = 120;
+const CC_RESET_ALL_CONTROLLERS = 121;
+const CC_ALL_NOTES_OFF = 123;
+
+/**
+ * The messages sent by a panic: All Notes Off, All Sound Off and Reset All Controllers on all 16 channels.
+ * @type {number[][]}
+ */
+const PANIC_MESSAGES = Object.freeze([CC_ALL_NOTES_OFF, CC_ALL_SOUND_OFF, CC_RESET_ALL_CONTROLLERS]
+    .reduce((messages, controller) => {
+        for (let channel = 0; channel < 16; channel++) {
+            messages.push(Object.freeze([CONTROL_CHANGE | channel, controller, 0]));
+        }
+        return messages;
+    }, []));
+
+/**
+ * Keeps track of the notes sounding on an output, so that they can be released if the messages that would have
+ *  ended them are never going to arrive.
+ *
+ * Each note-on is recorded with a tag describing where it came from (eg. the input and mapping that sent it).
+ *  A note held by more than one tag is only released once none of its tags are left holding it.
+ */
+class NoteTracker {
+    constructor() {
+        this._held = new Map();
+    }
+
+    static _key(channel, note) {
+        return (channel << 7) | note;
+    }
+
+    /**
+     * The number of distinct notes currently sounding.
+     * @returns {number}
+     */
+    get count() {
+        return this._held.size;
+    }
+
+    /**
+     * Get the notes currently sounding.
+     * @returns {{channel: number, note: number}[]}
+     */
+    get notes() {
+        let result = [];
+        for (let key of this._held.keys()) {
+            result.push({ channel: key >> 7, note: key & 0x7F });
+        }
+        return result;
+    }
+
+    /**
+     * Record a message sent to the output. Messages other than notes are ignored.
+     * @param {number[]} bytes - The MIDI message.
+     * @param {Object} [tag] - Where the message came from.
+     */
+    track(bytes, tag = {}) {
+        let status = bytes[0] & 0xF0;
+        if (bytes.length < 3 || (status !== NOTE_ON && status !== NOTE_OFF)) {
+            return;
+        }
+        let key = NoteTracker._key(bytes[0] & 0x0F, bytes[1]);
+        if (status === NOTE_ON && bytes[2] > 0) {
+            if (!this._held.has(key)) {
+                this._held.set(key, []);
+            }
+            this._held.get(key).push(tag);
+        } else {
+            // Most devices end a note on the first note-off, whoever else is holding it.
+            this._held.delete(key);
+        }
+    }
+
+    /**
+     * Stop tracking the notes held by tags matching the given criteria.
+     * @param {Object} [criteria] - Properties the tag must have to be released. All notes are released if not provided.
+     * @returns {number[][]} Note-off messages for the notes that are no longer held by any tag.
+     */
+    release(criteria = {}) {
+        let result = [];
+        let keys = Object.keys(criteria).filter((key) => criteria[key] !== undefined);
+        let matches = (tag) => keys.every((key) => tag[key] === criteria[key]);
+        for (let { 0: key, 1: tags } of [... this._held.entries()]) {
+            let remaining = tags.filter((tag) => !matches(tag));
+            if (remaining.length) {
+                this._held.set(key, remaining);
+            } else {
+                this._held.delete(key);
+                result.push([NOTE_OFF | (key >> 7), key & 0x7F, 0]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Forget all held notes without releasing them.
+     */
+    clear() {
+        this._held.clear();
+    }
+}
+
+module.exports = { NoteTracker, PANIC_MESSAGES };
@@ -0,0 +1,404 @@
+const dgram = require('dgram');
+const endpoints = require('./endpoint');
+const logger = require('log4js').getLogger();
+const { Message } = require('./core');
+
+const BUNDLE_TAG = '#bundle';
+
+/**
+ * Default OSC addresses of each message type. `{name}` is replaced with the message property of the same name.
+ */
+const TEMPLATES_DEFAULT = Object.freeze({
+    'noteon': '/midi/{channel}/note/{note}',
+    'noteoff': '/midi/{channel}/note/{note}',
+    'poly aftertouch': '/midi/{channel}/pressure/{note}',
+    'cc': '/midi/{channel}/cc/{controller}',
+    'program': '/midi/{channel}/program',
+    'channel aftertouch': '/midi/{channel}/pressure',
+    'pitch': '/midi/{channel}/pitch',
+    'start': '/midi/start',
+    'continue': '/midi/continue',
+    'stop': '/midi/stop'
+});
+
+/**
+ * The message property sent as the OSC argument of each message type, and its largest value.
+ */
+const VALUES = Object.freeze({
+    'noteon': { key: 'velocity', max: 127 },
+    'noteoff': { key: 'velocity', max: 127 },
+    'poly aftertouch': { key: 'pressure', max: 127 },
+    'cc': { key: 'value', max: 127 },
+    'program': { key: 'number', max: 127 },
+    'channel aftertouch': { key: 'pressure', max: 127 },
+    'pitch': { key: 'value', max: 16383 }
+});
+
+/*
+ * OSC 1.0 encoding.
+ */
+
+const pad = (length) => {
+    return (length + 3) & ~0x03;
+};
+
+const encodeString = (string) => {
+    let bytes = Buffer.from(string, 'utf8');
+    let buffer = Buffer.alloc(pad(bytes.length + 1));
+    bytes.copy(buffer);
+    return buffer;
+};
+
+const decodeString = (buffer, offset) => {
+    let end = buffer.indexOf(0, offset);
+    if (end === -1) {
+        throw "OSC string is not terminated!";
+    }
+    return { value: buffer.toString('utf8', offset, end), offset: pad(end + 1) };
+};
+
+/**
+ * Encode an OSC message. Integers are sent as int32 ('i'), other numbers as float32 ('f'), booleans as 'T' or 'F'
+ *  and strings as 's'. A number can be given as `{type: 'f', value}` to send it as a float whatever its value.
+ * @param {string} address - The OSC address pattern.
+ * @param {Array<number|string|boolean|Object>} [args]
+ * @returns {Buffer}
+ */
+const encode = (address, args = []) => {
+    let tags = ',';
+    let data = [];
+    for (let arg of args) {
+        let float = false;
+        if (arg !== null && typeof arg === 'object') {
+            float = arg.type === 'f';
+            arg = arg.value;
+        }
+        if (typeof arg === 'boolean') {
+            tags += (arg) ? 'T' : 'F';
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            data.push(encodeString(arg));
+        } else if (!float && Number.isInteger(arg)) {
+            tags += 'i';
+            let buffer = Buffer.alloc(4);
+            buffer.writeInt32BE(arg, 0);
+            data.push(buffer);
+        } else {
+            tags += 'f';
+            let buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(arg, 0);
+            data.push(buffer);
+        }
+    }
+    return Buffer.concat([encodeString(address), encodeString(tags), ... data]);
+};
+
+const decodeMessage = (buffer) => {
+    let { value: address, offset } = decodeString(buffer, 0);
+    let args = [];
+    if (offset >= buffer.length) {
+        return { address, args };
+    }
+    let tags;
+    ({ value: tags, offset } = decodeString(buffer, offset));
+    for (let tag of tags.slice(1)) {
+        switch (tag) {
+            case 'i':
+                args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'd':
+                args.push(buffer.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 'h':
+                args.push((buffer.readInt32BE(offset) * 0x100000000) + buffer.readUInt32BE(offset + 4));
+                offset += 8;
+                break;
+            case 's':
+            case 'S': {
+                let string = decodeString(buffer, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'b': {
+                let size = buffer.readInt32BE(offset);
+                args.push(buffer.slice(offset + 4, offset + 4 + size));
+                offset = pad(offset + 4 + size);
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+            case 'I':
+                args.push(null);
+                break;
+            case 't':
+                offset += 8;
+                break;
+            default:
+                throw `Unsupported OSC type tag '${tag}'!`;
+        }
+    }
+    return { address, args };
+};
+
+/**
+ * Decode an OSC packet. The messages of bundles are returned in order, without their time tags.
+ * @param {Buffer} buffer
+ * @returns {{address: string, args: Array}[]}
+ */
+const decode = (buffer) => {
+    if (buffer.toString('ascii', 0, BUNDLE_TAG.length) !== BUNDLE_TAG) {
+        return [decodeMessage(buffer)];
+    }
+    let result = [];
+    let offset = 16;
+    while (offset + 4 <= buffer.length) {
+        let size = buffer.readInt32BE(offset);
+        result.push(... decode(buffer.slice(offset + 4, offset + 4 + size)));
+        offset += 4 + size;
+    }
+    return result;
+};
+
+/**
+ * An OSC address with `{name}` placeholders for message properties, eg. `/midi/{channel}/cc/{controller}`.
+ */
+class Template {
+    /**
+     * @param {string} template
+     */
+    constructor(template) {
+        this._template = template;
+        this._keys = [];
+        let pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, key) => {
+            this._keys.push(key);
+            return '(\\d+)';
+        });
+        this._pattern = new RegExp(`^${pattern}$`);
+    }
+
+    get template() {
+        return this._template;
+    }
+
+    /**
+     * Fill in the template with message properties.
+     * @param {Object<string, number>} properties
+     * @returns {string}
+     */
+    format(properties) {
+        return this._template.replace(/\{(\w+)\}/g, (match, key) => properties[key]);
+    }
+
+    /**
+     * Read the message properties from an OSC address matching this template.
+     * @param {string} address
+     * @returns {Object<string, number>|undefined} The properties, or undefined if the address doesn't match.
+     */
+    match(address) {
+        let match = this._pattern.exec(address);
+        if (!match) {
+            return undefined;
+        }
+        let result = {};
+        this._keys.forEach((key, i) => {
+            result[key] = parseInt(match[i + 1]);
+        });
+        return result;
+    }
+}
+
+/**
+ * A device that converts MIDI messages to OSC messages sent over UDP, and OSC messages received into MIDI messages.
+ *  Each message type is given an address template; The message's value (velocity, cc value, etc.) is sent as
+ *  the OSC argument, scaled to the configured range.
+ */
+class OscBridge extends endpoints.Endpoint {
+    /**
+     * @param {string} name - The device name of the bridge.
+     * @param {Object} opts
+     * @param {number} [opts.port] - Local UDP port to receive OSC messages on. Messages are only sent if not provided.
+     * @param {string} [opts.host="127.0.0.1"] - Host to send OSC messages to.
+     * @param {number} [opts.remotePort] - Port to send OSC messages to. Messages are only received if not provided.
+     * @param {Object<string, string|boolean>} [opts.templates] - Address templates by message type, replacing
+     *      the defaults. Set a type to `false` to ignore it.
+     * @param {Object} [opts.scale] - The OSC `min` and `max` values that messages' values are scaled to. Values
+     *      are sent as floats when provided, or as their MIDI values otherwise.
+     */
+    constructor(name, { port, host = '127.0.0.1', remotePort, templates = {}, scale } = {}) {
+        super(name);
+        this._port = port;
+        this._host = host;
+        this._remotePort = remotePort;
+        this._templateConfig = Object.assign({}, templates);
+        this._templates = {};
+        for (let { 0: type, 1: template } of Object.entries(Object.assign({}, TEMPLATES_DEFAULT, templates))) {
+            if (template) {
+                this._templates[type] = new Template(template);
+            }
+        }
+        if (scale && (typeof scale.min !== 'number' || typeof scale.max !== 'number' || scale.min === scale.max)) {
+            throw "OSC scale requires different numeric 'min' and 'max' values!";
+        }
+        this._scale = (scale) ? { min: scale.min, max: scale.max } : undefined;
+        this._socket = undefined;
+    }
+
+    get type() {
+        return 'osc';
+    }
+
+    get config() {
+        let json = { host: this._host };
+        if (this._port !== undefined) {
+            json.port = this._port;
+        }
+        if (this._remotePort !== undefined) {
+            json.remotePort = this._remotePort;
+        }
+        if (Object.keys(this._templateConfig).length) {
+            json.templates = Object.assign({}, this._templateConfig);
+        }
+        if (this._scale) {
+            json.scale = Object.assign({}, this._scale);
+        }
+        return json;
+    }
+
+    open() {
+        if (this._socket) {
+            return Promise.resolve();
+        }
+        this._socket = dgram.createSocket('udp4');
+        return new Promise((resolve, reject) => {
+            this._socket.once('error', reject);
+            this._socket.on('message', (msg) => {
+                this._onPacket(msg);
+            });
+            this._socket.bind(this._port, () => {
+                this._socket.off('error', reject);
+                this._socket.on('error', (err) => {
+                    logger.error(`OSC socket error on ${this.name}.\n${err}`);
+                });
+                this._setConnected(true);
+                resolve();
+            });
+        }).catch((err) => {
+            this._socket.close();
+            this._socket = undefined;
+            throw err;
+        });
+    }
+
+    close() {
+        if (this._socket) {
+            this._socket.close();
+            this._socket = undefined;
+        }
+        this._setConnected(false);
+    }
+
+    /**
+     * Convert a MIDI message to an OSC message.
+     * @param {Message} message
+     * @returns {{address: string, args: Array}|undefined} The OSC message, or undefined if the message's type
+     *      has no template.
+     */
+    toOsc(message) {
+        let type = message.typeString;
+        let template = this._templates[type];
+        if (!template) {
+            return undefined;
+        }
+        let properties = message.properties;
+        properties.channel = message.channel;
+        let args = [];
+        if (VALUES[type]) {
+            let { key, max } = VALUES[type];
+            let value = (type === 'noteoff') ? 0 : message[key];
+            args.push((this._scale) ? {
+                type: 'f',
+                value: this._scale.min + ((value / max) * (this._scale.max - this._scale.min))
+            } : value);
+        }
+        return { address: template.format(properties), args };
+    }
+
+    /**
+     * Convert an OSC message to a MIDI message.
+     * @param {string} address
+     * @param {Array} args
+     * @returns {Message|undefined} The MIDI message, or undefined if the address matches no template.
+     */
+    fromOsc(address, args) {
+        for (let { 0: type, 1: template } of Object.entries(this._templates)) {
+            let properties = template.match(address);
+            if (!properties) {
+                continue;
+            }
+            if (VALUES[type]) {
+                let { key, max } = VALUES[type];
+                let arg = (typeof args[0] === 'boolean') ? ((args[0]) ? 1 : 0) : Number(args[0]);
+                if (isNaN(arg)) {
+                    return undefined;
+                }
+                if (this._scale) {
+                    arg = ((arg - this._scale.min) / (this._scale.max - this._scale.min)) * max;
+                }
+                let value = Math.max(0, Math.min(max, Math.round(arg)));
+                if (type === 'noteon' && value === 0 && this._templates['noteoff']) {
+                    // Note addresses are usually shared, with a value of 0 for note-off.
+                    type = 'noteoff';
+                }
+                properties[key] = value;
+            }
+            return Message.fromProperties(type, properties);
+        }
+        return undefined;
+    }
+
+    _send(port, bytes) {
+        if (!this._socket || this._remotePort === undefined) {
+            return;
+        }
+        let osc = this.toOsc(new Message(bytes));
+        if (osc) {
+            this._socket.send(encode(osc.address, osc.args), this._remotePort, this._host, (err) => {
+                if (err) {
+                    logger.debug(`OSC send to ${this._host}:${this._remotePort} failed. ${err}`);
+                }
+            });
+        }
+    }
+
+    _onPacket(buffer) {
+        let messages;
+        try {
+            messages = decode(buffer);
+        } catch (err) {
+            logger.debug(`Invalid OSC packet received by ${this.name}. ${err}`);
+            return;
+        }
+        for (let { address, args } of messages) {
+            let message = this.fromOsc(address, args);
+            if (message) {
+                this._receive(0, message.bytes);
+            } else {
+                logger.debug(`OSC address ${address} has no matching template on ${this.name}.`);
+            }
+        }
+    }
+}
+
+module.exports = { decode, encode, OscBridge, Template, TEMPLATES_DEFAULT };
@@ -0,0 +1,188 @@
+const logger = require('log4js').getLogger();
+
+const SYSEX_START = 0xF0;
+const SYSEX_END = 0xF7;
+const SYSEX_MAX_LENGTH_DEFAULT = 1024 * 1024;
+
+/**
+ * Get the number of data bytes that follow a given status byte.
+ * @param {number} status - The status byte.
+ * @returns {number} The number of data bytes, `Infinity` for sysex, or -1 if `status` is not a status byte.
+ */
+const dataLength = (status) => {
+    if (status < 0x80) {
+        return -1;
+    } else if (status < 0xF0) {
+        switch (status >> 4) {
+            case 0x0C:  // program
+            case 0x0D:  // channel aftertouch
+                return 1;
+            default:
+                return 2;
+        }
+    }
+    switch (status) {
+        case SYSEX_START:
+            return Infinity;
+        case 0xF1:  // mtc
+        case 0xF3:  // select
+            return 1;
+        case 0xF2:  // position
+            return 2;
+        default:    // tune, sysex end, undefined and realtime messages.
+            return 0;
+    }
+};
+
+/**
+ * Check if a byte is a system realtime status byte. These may appear anywhere in a stream, including in the middle
+ *  of another message, without interrupting it.
+ * @param {number} byte
+ * @returns {boolean}
+ */
+const isRealtime = (byte) => {
+    return byte >= 0xF8;
+};
+
+/**
+ * Splits a stream of raw MIDI bytes into complete messages. Handles running status, realtime bytes interleaved within
+ *  other messages, and system exclusive messages split across several chunks.
+ */
+class StreamParser {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.maxSysexLength] - Sysex messages longer than this many bytes are discarded.
+     */
+    constructor({ maxSysexLength = SYSEX_MAX_LENGTH_DEFAULT } = {}) {
+        this._maxSysexLength = maxSysexLength;
+        this.reset();
+    }
+
+    /**
+     * Clear any partial message and the running status.
+     */
+    reset() {
+        this._runningStatus = undefined;
+        this._pending = undefined;
+        this._sysex = undefined;
+    }
+
+    /**
+     * True while a system exclusive message has been started but not yet terminated.
+     * @returns {boolean}
+     */
+    get inSysex() {
+        return this._sysex !== undefined;
+    }
+
+    get runningStatus() {
+        return this._runningStatus;
+    }
+
+    _abortSysex() {
+        if (this._sysex) {
+            logger.warn(`Unterminated sysex message discarded. (${this._sysex.length} bytes)`);
+            this._sysex = undefined;
+        }
+    }
+
+    /**
+     * Parse a chunk of bytes from the stream.
+     * @param {number[]|Buffer} bytes - The next chunk of the stream.
+     * @returns {number[][]} Any messages completed by this chunk.
+     */
+    feed(bytes) {
+        let result = [];
+        for (let byte of bytes) {
+            if (isRealtime(byte)) {
+                result.push([byte]);
+            } else if (byte === SYSEX_START) {
+                this._abortSysex();
+                this._runningStatus = undefined;
+                this._pending = undefined;
+                this._sysex = [byte];
+            } else if (byte === SYSEX_END) {
+                if (this._sysex) {
+                    this._sysex.push(byte);
+                    result.push(this._sysex);
+                    this._sysex = undefined;
+                }
+                this._runningStatus = undefined;
+                this._pending = undefined;
+            } else if (byte >= 0x80) {
+                this._abortSysex();
+                // Only channel messages may use running status; System common messages cancel it.
+                this._runningStatus = (byte < 0xF0) ? byte : undefined;
+                this._pending = [byte];
+                this._complete(result);
+            } else if (this._sysex) {
+                if (this._sysex.length >= this._maxSysexLength) {
+                    logger.warn(`Sysex message exceeded ${this._maxSysexLength} bytes; Discarding.`);
+                    this._sysex = undefined;
+                } else {
+                    this._sysex.push(byte);
+                }
+            } else if (this._pending) {
+                this._pending.push(byte);
+                this._complete(result);
+            } else if (this._runningStatus !== undefined) {
+                this._pending = [this._runningStatus, byte];
+                this._complete(result);
+            }
+            // Data bytes with no status to apply to are discarded.
+        }
+        return result;
+    }
+
+    _complete(result) {
+        if (this._pending.length - 1 >= dataLength(this._pending[0])) {
+            result.push(this._pending);
+            this._pending = undefined;
+        }
+    }
+}
+
+/**
+ * Prepares messages for a byte stream, leaving out the status byte of a channel message that repeats the status of the
+ *  message before it (running status). Realtime messages are sent as is and leave the running status untouched;
+ *  System common and sysex messages cancel it.
+ */
+class RunningStatusEncoder {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget the running status, so that the next message is sent with its status byte. Call this whenever the
+     *  receiver may have lost track of the stream, such as after reconnecting.
+     */
+    reset() {
+        this._runningStatus = undefined;
+    }
+
+    get runningStatus() {
+        return this._runningStatus;
+    }
+
+    /**
+     * Encode a message for the stream.
+     * @param {number[]} bytes - A complete MIDI message.
+     * @returns {number[]} The bytes to write to the stream.
+     */
+    encode(bytes) {
+        let status = bytes[0];
+        if (isRealtime(status)) {
+            return [... bytes];
+        } else if (status >= 0x80 && status < 0xF0) {
+            if (status === this._runningStatus) {
+                return bytes.slice(1);
+            }
+            this._runningStatus = status;
+        } else {
+            this._runningStatus = undefined;
+        }
+        return [... bytes];
+    }
+}
+
+module.exports = { dataLength, isRealtime, RunningStatusEncoder, StreamParser, SYSEX_END, SYSEX_START };
@@ -0,0 +1,287 @@
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+const midi = require('./core');
+const { MetaType, MidiFile } = require('./smf');
+
+const MINUTE_IN_MILLISECONDS = 60 * 1e3;
+const MINUTE_IN_MICROSECONDS = 60 * 1e6;
+
+/**
+ * Plays Standard MIDI Files in time with a {Clock}. Events are scheduled against the clock's pulses rather than
+ *  wall-clock time, so playback follows the clock's tempo and transport; Events falling between two pulses are
+ *  spaced out by the current tempo. Tempo changes in the file are applied to the clock unless `followTempo` is
+ *  disabled, in which case the file plays at the clock's BPM.
+ *
+ * Emits 'play' and 'stop' events, 'loop' each time playback returns to the start of the file and 'end' when the
+ *  file finishes without looping.
+ */
+class Player extends EventEmitter {
+    /**
+     * @param {Clock} clock - The clock to play along with.
+     * @param {Object} [opts]
+     * @param {string} [opts.file] - Path of the MIDI file to load.
+     * @param {Object<string, string|string[]>} [opts.tracks] - The output nicknames for each track, keyed by track
+     *      number (starting at 0) or track name.
+     * @param {string|string[]} [opts.output] - Output nicknames for tracks not listed in `tracks`. Tracks are played
+     *      on the clock's outputs if not provided.
+     * @param {boolean} [opts.loop=false] - Return to the start of the file when it ends.
+     * @param {boolean} [opts.followTempo=true] - Set the clock's tempo from the file's tempo events.
+     */
+    constructor(clock, { file, tracks = {}, output, loop = false, followTempo = true } = {}) {
+        super();
+        this._clock = clock;
+        this._tracks = Object.assign({}, tracks);
+        this._output = output;
+        this._loop = loop;
+        this._followTempo = followTempo;
+        this._path = undefined;
+        this._file = undefined;
+        this._events = [];
+        this._length = 0;
+        this._playing = false;
+        this._position = 0;
+        this._next = 0;
+        this._timers = new Set();
+        this._onTick = () => {
+            this._tick();
+        };
+        this._onStop = () => {
+            this.stop();
+        };
+        this._onPause = () => {
+            this._cancel();
+            this._release();
+        };
+        clock.on('tick', this._onTick);
+        clock.on('stop', this._onStop);
+        clock.on('pause', this._onPause);
+        if (file) {
+            try {
+                this.load(file);
+            } catch (err) {
+                logger.error(`MIDI file ${file} could not be loaded.\n${err}`);
+            }
+        }
+    }
+
+    get config() {
+        let json = { loop: this._loop, followTempo: this._followTempo };
+        if (this._path) {
+            json.file = this._path;
+        }
+        if (Object.keys(this._tracks).length) {
+            json.tracks = Object.assign({}, this._tracks);
+        }
+        if (this._output) {
+            json.output = this._output;
+        }
+        return json;
+    }
+
+    /**
+     * The path of the loaded MIDI file.
+     * @returns {string|undefined}
+     */
+    get file() {
+        return this._path;
+    }
+
+    get playing() {
+        return this._playing;
+    }
+
+    get paused() {
+        return this._playing && this._clock.paused;
+    }
+
+    /**
+     * The current playback position, in ticks of the loaded file.
+     * @returns {number}
+     */
+    get position() {
+        return this._position;
+    }
+
+    get loop() {
+        return this._loop;
+    }
+
+    set loop(loop) {
+        this._loop = !!loop;
+    }
+
+    get followTempo() {
+        return this._followTempo;
+    }
+
+    set followTempo(follow) {
+        this._followTempo = !!follow;
+    }
+
+    /**
+     * Load a MIDI file, stopping playback of the current file. Tracks are bound to their outputs as they are loaded.
+     * @param {string} filePath
+     */
+    load(filePath) {
+        let file = MidiFile.fromFile(filePath);
+        this.stop();
+        let outputs = file.tracks.map((track, index) => this._outputsFor(index, track.name));
+        let events = [];
+        for (let event of file.events) {
+            if (event.meta === MetaType.TEMPO && event.data.length === 3) {
+                let microseconds = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2];
+                events.push({ tick: event.tick, tempo: MINUTE_IN_MICROSECONDS / microseconds });
+            } else if (event.bytes && outputs[event.track].length) {
+                events.push({ tick: event.tick, bytes: event.bytes, outputs: outputs[event.track] });
+            }
+        }
+        this._file = file;
+        this._path = filePath;
+        this._events = events;
+        // Files with all of their events at the start still take a beat to loop.
+        this._length = Math.max(file.length, file.division);
+        logger.info(`Loaded MIDI file ${filePath}. (${file.tracks.length} track(s), ${events.length} events)`);
+    }
+
+    /**
+     * Start playing the loaded file from the beginning, starting the clock if it isn't running.
+     * @param {string} [filePath] - A file to load first.
+     */
+    play(filePath) {
+        if (filePath) {
+            this.load(filePath);
+        }
+        if (!this._file) {
+            throw "No MIDI file loaded!";
+        }
+        this.stop();
+        this._playing = true;
+        this.emit('play');
+        if (!this._clock.playing) {
+            this._clock.play();
+        } else if (this._clock.paused) {
+            this._clock.unpause();
+        }
+    }
+
+    /**
+     * Stop playback and return to the beginning of the file. Notes left sounding are released.
+     */
+    stop() {
+        this._cancel();
+        this._position = 0;
+        this._next = 0;
+        if (this._playing) {
+            this._playing = false;
+            this._release();
+            this.emit('stop');
+        }
+    }
+
+    /**
+     * Stop following the clock.
+     */
+    detach() {
+        this.stop();
+        this._clock.off('tick', this._onTick);
+        this._clock.off('stop', this._onStop);
+        this._clock.off('pause', this._onPause);
+    }
+
+    _outputsFor(index, name) {
+        let nicknames = this._tracks[index] || ((name !== undefined) ? this._tracks[name] : undefined) || this._output;
+        if (!nicknames) {
+            return this._clock.outputs;
+        }
+        nicknames = (Array.isArray(nicknames)) ? nicknames : [nicknames];
+        return midi.Core.openOutputs(... midi.PortIndex.gather(... nicknames));
+    }
+
+    _tick() {
+        if (!this._playing) {
+            return;
+        }
+        let span = this._file.division / this._clock.ppqn;
+        let pulseLength = MINUTE_IN_MILLISECONDS / (this._clock.tempo * this._clock.ppqn);
+        let from = this._position;
+        let to = from + span;
+        this._dispatch(to, (tick) => ((tick - from) / span) * pulseLength);
+        this._position = to;
+        if (to < this._length) {
+            return;
+        }
+        // Events on the last tick, such as the note-offs ending a bar, are sent before the file loops or ends.
+        this._dispatch(this._length, (tick) => ((tick - from) / span) * pulseLength, true);
+        if (this._loop) {
+            let offset = this._length - from;
+            this._position = to - this._length;
+            this._next = 0;
+            this.emit('loop');
+            // Events at the new position are due on the next pulse, along with those at the end of the file.
+            this._dispatch(this._position, (tick) => ((tick + offset) / span) * pulseLength, true);
+        } else {
+            this._playing = false;
+            this._position = 0;
+            this._next = 0;
+            // Notes still held once the last events have been sent are released.
+            this._schedule(() => {
+                this._release();
+                this.emit('end');
+            }, pulseLength);
+        }
+    }
+
+    /**
+     * Schedule the events before the given tick that haven't been sent yet.
+     * @param {number} to - The tick to send events up to.
+     * @param {function(number): number} delayOf - Get the delay before an event at a tick is sent, in milliseconds.
+     * @param {boolean} [inclusive=false] - Also send the events at the given tick.
+     * @private
+     */
+    _dispatch(to, delayOf, inclusive = false) {
+        while (this._next < this._events.length
+            && (this._events[this._next].tick < to || (inclusive && this._events[this._next].tick === to))) {
+            let event = this._events[this._next++];
+            this._schedule(() => {
+                this._send(event);
+            }, delayOf(event.tick));
+        }
+    }
+
+    _schedule(callback, delay) {
+        if (delay < 1) {
+            callback();
+            return;
+        }
+        let timer = setTimeout(() => {
+            this._timers.delete(timer);
+            callback();
+        }, delay);
+        this._timers.add(timer);
+    }
+
+    _cancel() {
+        for (let timer of this._timers) {
+            clearTimeout(timer);
+        }
+        this._timers.clear();
+    }
+
+    _send(event) {
+        if (event.tempo) {
+            if (this._followTempo) {
+                this._clock.tempo = Math.round(event.tempo * 100) / 100;
+            }
+            return;
+        }
+        for (let output of event.outputs) {
+            output.sendMessage(event.bytes, undefined, { source: this });
+        }
+    }
+
+    _release() {
+        midi.Core.releaseNotes({ source: this });
+    }
+}
+
+module.exports = { Player };
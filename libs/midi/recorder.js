@@ -0,0 +1,257 @@
+const EventEmitter = require('eventemitter3');
+const fs = require('fs');
+const logger = require('log4js').getLogger();
+const midi = require('./core');
+const parser = require('./parser');
+const path = require('path');
+const { MetaType, MidiFile, Track } = require('./smf');
+const tools = require('../tools');
+
+const DIVISION_DEFAULT = 480;
+const TEMPO_DEFAULT = 120;
+const MINUTE_IN_MICROSECONDS = 60 * 1e6;
+const MINUTE_IN_NANOSECONDS = 60 * 1e9;
+// Message timing is taken from the inputs' delta times unless they stray this far from the system clock.
+const DRIFT_MAX = 0.05;
+
+/**
+ * Records the messages of a set of inputs to format 1 Standard MIDI Files, with one track per device and channel.
+ *
+ * If the {Clock} is running when recording starts, messages are placed by the clock's pulses and the file takes the
+ *  clock's tempo. Otherwise they are placed by the delta times reported by the inputs, at 120 BPM.
+ *
+ * Emits a 'start' event when recording starts, and a 'stop' event with the path of the file written when it stops.
+ */
+class Recorder extends EventEmitter {
+    /**
+     * @param {Clock} [clock] - The clock to record against while it is running.
+     * @param {Object} [opts]
+     * @param {string[]} [opts.inputs] - Nicknames of the devices to record. Every open input is recorded if not
+     *      provided, including those opened later; See {Recorder#refresh}.
+     * @param {string} [opts.directory="recordings"] - Where files are written. Relative paths are relative to the
+     *      configuration file.
+     * @param {number} [opts.division=480] - Ticks per quarter note of the files written.
+     */
+    constructor(clock, { inputs, directory = 'recordings', division = DIVISION_DEFAULT } = {}) {
+        super();
+        this._clock = clock;
+        this._inputNames = (inputs) ? [... inputs] : undefined;
+        this._directory = directory;
+        this._division = division;
+        this._recording = false;
+        this._listening = false;
+        this._tracks = new Map();
+        this._tempos = [];
+        this._times = new Map();
+        this._startedAt = 0;
+        this._useClock = false;
+        this._pulses = 0;
+        this._pulseAt = 0;
+        this._onMessage = (device, message) => {
+            if (this._listening) {
+                this._record(device, message);
+            }
+        };
+        this._onTick = () => {
+            if (this._recording && this._useClock) {
+                this._pulses++;
+                this._pulseAt = tools.now();
+                this._checkTempo();
+            }
+        };
+        this._onAttach = (device) => {
+            if (device instanceof midi.Input) {
+                this.refresh();
+            }
+        };
+        this._inputs = [];
+        this.refresh();
+        midi.Core.on('attach', this._onAttach);
+        if (clock) {
+            clock.on('tick', this._onTick);
+        }
+    }
+
+    get config() {
+        let json = { directory: this._directory, division: this._division };
+        if (this._inputNames) {
+            json.inputs = [... this._inputNames];
+        }
+        return json;
+    }
+
+    get inputs() {
+        return [... this._inputs];
+    }
+
+    get recording() {
+        return this._recording;
+    }
+
+    /**
+     * The directory files are written to.
+     * @returns {string}
+     */
+    get directory() {
+        let base = (global.configPath) ? path.dirname(global.configPath) : '.';
+        return path.resolve(base, this._directory);
+    }
+
+    /**
+     * Bind to the inputs to be recorded as they are now. Inputs opened since the recorder was set up are added and
+     *  those that have been closed are let go. Called as devices attach, and after the configuration is reloaded.
+     */
+    refresh() {
+        let inputs = (this._inputNames)
+            ? midi.Core.openInputs(undefined, ... midi.PortIndex.gather(... this._inputNames))
+            : midi.Core.inputs;
+        for (let input of this._inputs) {
+            if (inputs.indexOf(input) < 0) {
+                input.unbind(this._onMessage);
+            }
+        }
+        for (let input of inputs) {
+            if (this._inputs.indexOf(input) < 0) {
+                input.bind(this._onMessage);
+            }
+        }
+        this._inputs = inputs;
+    }
+
+    /**
+     * Start recording. Anything recorded since the last start is discarded.
+     */
+    start() {
+        if (this._recording) {
+            return;
+        }
+        this._tracks.clear();
+        this._times.clear();
+        this._startedAt = tools.now();
+        this._useClock = !!this._clock && this._clock.playing && !this._clock.paused;
+        this._pulses = 0;
+        this._pulseAt = this._startedAt;
+        this._tempos = [];
+        this._bpm = undefined;
+        this._checkTempo();
+        this._recording = true;
+        // Recording is often started by a mapped control; That message is still being handled and is left out.
+        setImmediate(() => {
+            this._listening = this._recording;
+        });
+        logger.info(`Recording started${(this._useClock) ? ' in time with the clock' : ''}.`);
+        this.emit('start');
+    }
+
+    /**
+     * Stop recording and write what was recorded to a new file.
+     * @returns {string|undefined} The path of the file, or undefined if nothing was recorded.
+     */
+    stop() {
+        if (!this._recording) {
+            return undefined;
+        }
+        this._recording = false;
+        this._listening = false;
+        let filePath;
+        if (this._tracks.size) {
+            let directory = this.directory;
+            fs.mkdirSync(directory, { recursive: true });
+            filePath = path.join(directory, `recording-${tools.timestamp(new Date())}.mid`);
+            this._toFile().save(filePath);
+            logger.info(`Recording saved to ${filePath}.`);
+        } else {
+            logger.info('Recording stopped; Nothing was recorded.');
+        }
+        this._tracks.clear();
+        this._times.clear();
+        this.emit('stop', filePath);
+        return filePath;
+    }
+
+    /**
+     * Stop recording the inputs.
+     */
+    close() {
+        this.stop();
+        for (let input of this._inputs) {
+            input.unbind(this._onMessage);
+        }
+        this._inputs = [];
+        midi.Core.off('attach', this._onAttach);
+        if (this._clock) {
+            this._clock.off('tick', this._onTick);
+        }
+    }
+
+    _checkTempo() {
+        let bpm = (this._useClock) ? this._clock.tempo : TEMPO_DEFAULT;
+        if (bpm !== this._bpm) {
+            this._bpm = bpm;
+            let microseconds = Math.round(MINUTE_IN_MICROSECONDS / bpm);
+            this._tempos.push({
+                tick: (this._tempos.length) ? this._position() : 0,
+                meta: MetaType.TEMPO,
+                data: [(microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF]
+            });
+        }
+    }
+
+    /**
+     * Get the current position in ticks.
+     * @param {Input} [input] - The input a message is being recorded from.
+     * @param {Message} [message] - The message being recorded, providing its delta time.
+     * @returns {number}
+     * @private
+     */
+    _position(input, message) {
+        let now = tools.now();
+        if (this._useClock) {
+            let pulseLength = MINUTE_IN_NANOSECONDS / (this._clock.tempo * this._clock.ppqn);
+            let pulses = this._pulses + Math.min((now - this._pulseAt) / pulseLength, 1);
+            return Math.round(pulses * (this._division / this._clock.ppqn));
+        }
+        let elapsed = (now - this._startedAt) / 1e9;
+        let seconds = elapsed;
+        if (input && this._times.has(input)) {
+            let deltaTime = message.properties.deltaTime;
+            seconds = this._times.get(input) + ((typeof deltaTime === 'number') ? deltaTime : 0);
+            if (Math.abs(seconds - elapsed) > DRIFT_MAX) {
+                seconds = elapsed;
+            }
+        }
+        if (input) {
+            this._times.set(input, seconds);
+        }
+        return Math.round(seconds * (TEMPO_DEFAULT / 60) * this._division);
+    }
+
+    _record(input, message) {
+        let packets = message.packets;
+        if (parser.isRealtime(packets[0][0])) {
+            return;
+        }
+        let tick = this._position(input, message);
+        let device = input.nickname;
+        let channel = message.channel;
+        let key = `${device}:${channel}`;
+        if (!this._tracks.has(key)) {
+            let name = (channel >= 0) ? `${device} ch${channel + 1}` : device;
+            this._tracks.set(key, [{ tick: 0, meta: MetaType.TRACK_NAME, data: [... Buffer.from(name, 'latin1')] }]);
+        }
+        let events = this._tracks.get(key);
+        for (let bytes of packets) {
+            events.push({ tick, bytes });
+        }
+    }
+
+    _toFile() {
+        let tracks = [new Track(this._tempos)];
+        for (let events of this._tracks.values()) {
+            tracks.push(new Track(events));
+        }
+        return new MidiFile({ format: 1, division: this._division, tracks });
+    }
+}
+
+module.exports = { Recorder };
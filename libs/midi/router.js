@@ -2,11 +2,71 @@ const ledManager = require('../led');
 const logger = require('log4js').getLogger();
 const midi = require('./core');
 const Clock = require('./clock');
+const endpoints = require('./endpoint');
 const files = require('../files');
 const Filter = require('./filter');
 const fs = require('fs');
 const path = require('path');
 const tools = require('../tools');
+const { Validator } = require('./validator');
+
+// The filters of a mapping, by the key of their settings in the configuration.
+const MAPPING_FILTERS = Object.freeze([
+    { type: Filter.ChannelFilter, key: "channels" },
+    { type: Filter.VelocityFilter, key: "velocity" },
+    { type: Filter.TransposeFilter, key: "transpose" },
+    { type: Filter.ChordFilter, key: "chord" }
+]);
+
+/**
+ * Get the user mappings of a set of Adjusters as configuration json, leaving out those that are not mapped.
+ * @param {Adjuster[]} adjusters
+ * @returns {Object<string, Object<string, number>>}
+ */
+const adjusterMappings = (adjusters) => {
+    let result = {};
+    for (let adjuster of adjusters) {
+        if (!tools.isEmpty(adjuster.userMapping)) {
+            result[adjuster.name] = Object.assign({}, adjuster.userMapping);
+        }
+    }
+    return result;
+};
+
+/**
+ * Get the device nickname of an entry in a mapping's `outputs`, which is either the nickname or an object with the
+ *  nickname as its `device` and the settings of filters run only for that output.
+ * @param {string|Object} entry
+ * @returns {string}
+ */
+const outputNickname = (entry) => {
+    return (entry && typeof entry === 'object') ? entry.device : entry;
+};
+
+/**
+ * Get the settings of a chain of filters as configuration json, keyed as in a mapping record, such as `transpose`.
+ *  Only mapped adjusters are included.
+ * @param {Filter[]} filters
+ * @returns {Object}
+ */
+const filtersJson = (filters) => {
+    let json = {};
+    for (let filter of filters) {
+        let review = MAPPING_FILTERS.find(({ type }) => filter.constructor === type);
+        if (!review) {
+            // Skipping unknown filters
+            continue;
+        }
+        let settings = filter.settings;
+        delete settings.adjusters;
+        let adjusters = adjusterMappings(filter.adjusters);
+        if (!tools.isEmpty(adjusters)) {
+            settings.adjusters = adjusters;
+        }
+        json[review.key] = settings;
+    }
+    return json;
+};
 
 /**
  * onMessage callbacks handle incoming MIDI messages with regards to the mapping.
@@ -38,11 +98,34 @@ class ConfigRecord {
         throw "Not implemented!";
     }
 
-    fromJson(json) {
+    /**
+     * Load the record from json.
+     * @param {Object} json
+     * @param {Validator} [validator] - If provided, the json is validated first and the validator's report is thrown
+     *      if any problems are found.
+     */
+    fromJson(json, validator) {
         this._reset();
+        if (validator) {
+            this._validate(json, validator);
+            validator.assert();
+        }
         return this._fromJson(json);
     }
 
+    _validate(json, validator) {
+        // Records without settings to check.
+    }
+
+    /**
+     * Check json for the record, reporting every problem found to the validator.
+     * @param {*} json
+     * @param {Validator} validator
+     */
+    validate(json, validator) {
+        this._validate(json, validator);
+    }
+
     _toJson() {
         throw "Not implemented!";
     }
@@ -69,6 +152,19 @@ class ConfigRecord {
         // TODO: Is there anything required here?
         return this._toRouter(router);
     }
+
+    _updateRouter(router, previous) {
+        return this._toRouter(router);
+    }
+
+    /**
+     * Apply the record to a router that was configured with a previous version of it, changing only what differs.
+     * @param {Router} router
+     * @param {ConfigRecord} previous - The record the router was configured with.
+     */
+    updateRouter(router, previous) {
+        return this._updateRouter(router, previous);
+    }
 }
 
 /**
@@ -78,18 +174,103 @@ class DeviceRecord extends ConfigRecord {
     _reset() {
         this.name = undefined;
         this.port = undefined;
+        this.virtual = false;
+        this.identity = undefined;
+        this.usb = undefined;
+        this.queue = undefined;
+        this.osc = undefined;
+        this.serial = undefined;
+        this.bus = false;
     }
 
     _fromJson(json) {
         this.name = json.name;
         this.port = json.port;
+        if (json.osc) {
+            this.osc = Object.assign({}, json.osc);
+        }
+        if (json.serial) {
+            this.serial = (typeof json.serial === 'string') ? json.serial : Object.assign({}, json.serial);
+        }
+        this.bus = json.bus === true;
+        if ((this.osc || this.serial || this.bus) && this.port === undefined) {
+            // OSC bridges, serial devices and buses have a single port.
+            this.port = 0;
+        }
+        this.virtual = json.virtual === true;
+        if (json.identity) {
+            this.identity = Object.assign({}, json.identity);
+        }
+        if (json.usb) {
+            this.usb = Object.assign({}, json.usb);
+        }
+        if (json.queue) {
+            this.queue = Object.assign({}, json.queue);
+        }
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['name', 'port', 'virtual', 'identity', 'usb', 'queue', 'osc', 'serial', 'bus']);
+        if (json.name !== undefined) {
+            validator.type(json.name, 'string', 'name');
+        } else if (!json.identity && !json.usb) {
+            validator.error("A device requires a 'name', 'identity' or 'usb' to be matched by.");
+        }
+        if (typeof json.port === 'string') {
+            // Ports may be given as a string, including "*" to match any port of the device.
+            if (json.port !== midi.ANY_PORT && !/^\d+$/.test(json.port)) {
+                validator.error(`Expected a port number or "${midi.ANY_PORT}", found ${JSON.stringify(json.port)}.`,
+                    'port');
+            }
+        } else if (json.port !== undefined && validator.type(json.port, 'integer', 'port') && json.port < 0) {
+            validator.error('Port numbers start at 0.', 'port');
+        }
+        for (let key of ['virtual', 'bus']) {
+            if (json[key] !== undefined) {
+                validator.type(json[key], 'boolean', key);
+            }
+        }
+        for (let key of ['identity', 'usb', 'queue', 'osc']) {
+            if (json[key] !== undefined) {
+                validator.type(json[key], 'object', key);
+            }
+        }
+        if (json.serial !== undefined && typeof json.serial !== 'string'
+            && validator.type(json.serial, 'object', 'serial')) {
+            validator.type(json.serial.path, 'string', 'serial', 'path');
+        }
     }
 
     _toJson() {
-        return {
+        let json = (this.virtual) ? {
+            name: this.name,
+            virtual: true
+        } : {
             name: this.name,
             port: this.port
         };
+        if (this.identity) {
+            json.identity = Object.assign({}, this.identity);
+        }
+        if (this.usb) {
+            json.usb = Object.assign({}, this.usb);
+        }
+        if (this.queue) {
+            json.queue = Object.assign({}, this.queue);
+        }
+        if (this.osc) {
+            json.osc = Object.assign({}, this.osc);
+        }
+        if (this.serial) {
+            json.serial = (typeof this.serial === 'string') ? this.serial : Object.assign({}, this.serial);
+        }
+        if (this.bus) {
+            json.bus = true;
+        }
+        return json;
     }
 }
 
@@ -107,6 +288,7 @@ class ClockRecord extends ConfigRecord {
         this._tapEnabled = false;
         this._analog = false;
         this._volume = undefined;
+        this._player = undefined;
     }
 
     _fromJson(json) {
@@ -141,6 +323,75 @@ class ClockRecord extends ConfigRecord {
                     this._volume = json.analog.volume;
             }
         }
+        if (json.player) {
+            this._player = Object.assign({}, json.player);
+        }
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['adjusters', 'inputs', 'outputs', 'bpm', 'ppqn', 'patternLength', 'tapEnabled',
+            'analog', 'player']);
+        for (let key of ['inputs', 'outputs']) {
+            if (json[key] !== undefined) {
+                validator.nicknames(json[key], key);
+            }
+        }
+        if (json.adjusters !== undefined) {
+            validator.adjusters(json.adjusters, undefined, 'adjusters');
+        }
+        if (json.bpm !== undefined) {
+            validator.range(json.bpm, Clock.BPM_MIN, Clock.BPM_MAX, 'bpm');
+        }
+        if (json.ppqn !== undefined) {
+            validator.integer(json.ppqn, 1, 960, 'ppqn');
+        }
+        if (json.patternLength !== undefined) {
+            validator.integer(json.patternLength, 1, 1024, 'patternLength');
+        }
+        if (json.tapEnabled !== undefined) {
+            validator.type(json.tapEnabled, 'boolean', 'tapEnabled');
+        }
+        if (json.analog !== undefined && typeof json.analog !== 'boolean') {
+            let analog = validator.child('analog');
+            if (analog.type(json.analog, 'object')) {
+                analog.known(json.analog, ['enabled', 'volume']);
+                if (json.analog.enabled !== undefined) {
+                    analog.type(json.analog.enabled, 'boolean', 'enabled');
+                }
+                if (json.analog.volume !== undefined) {
+                    analog.range(json.analog.volume, 0, 100, 'volume');
+                }
+            }
+        }
+        if (json.player !== undefined) {
+            let player = validator.child('player');
+            if (!player.type(json.player, 'object')) {
+                return;
+            }
+            player.known(json.player, ['file', 'tracks', 'output', 'loop', 'followTempo']);
+            if (json.player.file !== undefined) {
+                player.type(json.player.file, 'string', 'file');
+            }
+            let outputs = (value, ... keys) => {
+                return (Array.isArray(value)) ? player.nicknames(value, ... keys) : player.nickname(value, ... keys);
+            };
+            if (json.player.tracks !== undefined && player.type(json.player.tracks, 'object', 'tracks')) {
+                for (let track in json.player.tracks) {
+                    outputs(json.player.tracks[track], 'tracks', track);
+                }
+            }
+            if (json.player.output !== undefined) {
+                outputs(json.player.output, 'output');
+            }
+            for (let key of ['loop', 'followTempo']) {
+                if (json.player[key] !== undefined) {
+                    player.type(json.player[key], 'boolean', key);
+                }
+            }
+        }
     }
 
     _toJson() {
@@ -161,12 +412,18 @@ class ClockRecord extends ConfigRecord {
         } else {
             json.analog = this._analog;
         }
+        if (this._player) {
+            json.player = Object.assign({}, this._player);
+        }
         return json;
     }
 
     _fromRouter(router) {
         let clock = router.clock;
-        this._adjusters = clock.adjusters;
+        if (!clock) {
+            return;
+        }
+        this._adjusters = adjusterMappings(clock.adjusters);
         for (let input of clock.inputs) {
             this._inputs.push(input.nickname);
         }
@@ -179,31 +436,76 @@ class ClockRecord extends ConfigRecord {
         this._tapEnabled = clock.tapEnabled;
         this._analog = clock.analog;
         this._volume = clock.volume;
+        this._player = (clock.player) ? clock.player.config : undefined;
     }
 
     _toRouter(router) {
         let json = this._toJson();
-        json.inputs = midi.Core.openInputs(... midi.PortIndex.gather(... this._inputs));
+        json.inputs = midi.Core.openInputs(undefined, ... midi.PortIndex.gather(... this._inputs));
+        json.outputs = midi.Core.openOutputs(... midi.PortIndex.gather(... this._outputs));
+        router.clock = json;
+    }
+
+    _updateRouter(router, previous) {
+        let before = previous.toJson();
+        let after = this._toJson();
+        let json = {};
+        for (let key of new Set([... Object.keys(before), ... Object.keys(after)])) {
+            if (!tools.isEqual(before[key], after[key])) {
+                json[key] = after[key];
+            }
+        }
+        // Devices are always gathered again, as the records of reloaded devices may be bound to different ports.
+        json.inputs = midi.Core.openInputs(undefined, ... midi.PortIndex.gather(... this._inputs));
         json.outputs = midi.Core.openOutputs(... midi.PortIndex.gather(... this._outputs));
         router.clock = json;
     }
 }
 
 /**
- * TODO
+ * A sysex file to send once the configuration is loaded, given by its `path` or by the `dump` name and `device` of a
+ *  dump stored by the {Librarian}.
  */
 class SysexRecord extends ConfigRecord {
     _reset() {
         this._path = undefined;
+        this._dump = undefined;
+        this._device = undefined;
         this._output = undefined;
     }
 
     _fromJson(json) {
         this._path = json.path;
+        this._dump = json.dump;
+        this._device = json.device;
         this._output = json.output;
     }
 
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['path', 'output', 'dump', 'device']);
+        if (json.dump !== undefined) {
+            validator.type(json.dump, 'string', 'dump');
+            validator.type(json.device, 'string', 'device');
+        } else {
+            validator.type(json.path, 'string', 'path');
+        }
+        // Dumps are sent back to their device unless an output is given.
+        if (json.output !== undefined || json.dump === undefined) {
+            validator.type(json.output, 'string', 'output');
+        }
+    }
+
     _toJson() {
+        if (this._dump) {
+            let json = { dump: this._dump, device: this._device };
+            if (this._output) {
+                json.output = this._output;
+            }
+            return json;
+        }
         return {
             path: this._path,
             output: this._output
@@ -215,7 +517,11 @@ class SysexRecord extends ConfigRecord {
     }
 
     _toRouter(router) {
-        router.sendSysex(this._path, this._output);
+        if (this._dump) {
+            router.sendSysexDump(this._device, this._dump, this._output);
+        } else {
+            router.sendSysex(this._path, this._output);
+        }
     }
 }
 
@@ -228,30 +534,138 @@ class OptionsRecord extends ConfigRecord {
         this._hotplug = true;
         this._syncConfigToUsb = true;
         this._verbose = false;
+        this._backend = undefined;
+        this._adjusters = {};
+        this._rtpmidi = undefined;
+        this._websocket = undefined;
+        this._recorder = undefined;
+        this._librarian = undefined;
+        this._sceneSelect = undefined;
+        this._watchConfig = false;
+    }
+
+    get backend() {
+        return this._backend;
     }
 
     _fromJson(json) {
         if (json.led) {
             this._led = json.led;
         }
-        if (json.hotplug) {
+        if (json.hotplug !== undefined) {
             this._hotplug = json.hotplug;
         }
-        if (json.syncConfigToUsb) {
+        if (json.syncConfigToUsb !== undefined) {
             this._syncConfigToUsb = json.syncConfigToUsb;
         }
         if (json.verbose) {
             this._verbose = json.verbose;
         }
+        if (json.backend) {
+            this._backend = json.backend;
+        }
+        if (json.adjusters) {
+            this._adjusters = json.adjusters;
+        }
+        if (json.rtpmidi) {
+            this._rtpmidi = (json.rtpmidi === true) ? {} : json.rtpmidi;
+        }
+        if (json.websocket) {
+            this._websocket = (json.websocket === true) ? {} : json.websocket;
+        }
+        if (json.recorder) {
+            this._recorder = (json.recorder === true) ? {} : json.recorder;
+        }
+        if (json.librarian) {
+            this._librarian = json.librarian;
+        }
+        if (json.sceneSelect) {
+            this._sceneSelect = json.sceneSelect;
+        }
+        if (json.watchConfig) {
+            this._watchConfig = json.watchConfig;
+        }
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['led', 'hotplug', 'syncConfigToUsb', 'verbose', 'backend', 'adjusters', 'rtpmidi',
+            'websocket', 'recorder', 'librarian', 'sceneSelect', 'watchConfig']);
+        for (let key of ['hotplug', 'syncConfigToUsb', 'verbose', 'watchConfig']) {
+            if (json[key] !== undefined) {
+                validator.type(json[key], 'boolean', key);
+            }
+        }
+        for (let key of ['led', 'rtpmidi', 'websocket', 'recorder']) {
+            if (json[key] !== undefined && typeof json[key] !== 'boolean') {
+                validator.type(json[key], 'object', key);
+            }
+        }
+        if (json.backend !== undefined && typeof json.backend !== 'string') {
+            validator.type(json.backend, 'object', 'backend');
+        }
+        if (json.librarian !== undefined) {
+            validator.type(json.librarian, 'object', 'librarian');
+        }
+        if (json.adjusters !== undefined) {
+            validator.adjusters(json.adjusters, undefined, 'adjusters');
+        }
+        if (json.websocket && json.websocket.devices !== undefined) {
+            validator.nicknames(json.websocket.devices, 'websocket', 'devices');
+        }
+        if (json.recorder && json.recorder.inputs !== undefined) {
+            validator.nicknames(json.recorder.inputs, 'recorder', 'inputs');
+        }
+        if (json.sceneSelect !== undefined && validator.type(json.sceneSelect, 'object', 'sceneSelect')) {
+            let sceneSelect = validator.child('sceneSelect');
+            sceneSelect.known(json.sceneSelect, ['input', 'channel', 'initial']);
+            if (json.sceneSelect.input !== undefined) {
+                sceneSelect.nickname(json.sceneSelect.input, 'input');
+            }
+            if (json.sceneSelect.channel !== undefined) {
+                sceneSelect.channel(json.sceneSelect.channel, 'channel');
+            }
+            if (json.sceneSelect.initial !== undefined && sceneSelect.type(json.sceneSelect.initial, 'string', 'initial')
+                && (validator.context.scenes || []).indexOf(json.sceneSelect.initial) < 0) {
+                sceneSelect.error(`Unknown scene "${json.sceneSelect.initial}".`, 'initial');
+            }
+        }
     }
 
     _toJson() {
-        return {
+        let json = {
             led: this._led,
             hotplug: this._hotplug,
             syncConfigToUsb: this._syncConfigToUsb,
             verbose: this._verbose
         };
+        if (this._backend) {
+            json.backend = this._backend;
+        }
+        if (!tools.isEmpty(this._adjusters)) {
+            json.adjusters = this._adjusters;
+        }
+        if (this._rtpmidi) {
+            json.rtpmidi = this._rtpmidi;
+        }
+        if (this._websocket) {
+            json.websocket = this._websocket;
+        }
+        if (this._recorder) {
+            json.recorder = this._recorder;
+        }
+        if (this._librarian) {
+            json.librarian = this._librarian;
+        }
+        if (this._sceneSelect) {
+            json.sceneSelect = this._sceneSelect;
+        }
+        if (this._watchConfig) {
+            json.watchConfig = this._watchConfig;
+        }
+        return json;
     }
 
     _fromRouter(router) {
@@ -259,20 +673,142 @@ class OptionsRecord extends ConfigRecord {
         this._led = (router.led && _led) ? _led.config : false;
         this._hotplug = router.hotplug;
         this._syncConfigToUsb = router.syncConfigToUsb;
-        this._verbose = logger.level.toLowerCase() === 'all';
+        this._verbose = String(logger.level).toLowerCase() === 'all';
+        let backend = midi.Core.backend;
+        this._backend = (backend.name !== 'node-midi') ? backend.config : undefined;
+        this._adjusters = adjusterMappings(router.adjusters);
+        this._rtpmidi = router.rtpmidi;
+        this._websocket = router.websocket;
+        this._recorder = router.recorder;
+        this._librarian = router.librarian;
+        this._sceneSelect = router.sceneSelect;
+        this._watchConfig = router.watchConfig;
     }
 
     _toRouter(router) {
+        this._apply(router);
+    }
+
+    _updateRouter(router, previous) {
+        if (!tools.isEqual(previous.backend, this._backend)) {
+            logger.warn('The MIDI backend cannot be changed while running; Restart to use the new backend.');
+        }
+        this._apply(router, previous.toJson());
+    }
+
+    /**
+     * Apply the options to the router. Services such as the WebSocket server are only restarted if their settings
+     *  have changed from the previous options.
+     * @param {Router} router
+     * @param {Object} [previous] - The json of the options the router was configured with.
+     * @private
+     */
+    _apply(router, previous) {
+        let current = this._toJson();
+        let changed = (key) => !previous || !tools.isEqual(previous[key], current[key]);
         if (this._led) {
             ledManager.config = this._led;
             router.led = true;
+        } else if (previous) {
+            router.led = false;
         }
         router.hotplug = this._hotplug;
         router.syncConfigToUsb = this._syncConfigToUsb;
+        router.adjusters = this._adjusters;
+        if (changed('rtpmidi')) {
+            router.rtpmidi = this._rtpmidi;
+        }
+        if (changed('websocket')) {
+            router.websocket = this._websocket;
+        }
+        if (changed('recorder')) {
+            router.recorder = this._recorder;
+        }
+        if (changed('librarian')) {
+            router.librarian = this._librarian;
+        }
+        if (changed('sceneSelect')) {
+            router.sceneSelect = this._sceneSelect;
+        }
+        if (changed('watchConfig')) {
+            router.watchConfig = this._watchConfig;
+        }
         logger.level = (this._verbose) ? 'all' : 'warn'; // TODO: error instead of warn?
     }
 }
 
+/**
+ * A named set of enabled mappings, filter settings and tempo, selected while running. See {Router#selectScene}.
+ */
+class SceneRecord extends ConfigRecord {
+    _reset() {
+        this._program = undefined;
+        this._mappings = undefined;
+        this._filters = undefined;
+        this._bpm = undefined;
+    }
+
+    _fromJson(json) {
+        this._program = json.program;
+        if (json.mappings) {
+            this._mappings = [... json.mappings];
+        }
+        if (!tools.isEmpty(json.filters)) {
+            this._filters = json.filters;
+        }
+        this._bpm = json.bpm;
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['program', 'mappings', 'filters', 'bpm']);
+        let mappings = validator.context.mappings || [];
+        if (json.program !== undefined) {
+            validator.integer(json.program, 0, 127, 'program');
+        }
+        if (json.mappings !== undefined && validator.type(json.mappings, 'array', 'mappings')) {
+            json.mappings.forEach((name, i) => {
+                if (validator.type(name, 'string', 'mappings', i) && mappings.indexOf(name) < 0) {
+                    validator.error(`Unknown mapping "${name}".`, 'mappings', i);
+                }
+            });
+        }
+        if (json.filters !== undefined && validator.type(json.filters, 'object', 'filters')) {
+            for (let name in json.filters) {
+                let filters = validator.child('filters', name);
+                if (mappings.indexOf(name) < 0) {
+                    filters.error(`Unknown mapping "${name}".`);
+                } else if (filters.type(json.filters[name], 'object')) {
+                    filters.known(json.filters[name], MAPPING_FILTERS.map(({ key }) => key));
+                    MappingRecord.validateFilters(json.filters[name], filters);
+                }
+            }
+        }
+        if (json.bpm !== undefined) {
+            validator.range(json.bpm, Clock.BPM_MIN, Clock.BPM_MAX, 'bpm');
+        }
+    }
+
+    _toJson() {
+        let json = {};
+        if (this._program !== undefined) {
+            json.program = this._program;
+        }
+        if (this._mappings) {
+            json.mappings = [... this._mappings];
+        }
+        if (this._filters) {
+            json.filters = this._filters;
+        }
+        if (this._bpm !== undefined) {
+            json.bpm = this._bpm;
+        }
+        return json;
+    }
+}
+
 /**
  * Class for managing the record of a Mapping configuration.
  */
@@ -282,7 +818,12 @@ class MappingRecord extends ConfigRecord {
         this._outputs = [];
         this._channels = undefined;
         this._velocity = undefined;
+        this._transpose = undefined;
+        this._chord = undefined;
         this._listen = undefined;
+        this._adjusters = undefined;
+        this._muted = false;
+        this._feedback = undefined;
     }
 
     _fromJson(json) {
@@ -300,9 +841,183 @@ class MappingRecord extends ConfigRecord {
         if (!tools.isEmpty(json.velocity)) {
             this._velocity = json.velocity;
         }
+        if (!tools.isEmpty(json.transpose)) {
+            this._transpose = json.transpose;
+        }
+        if (!tools.isEmpty(json.chord)) {
+            this._chord = json.chord;
+        }
         if (!tools.isEmpty(json.listen)) {
             this._listen = json.listen;
         }
+        if (!tools.isEmpty(json.adjusters)) {
+            this._adjusters = json.adjusters;
+        }
+        this._muted = json.muted === true;
+        this._feedback = json.feedback;
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['inputs', 'outputs', 'listen', 'adjusters', 'muted', 'feedback',
+            ... MAPPING_FILTERS.map(({ key }) => key)]);
+        validator.nicknames(json.inputs, 'inputs');
+        if (validator.type(json.outputs, 'array', 'outputs')) {
+            json.outputs.forEach((output, i) => {
+                if (typeof output !== 'object' || output === null || Array.isArray(output)) {
+                    validator.nickname(output, 'outputs', i);
+                    return;
+                }
+                // Outputs with their own filters.
+                let stage = validator.child('outputs', i);
+                stage.known(output, ['device', ... MAPPING_FILTERS.map(({ key }) => key)]);
+                stage.nickname(output.device, 'device');
+                MappingRecord.validateFilters(output, stage);
+            });
+        }
+        if (json.adjusters !== undefined) {
+            validator.adjusters(json.adjusters, new Mapping().adjusters, 'adjusters');
+        }
+        if (json.muted !== undefined) {
+            validator.type(json.muted, 'boolean', 'muted');
+        }
+        if (json.feedback !== undefined) {
+            validator.nickname(json.feedback, 'feedback');
+        }
+        if (json.listen !== undefined && validator.type(json.listen, 'object', 'listen')) {
+            let listen = validator.child('listen');
+            listen.known(json.listen, ['sysex', 'clock', 'activeSense', 'parameters']);
+            for (let key of ['sysex', 'clock', 'activeSense']) {
+                if (json.listen[key] !== undefined) {
+                    listen.type(json.listen[key], 'boolean', key);
+                }
+            }
+            let parameters = json.listen.parameters;
+            // Parameter assembly is either switched on with the defaults, or given the options of its assembler.
+            if (parameters !== undefined && typeof parameters !== 'boolean'
+                && listen.type(parameters, 'object', 'parameters')) {
+                listen.child('parameters').known(parameters, ['rpn', 'nrpn', 'cc14']);
+                for (let key of ['rpn', 'nrpn']) {
+                    if (parameters[key] !== undefined) {
+                        listen.type(parameters[key], 'boolean', 'parameters', key);
+                    }
+                }
+                if (parameters.cc14 !== undefined && listen.type(parameters.cc14, 'array', 'parameters', 'cc14')) {
+                    parameters.cc14.forEach((controller, i) => {
+                        listen.integer(controller, 0, 31, 'parameters', 'cc14', i);
+                    });
+                }
+            }
+        }
+        MappingRecord.validateFilters(json, validator);
+    }
+
+    /**
+     * Check the settings of a mapping's filters, such as `channels` or `transpose`, along with their adjusters.
+     * @param {Object} json - The filter settings by key. Other keys are ignored.
+     * @param {Validator} validator
+     */
+    static validateFilters(json, validator) {
+        for (let { type, key } of MAPPING_FILTERS) {
+            if (json[key] === undefined) {
+                continue;
+            }
+            let settings = validator.child(key);
+            if (!settings.type(json[key], 'object') || !MappingRecord[`_validate_${key}`](json[key], settings)) {
+                continue;
+            }
+            // The settings are valid, so the filter can be made to check the adjusters against.
+            let filter;
+            try {
+                filter = new type(json[key]);
+            } catch (err) {
+                settings.error(String(err));
+                continue;
+            }
+            if (json[key].adjusters !== undefined) {
+                settings.adjusters(json[key].adjusters, filter.adjusters, 'adjusters');
+            }
+        }
+    }
+
+    static _validate_channels(json, validator) {
+        let valid = validator.known(json, ['whitelist', 'blacklist', 'map', 'parameters', 'adjusters']);
+        for (let key of ['whitelist', 'blacklist']) {
+            if (json[key] === undefined) {
+                continue;
+            }
+            if (validator.type(json[key], 'array', key)) {
+                json[key].forEach((channel, i) => {
+                    valid = validator.channel(channel, key, i) && valid;
+                });
+            } else {
+                valid = false;
+            }
+        }
+        if (json.map !== undefined) {
+            if (validator.type(json.map, 'object', 'map')) {
+                for (let { 0: from, 1: to } of Object.entries(json.map)) {
+                    if (!/^\d+$/.test(from) || +from < 1 || +from > 16) {
+                        validator.error(`"${from}" is not a channel number from 1 to 16.`, 'map', from);
+                        valid = false;
+                    }
+                    valid = validator.channel(to, 'map', from) && valid;
+                }
+            } else {
+                valid = false;
+            }
+        }
+        if (json.parameters !== undefined) {
+            if (validator.type(json.parameters, 'object', 'parameters')) {
+                valid = validator.child('parameters').known(json.parameters, ['rpn', 'nrpn', 'cc14']) && valid;
+                for (let { 0: type, 1: numbers } of Object.entries(json.parameters)) {
+                    if (!validator.type(numbers, 'array', 'parameters', type)) {
+                        valid = false;
+                        continue;
+                    }
+                    let max = (type === 'cc14') ? 31 : 16383;
+                    numbers.forEach((number, i) => {
+                        valid = validator.integer(number, 0, max, 'parameters', type, i) && valid;
+                    });
+                }
+            } else {
+                valid = false;
+            }
+        }
+        return valid;
+    }
+
+    static _validate_velocity(json, validator) {
+        let valid = validator.known(json, ['min', 'max', 'mode', 'adjusters']);
+        for (let key of ['min', 'max']) {
+            if (json[key] !== undefined) {
+                valid = validator.integer(json[key], 0, 127, key) && valid;
+            }
+        }
+        if (valid && json.min !== undefined && json.max !== undefined && json.min > json.max) {
+            validator.error(`The minimum (${json.min}) is higher than the maximum (${json.max}).`);
+            valid = false;
+        }
+        if (json.mode !== undefined) {
+            valid = validator.oneOf(json.mode, ['clip', 'drop', 'scaled'], 'mode') && valid;
+        }
+        return valid;
+    }
+
+    static _validate_transpose(json, validator) {
+        let valid = validator.known(json, ['step', 'adjusters']);
+        return validator.integer(json.step, -10, 10, 'step') && valid;
+    }
+
+    static _validate_chord(json, validator) {
+        let valid = validator.known(json, ['chord', 'adjusters']);
+        let chords = Filter.ChordFilter.chords;
+        if (typeof json.chord === 'number') {
+            return validator.integer(json.chord, 0, chords.length - 1, 'chord') && valid;
+        }
+        return validator.type(json.chord, 'string', 'chord') && validator.oneOf(json.chord, chords, 'chord') && valid;
     }
 
     _toJson() {
@@ -316,9 +1031,24 @@ class MappingRecord extends ConfigRecord {
         if (this._velocity) {
             result.velocity = this._velocity;
         }
+        if (this._transpose) {
+            result.transpose = this._transpose;
+        }
+        if (this._chord) {
+            result.chord = this._chord;
+        }
         if (this._listen) {
             result.listen = this._listen;
         }
+        if (this._adjusters) {
+            result.adjusters = this._adjusters;
+        }
+        if (this._muted) {
+            result.muted = true;
+        }
+        if (this._feedback) {
+            result.feedback = this._feedback;
+        }
         return result;
     }
 }
@@ -327,25 +1057,56 @@ class MappingRecord extends ConfigRecord {
  * Class for managing the contents of the Router's configuration.
  */
 class Configuration extends ConfigRecord {
+    /**
+     * Load a configuration file.
+     * @param {string} filePath
+     * @returns {Configuration}
+     * @throws {string} A report of every problem found in the file.
+     */
     static fromFile(filePath) {
-        let json = files.readFileAsJSON(filePath);
-        if (json) {
-            let config = new Configuration();
-            config.fromJson(json);
-            return config;
-        } else {
-            throw "Invalid data provided for Configuration!";
+        let validator = new Validator(filePath);
+        let json = Configuration._readJson(filePath, validator);
+        validator.assert();
+        let config = new Configuration();
+        config.fromJson(json, validator);
+        if (validator.warnings.length) {
+            logger.warn(validator.warningReport);
         }
+        return config;
     }
 
-    _reset() {
-        this._ignore = [];
-        this._devices = {};
-        this._mappings = {};
-        this._clock = new ClockRecord();
-        this._sysex = [];
-        this._options = new OptionsRecord();
-    }
+    /**
+     * Check a configuration file without loading it.
+     * @param {string} filePath
+     * @returns {Validator} The validator holding the problems found.
+     */
+    static check(filePath) {
+        let validator = new Validator(filePath);
+        let json = Configuration._readJson(filePath, validator);
+        if (validator.valid) {
+            new Configuration().validate(json, validator);
+        }
+        return validator;
+    }
+
+    static _readJson(filePath, validator) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            validator.error(`Could not be read as JSON. ${err.message}`);
+            return undefined;
+        }
+    }
+
+    _reset() {
+        this._ignore = [];
+        this._devices = {};
+        this._mappings = {};
+        this._clock = new ClockRecord();
+        this._scenes = {};
+        this._sysex = [];
+        this._options = new OptionsRecord();
+    }
 
     _fromJson(json) {
         if (json.ignore && Array.isArray(json.ignore)) {
@@ -363,6 +1124,12 @@ class Configuration extends ConfigRecord {
                 this._mappings[name].fromJson(json.mappings[name]);
             }
         }
+        if (json.scenes) {
+            for (let name in json.scenes) {
+                this._scenes[name] = new SceneRecord();
+                this._scenes[name].fromJson(json.scenes[name]);
+            }
+        }
         if (json.sysex && Array.isArray(json.sysex)) {
             for (let _sysex of json.sysex) {
                 let record = new SysexRecord();
@@ -370,8 +1137,202 @@ class Configuration extends ConfigRecord {
                 this._sysex.push(record);
             }
         }
-        this._clock.fromJson(json.clock);
-        this._options.fromJson(json.options);
+        this._clock.fromJson(json.clock || {});
+        this._options.fromJson(json.options || {});
+    }
+
+    _validate(json, validator) {
+        if (!validator.type(json, 'object')) {
+            return;
+        }
+        validator.known(json, ['ignore', 'devices', 'mappings', 'clock', 'scenes', 'sysex', 'options']);
+        if (json.ignore !== undefined && validator.type(json.ignore, 'array', 'ignore')) {
+            json.ignore.forEach((name, i) => validator.type(name, 'string', 'ignore', i));
+        }
+        validator.context.devices = [];
+        if (json.devices !== undefined && validator.type(json.devices, 'object', 'devices')) {
+            validator.context.devices = Object.keys(json.devices);
+            for (let name in json.devices) {
+                new DeviceRecord().validate(json.devices[name], validator.child('devices', name));
+            }
+        }
+        validator.context.mappings = [];
+        if (json.mappings !== undefined && validator.type(json.mappings, 'object', 'mappings')) {
+            validator.context.mappings = Object.keys(json.mappings);
+            for (let name in json.mappings) {
+                new MappingRecord().validate(json.mappings[name], validator.child('mappings', name));
+            }
+            Configuration._validateBuses(json, validator);
+        }
+        if (json.clock !== undefined) {
+            new ClockRecord().validate(json.clock, validator.child('clock'));
+        }
+        validator.context.scenes = [];
+        if (json.scenes !== undefined && validator.type(json.scenes, 'object', 'scenes')) {
+            validator.context.scenes = Object.keys(json.scenes);
+            let programs = {};
+            Object.keys(json.scenes).forEach((name, i) => {
+                let scene = json.scenes[name];
+                new SceneRecord().validate(scene, validator.child('scenes', name));
+                let program = (scene && scene.program !== undefined) ? scene.program : i;
+                if (programs[program] !== undefined) {
+                    validator.error(`Program ${program} already selects scene "${programs[program]}".`, 'scenes', name);
+                } else {
+                    programs[program] = name;
+                }
+            });
+        }
+        if (json.sysex !== undefined && validator.type(json.sysex, 'array', 'sysex')) {
+            json.sysex.forEach((sysex, i) => new SysexRecord().validate(sysex, validator.child('sysex', i)));
+        }
+        if (json.options !== undefined) {
+            new OptionsRecord().validate(json.options, validator.child('options'));
+        }
+        Configuration._validateParameterControllers(json, validator);
+    }
+
+    /**
+     * Warn of adjusters mapped to a controller that an input they listen to assembles into parameter messages. The
+     *  assembler consumes the controller, so the adjuster never sees it.
+     * @param {Object} json - The configuration json.
+     * @param {Validator} validator
+     */
+    static _validateParameterControllers(json, validator) {
+        let mappings = (json.mappings && typeof json.mappings === 'object') ? json.mappings : {};
+        // The controllers consumed on each input, by nickname.
+        let consumed = {};
+        for (let name in mappings) {
+            let mapping = mappings[name];
+            let parameters = mapping && mapping.listen && mapping.listen.parameters;
+            let assembled = parameters === true || (!!parameters && typeof parameters === 'object');
+            if (!assembled || !Array.isArray(mapping.inputs)) {
+                continue;
+            }
+            let { rpn = true, nrpn = true, cc14 = [] } = (parameters === true) ? {} : parameters;
+            let controllers = [];
+            if (rpn || nrpn) {
+                controllers.push(6, 38, 96, 97);
+            }
+            if (rpn) {
+                controllers.push(100, 101);
+            }
+            if (nrpn) {
+                controllers.push(98, 99);
+            }
+            if (Array.isArray(cc14)) {
+                for (let controller of cc14) {
+                    controllers.push(controller, controller + 32);
+                }
+            }
+            for (let input of mapping.inputs) {
+                consumed[input] = [... (consumed[input] || []), ... controllers];
+            }
+        }
+        let check = (adjusters, inputs, ... keys) => {
+            if (!adjusters || typeof adjusters !== 'object' || !Array.isArray(inputs)) {
+                return;
+            }
+            for (let { 0: name, 1: map } of Object.entries(adjusters)) {
+                if (!map || map.controller === undefined) {
+                    continue;
+                }
+                let input = inputs.find((nickname) => {
+                    return consumed[nickname] && consumed[nickname].indexOf(map.controller) > -1;
+                });
+                if (input !== undefined) {
+                    validator.warn(`Controller ${map.controller} is assembled into parameter messages on input `
+                        + `"${input}", so it never reaches this adjuster.`, ... keys, name);
+                }
+            }
+        };
+        if (json.options) {
+            // Router adjusters listen to the inputs of every mapping.
+            check(json.options.adjusters, Object.keys(consumed), 'options', 'adjusters');
+        }
+        if (json.clock) {
+            check(json.clock.adjusters, json.clock.inputs, 'clock', 'adjusters');
+        }
+        for (let name in mappings) {
+            let mapping = mappings[name];
+            if (!mapping || typeof mapping !== 'object') {
+                continue;
+            }
+            check(mapping.adjusters, mapping.inputs, 'mappings', name, 'adjusters');
+            for (let { key } of MAPPING_FILTERS) {
+                if (mapping[key]) {
+                    check(mapping[key].adjusters, mapping.inputs, 'mappings', name, key, 'adjusters');
+                }
+            }
+            if (Array.isArray(mapping.outputs)) {
+                mapping.outputs.forEach((output, i) => {
+                    for (let { key } of MAPPING_FILTERS) {
+                        if (output && output[key]) {
+                            check(output[key].adjusters, mapping.inputs, 'mappings', name, 'outputs', i, key,
+                                'adjusters');
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Report mappings that feed a bus they receive from, either directly or through other buses. Buses deliver
+     *  messages as they are sent, so these would pass each message around forever.
+     * @param {Object} json - The configuration json.
+     * @param {Validator} validator
+     */
+    static _validateBuses(json, validator) {
+        let devices = json.devices || {};
+        // The buses fed by each bus, through the mappings it is an input of.
+        let edges = {};
+        for (let name in devices) {
+            if (devices[name] && devices[name].bus === true) {
+                edges[name] = [];
+            }
+        }
+        for (let name in json.mappings) {
+            let mapping = json.mappings[name];
+            if (!mapping || !Array.isArray(mapping.inputs) || !Array.isArray(mapping.outputs)) {
+                continue;
+            }
+            let outputs = mapping.outputs.map(outputNickname).filter((nickname) => edges[nickname]);
+            for (let input of mapping.inputs.filter((nickname) => edges[nickname])) {
+                for (let output of outputs) {
+                    edges[input].push({ mapping: name, bus: output });
+                }
+            }
+        }
+        let done = new Set();
+        // The buses being visited, and the mappings leading from each to the next.
+        let buses = [];
+        let via = [];
+        let visit = (bus) => {
+            buses.push(bus);
+            for (let edge of edges[bus]) {
+                let start = buses.indexOf(edge.bus);
+                if (start > -1) {
+                    let cycle = [];
+                    for (let i = start; i < buses.length; i++) {
+                        cycle.push(buses[i], `"${(i < via.length) ? via[i] : edge.mapping}"`);
+                    }
+                    cycle.push(edge.bus);
+                    validator.error(`Mappings form a cycle through buses: ${cycle.join(' -> ')}.`,
+                        'mappings', edge.mapping);
+                } else if (!done.has(edge.bus)) {
+                    via.push(edge.mapping);
+                    visit(edge.bus);
+                    via.pop();
+                }
+            }
+            buses.pop();
+            done.add(bus);
+        };
+        for (let bus in edges) {
+            if (!done.has(bus)) {
+                visit(bus);
+            }
+        }
     }
 
     _toJson() {
@@ -380,6 +1341,7 @@ class Configuration extends ConfigRecord {
             devices: {},
             mappings: {},
             clock: this._clock.toJson(),
+            scenes: {},
             sysex: [],
             options: this._options.toJson()
         };
@@ -391,6 +1353,10 @@ class Configuration extends ConfigRecord {
         for (let name in this._mappings) {
             result.mappings[name] = this._mappings[name].toJson();
         }
+        // Scene records
+        for (let name in this._scenes) {
+            result.scenes[name] = this._scenes[name].toJson();
+        }
         // Sysex records
         for (let sysex of this._sysex) {
             result.sysex.push(sysex.toJson());
@@ -404,8 +1370,21 @@ class Configuration extends ConfigRecord {
         for (let name in records) {
             let record = records[name];
             this._devices[name] = new DeviceRecord();
-            this._devices[name].fromJson({ name: record.name, port: record.port });
+            // Pattern records are saved as configured rather than as the port they are bound to.
+            let json = record.criteria || {
+                name: record.name,
+                port: record.port,
+                virtual: record.virtual
+            };
+            json.queue = record.queue;
+            let endpoint = router.endpoints[name];
+            if (endpoint && endpoint.type) {
+                json[endpoint.type] = endpoint.config;
+            }
+            this._devices[name].fromJson(json);
         }
+        // Settings that can't be changed while running are kept from the configuration the router was loaded with.
+        let running = router.configuration;
         let mappings = router.mappings;
         for (let name in mappings) {
             let mapping = mappings[name];
@@ -416,67 +1395,227 @@ class Configuration extends ConfigRecord {
             for (let input of mapping.inputs) {
                 json.inputs.push(input.nickname);
             }
-            for (let output of mapping.outputs) {
-                json.outputs.push(output.nickname);
-            }
-            for (let filter of mapping.filters) {
-                let key;
-                switch (filter.constructor) {
-                    case Filter.ChannelFilter:
-                        key = "channels";
-                        break;
-                    case Filter.VelocityFilter:
-                        key = "velocity";
-                        break;
-                    case Filter.TransposeFilter:
-                        key = "transpose";
-                        break;
-                    case Filter.ChordFilter:
-                        key = "chord";
-                        break;
-                    default:
-                        // Skipping unknown filters
-                        continue;
-                }
-                json[key] = filter.settings;
+            let outputFilters = mapping.outputFilters;
+            mapping.outputs.forEach((output, i) => {
+                json.outputs.push((outputFilters[i].length)
+                    ? Object.assign({ device: output.nickname }, filtersJson(outputFilters[i]))
+                    : output.nickname);
+            });
+            // Only mapped adjusters are saved, including those mapped with knobs while running. The selected scene's
+            //  filter settings are left out, as they belong to the scene.
+            Object.assign(json, filtersJson(router.baseFilters(name)));
+            if (running && running._mappings[name] && running._mappings[name]._listen) {
+                json.listen = Object.assign({}, running._mappings[name]._listen);
+            }
+            json.adjusters = adjusterMappings(mapping.adjusters);
+            json.muted = mapping.muted;
+            if (mapping.feedback.length) {
+                json.feedback = mapping.feedback[0].nickname;
             }
             this._mappings[name] = new MappingRecord();
             this._mappings[name].fromJson(json);
         }
         this._clock.fromRouter(router);
+        let scenes = router.scenes;
+        for (let name in scenes) {
+            this._scenes[name] = new SceneRecord();
+            this._scenes[name].fromJson(scenes[name]);
+        }
         // TODO: Add Sysex code here if/when session sysex activity is logged
+        if (running) {
+            for (let sysex of running._sysex) {
+                let record = new SysexRecord();
+                record.fromJson(sysex.toJson());
+                this._sysex.push(record);
+            }
+        }
         this._options.fromRouter(router);
     }
 
     _toRouter(router) {
+        midi.Core.backend = this._options.backend;
         midi.Core.ignoredDevices = this._ignore;
         midi.PortIndex.clear();
         for (let name in this._devices) {
             midi.PortIndex.put(name, this._devices[name]);
         }
-        for (let name in this._mappings) {
-            let record = this._mappings[name].toJson();
-            let inputs = midi.Core.openInputs(record.listen, ... midi.PortIndex.gather(... record.inputs));
-            let outputs = midi.Core.openOutputs(... midi.PortIndex.gather(... record.outputs));
-            let filters = [];
-            let review = [
-                { type: Filter.ChannelFilter, key: "channels" },
-                { type: Filter.VelocityFilter, key: "velocity" },
-                { type: Filter.TransposeFilter, key: "transpose" },
-                { type: Filter.ChordFilter, key: "chord" }
-            ];
-            for (let { type, key } of review) {
-                if (record[key]) {
-                    filters.push(new type(record[key]));
+        midi.Core.openVirtualPorts(... midi.PortIndex.virtualRecords);
+        for (let name in router.endpoints) {
+            router.removeEndpoint(name);
+        }
+        return this._openEndpoints(router).then(() => {
+            this._openMappings(router);
+        });
+    }
+
+    /**
+     * Apply the configuration to a router running the previous configuration. Mappings, endpoints and ports are only
+     *  replaced where their settings have changed, so devices that are still in use stay open and the clock keeps
+     *  running. Notes left sounding by removed mappings are released.
+     * @param {Router} router
+     * @param {Configuration} previous - The configuration the router is running.
+     * @returns {Promise}
+     */
+    _updateRouter(router, previous) {
+        midi.Core.ignoredDevices = this._ignore;
+        let changed = Object.keys(previous._devices).filter((name) => {
+            return !this._devices[name]
+                || !tools.isEqual(previous._devices[name].toJson(), this._devices[name].toJson());
+        });
+        midi.PortIndex.clear();
+        for (let name in this._devices) {
+            midi.PortIndex.put(name, this._devices[name]);
+        }
+        midi.Core.openVirtualPorts(... midi.PortIndex.virtualRecords);
+        for (let name of changed) {
+            if (router.endpoints[name]) {
+                router.removeEndpoint(name);
+            }
+        }
+        // Ports are closed once nothing uses them; Devices opened for changed records are replaced.
+        let stale = [... midi.Core.inputs, ... midi.Core.outputs].filter((device) => {
+            return changed.indexOf(device.nickname) > -1;
+        });
+        return this._openEndpoints(router).then(() => {
+            // Mappings are changed with their own filters in place; The scene is selected again once they are.
+            let scene = router.scene;
+            router.selectScene(undefined);
+            for (let name in router.mappings) {
+                let before = (previous._mappings[name]) ? previous._mappings[name].toJson() : undefined;
+                let after = (this._mappings[name]) ? this._mappings[name].toJson() : undefined;
+                if (!after || !before || ['inputs', 'outputs', 'listen'].some((key) => {
+                    return !tools.isEqual(before[key], after[key]);
+                }) || [... after.inputs, ... after.outputs.map(outputNickname)].some((nickname) => {
+                    return changed.indexOf(nickname) > -1;
+                })) {
+                    router.removeMapping(name);
+                } else if (!tools.isEqual(before, after)) {
+                    let mapping = router.mappings[name];
+                    if (MAPPING_FILTERS.some(({ key }) => !tools.isEqual(before[key], after[key]))) {
+                        mapping.release();
+                        mapping.filters = Configuration._filters(after);
+                    }
+                    Configuration._controls(mapping, after, before);
                 }
             }
-            router.addMapping(name, inputs, outputs, filters);
+            for (let name in this._mappings) {
+                if (!router.mappings[name]) {
+                    this._openMapping(router, name);
+                }
+            }
+            this._clock.updateRouter(router, previous._clock);
+            router.scenes = this._scenesJson();
+            if (scene in this._scenes) {
+                router.selectScene(scene);
+            }
+            this._options.updateRouter(router, previous._options);
+            // Sysex files are only sent when they are added, rather than on every reload.
+            let sent = previous._sysex.map((sysex) => sysex.toJson());
+            for (let sysex of this._sysex) {
+                if (!sent.some((json) => tools.isEqual(json, sysex.toJson()))) {
+                    sysex.toRouter(router);
+                }
+            }
+            let used = [];
+            for (let name in router.mappings) {
+                used.push(... router.mappings[name].inputs, ... router.mappings[name].outputs);
+            }
+            if (router.clock) {
+                used.push(... router.clock.inputs, ... router.clock.outputs);
+            }
+            midi.Core.close(... stale.filter((device) => used.indexOf(device) < 0));
+            router.refreshRecorder();
+        });
+    }
+
+    _scenesJson() {
+        let result = {};
+        for (let name in this._scenes) {
+            result[name] = this._scenes[name].toJson();
+        }
+        return result;
+    }
+
+    _openEndpoints(router) {
+        let opening = [];
+        for (let name in this._devices) {
+            let device = this._devices[name];
+            if (router.endpoints[name]) {
+                continue;
+            }
+            if (device.osc) {
+                const { OscBridge } = require('./osc');
+                opening.push(router.addEndpoint(name, new OscBridge(device.name, device.osc)));
+            } else if (device.serial) {
+                const { SerialDevice } = require('./serial');
+                opening.push(router.addEndpoint(name, new SerialDevice(device.name, device.serial)));
+            } else if (device.bus) {
+                const { Bus } = require('./bus');
+                opening.push(router.addEndpoint(name, new Bus(device.name)));
+            }
+        }
+        // Devices matched by pattern must be bound to a connected port before they can be opened by the mappings.
+        return Promise.all(opening).then(() => midi.PortIndex.resolve()).then((pending) => {
+            for (let record of pending) {
+                logger.warn(`No connected device matches ${record.nickname}; It will be attached when it connects.`);
+            }
+        });
+    }
+
+    static _filters(record) {
+        let filters = [];
+        for (let { type, key } of MAPPING_FILTERS) {
+            if (record[key]) {
+                let filter = new type(record[key]);
+                filter.adjusters = record[key].adjusters;
+                filters.push(filter);
+            }
+        }
+        return filters;
+    }
+
+    _openMapping(router, name) {
+        let record = this._mappings[name].toJson();
+        let inputs = midi.Core.openInputs(record.listen, ... midi.PortIndex.gather(... record.inputs));
+        let outputs = [];
+        let outputFilters = [];
+        for (let entry of record.outputs) {
+            for (let output of midi.Core.openOutputs(... midi.PortIndex.gather(outputNickname(entry)))) {
+                outputs.push(output);
+                outputFilters.push((typeof entry === 'object') ? Configuration._filters(entry) : []);
+            }
+        }
+        router.addMapping(name, inputs, outputs, Configuration._filters(record));
+        router.mappings[name].outputFilters = outputFilters;
+        Configuration._controls(router.mappings[name], record);
+    }
+
+    /**
+     * Apply the mute settings of a mapping record. The mute state is kept as it was set while running unless the
+     *  record's state has changed from the previous record.
+     * @param {Mapping} mapping
+     * @param {Object} record - The json of the mapping record.
+     * @param {Object} [previous] - The json of the record the mapping was made with.
+     */
+    static _controls(mapping, record, previous) {
+        mapping.adjusters = record.adjusters || {};
+        if (!previous || !!previous.muted !== !!record.muted) {
+            mapping.muted = record.muted;
+        }
+        mapping.feedback = (record.feedback) ? midi.Core.openOutputs(... midi.PortIndex.gather(record.feedback)) : [];
+    }
+
+    _openMappings(router) {
+        for (let name in this._mappings) {
+            this._openMapping(router, name);
         }
         this._clock.toRouter(router);
+        router.scenes = this._scenesJson();
+        this._options.toRouter(router);
+        // Sent once the options are applied, as stored dumps are found through the librarian's settings.
         for (let sysex of this._sysex) {
             sysex.toRouter(router);
         }
-        this._options.toRouter(router);
     }
 }
 
@@ -494,8 +1633,141 @@ class Mapping {
         this._inputs = [... inputs];
         this._outputs = [... outputs];
         this._filters = [];
+        this._outputFilters = this._outputs.map(() => []);
         this._activated = false;
         this._onMessage = undefined;
+        this._muted = false;
+        this._feedback = [];
+        this._adjusterFilter = new Filter.MessageTypeFilter({
+            adjusters: [
+                new Filter.Adjuster({
+                    name: 'mute',
+                    description: 'Mute or enable the mapping with a button sending cc.',
+                    potPickup: false,
+                    type: 0x0B,
+                    triggerMap: {
+                        controller: true
+                    },
+                    valueKey: 'value',
+                    handler: (value) => {
+                        // Only presses toggle the mapping, so momentary buttons can be used.
+                        if (value > 0) {
+                            this.muted = !this._muted;
+                        }
+                    }
+                }),
+                new Filter.Adjuster({
+                    name: 'muteNote',
+                    description: 'Mute or enable the mapping with a pad or key sending notes.',
+                    potPickup: false,
+                    type: 0x09,
+                    triggerMap: {
+                        note: true
+                    },
+                    valueKey: 'velocity',
+                    handler: (velocity) => {
+                        if (velocity > 0) {
+                            this.muted = !this._muted;
+                        }
+                    }
+                })
+            ]
+        });
+    }
+
+    /**
+     * Get the Adjusters available for controlling the mapping.
+     * @returns {Adjuster[]}
+     */
+    get adjusters() {
+        return this._adjusterFilter.adjusters.filter((adjuster) => adjuster.name !== 'toggle');
+    }
+
+    /**
+     * Configure the mappings of the mapping's Adjusters.
+     * @param {Object<string, Object<string, number>>} adjusters
+     */
+    set adjusters(adjusters) {
+        if (adjusters) {
+            adjusters = Object.assign({}, adjusters);
+            delete adjusters.toggle;
+        }
+        this._adjusterFilter.adjusters = adjusters;
+    }
+
+    /**
+     * Get the outputs the mapping's mute state is sent to.
+     * @returns {Output[]}
+     */
+    get feedback() {
+        return [... this._feedback];
+    }
+
+    /**
+     * Send the mapping's mute state to outputs, such as the controller the mute buttons are on, so its LEDs can
+     *  show the state. The state is sent now and whenever it changes, as the message its mute Adjuster is mapped
+     *  to: The value or velocity is 127 while the mapping is enabled and 0 while it is muted.
+     * @param {Output[]} outputs
+     */
+    set feedback(outputs) {
+        this._feedback = [... (outputs || [])];
+        this._sendFeedback();
+    }
+
+    get muted() {
+        return this._muted;
+    }
+
+    /**
+     * Mute or enable the mapping. Notes the mapping left sounding are released when it is muted.
+     * @param {boolean} muted
+     */
+    set muted(muted) {
+        muted = !!muted;
+        if (this._muted === muted) {
+            return;
+        }
+        this._muted = muted;
+        if (muted) {
+            this.release();
+        }
+        this._sendFeedback();
+    }
+
+    /**
+     * Process a message with the mapping's own Adjusters, such as mute. These are processed even while the mapping
+     *  is muted.
+     * @param {Message} message
+     * @returns {boolean} True if the message was consumed by an Adjuster.
+     */
+    adjust(message) {
+        if (this._adjusterFilter.process(message) === true) {
+            return true;
+        }
+        // Releases of the pad or key mapped to mute are consumed along with its presses.
+        let map = this._adjusterFilter.adjusters.find((adjuster) => adjuster.name === 'muteNote').userMapping;
+        return message.type === 0x08 && message.note === map.note && message.channel === map.channel;
+    }
+
+    _sendFeedback() {
+        if (!this._feedback.length) {
+            return;
+        }
+        let value = (this._muted) ? 0 : 127;
+        let messages = [];
+        for (let adjuster of this.adjusters) {
+            let map = adjuster.userMapping;
+            if (map.controller !== undefined) {
+                messages.push([0xB0 + map.channel, map.controller, value]);
+            } else if (map.note !== undefined) {
+                messages.push([0x90 + map.channel, map.note, value]);
+            }
+        }
+        for (let output of this._feedback) {
+            for (let bytes of messages) {
+                output.sendMessage(new midi.Message(bytes));
+            }
+        }
     }
 
     /**
@@ -522,6 +1794,32 @@ class Mapping {
         return [... this._filters];
     }
 
+    /**
+     * Replace the mapping's filters.
+     * @param {Filter[]} filters
+     */
+    set filters(filters) {
+        this._filters = [];
+        this.addFilters(... filters);
+    }
+
+    /**
+     * Get the filters run only for each output, in the order of the outputs.
+     * @returns {Array<Filter[]>}
+     */
+    get outputFilters() {
+        return this._outputFilters.map((filters) => [... filters]);
+    }
+
+    /**
+     * Set filters to run only for each output, after the mapping's filters. Messages are copied for each output with
+     *  filters, so each output's filters see the message as the mapping's filters left it.
+     * @param {Array<Filter[]>} filters - The filters of each output, in the order of the outputs.
+     */
+    set outputFilters(filters) {
+        this._outputFilters = this._outputs.map((output, i) => [... ((filters && filters[i]) || [])]);
+    }
+
     addFilters(... filters) {
         for (let filter of filters) {
             if (!(filter instanceof Filter.Filter)) {
@@ -543,8 +1841,12 @@ class Mapping {
      *      * {Message[]} - Resulting processed message(s) to broadcast to the mapping.
      */
     process(message) {
+        return Mapping._process(this._filters, message);
+    }
+
+    static _process(filters, message) {
         let result = [message];
-        for (let filter of this._filters) {
+        for (let filter of filters) {
             let next = [];
             for (let msg of result) {
                 let processed = filter.process(msg);
@@ -574,7 +1876,8 @@ class Mapping {
             return false;
         }
         this._onMessage = (device, message) => {
-            onMessage(device, message, this);
+            // Returning true ends the input's message chain, so consumed messages reach no further mappings.
+            return onMessage(device, message, this);
         };
         for (let input of this._inputs) {
             input.bind(this._onMessage);
@@ -601,35 +1904,175 @@ class Mapping {
     /**
      * Send a message to all outputs of this mapping.
      * @param {Message} message - The message to send.
+     * @param {Input} [source] - The input the message was received from.
      */
-    broadcast(message) {
+    broadcast(message, source) {
         // TODO: allow message to be an array / ...argument
+        this._outputs.forEach((output, i) => {
+            let messages = (this._outputFilters[i].length)
+                ? Mapping._process(this._outputFilters[i], message.copy())
+                : [message];
+            if (typeof messages === 'boolean') {
+                // Consumed or suppressed by the output's filters.
+                return;
+            }
+            for (let msg of messages) {
+                output.sendMessage(msg, undefined, { source, mapping: this });
+            }
+        });
+    }
+
+    /**
+     * Send note-offs for all notes this mapping has left sounding on its outputs.
+     */
+    release() {
         for (let output of this._outputs) {
-            output.sendMessage(message);
+            output.releaseNotes({ mapping: this });
         }
     }
 }
 
 // TODO: Allow this to be configured within syncConfigToUsb object.
 const SYNCED_CONFIG_FILENAME = "pimidbox.config.json";
+// Milliseconds between checks of the configuration file when watching it for changes.
+const CONFIG_WATCH_INTERVAL = 1000;
 
 class Router {
     constructor() {
         this._mappings = {};
         this._started = false;
+        this._loading = false;
         this._paused = false;
         this._clock = undefined;
         this._usb = undefined;
+        this._rtpmidi = undefined;
+        this._websocket = undefined;
+        this._recorder = undefined;
+        this._librarian = undefined;
+        this._configuration = undefined;
+        this._configPath = undefined;
+        this._scenes = {};
+        this._scene = undefined;
+        this._sceneExcluded = new Set();
+        this._sceneFilters = {};
+        this._sceneSelect = undefined;
+        this._watchConfig = false;
+        this._onConfigChange = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                logger.info('Configuration file changed; Reloading.');
+                this.reloadConfig().catch((err) => {
+                    logger.error(`Error occurred while reloading the configuration.\n${err}`);
+                });
+            }
+        };
+        this._endpoints = {};
         this._led = false;
+        this._adjusterFilter = new Filter.MessageTypeFilter({
+            adjusters: [
+                new Filter.Adjuster({
+                    name: 'panic',
+                    description: 'Send All Notes Off, All Sound Off and Reset All Controllers to every output.',
+                    potPickup: false,
+                    type: 0x0B,
+                    triggerMap: {
+                        controller: true,
+                        value: 127
+                    },
+                    handler: () => {
+                        this.panic();
+                    }
+                }),
+                new Filter.Adjuster({
+                    name: 'record',
+                    description: 'Start recording incoming MIDI to a file, or stop and save the recording.',
+                    potPickup: false,
+                    type: 0x0B,
+                    triggerMap: {
+                        controller: true,
+                        value: 127
+                    },
+                    handler: () => {
+                        this.toggleRecording();
+                    }
+                }),
+                new Filter.Adjuster({
+                    name: 'nextScene',
+                    description: 'Switch to the next scene.',
+                    potPickup: false,
+                    type: 0x0B,
+                    triggerMap: {
+                        controller: true,
+                        value: 127
+                    },
+                    handler: () => {
+                        this.nextScene();
+                    }
+                }),
+                new Filter.Adjuster({
+                    name: 'previousScene',
+                    description: 'Switch to the previous scene.',
+                    potPickup: false,
+                    type: 0x0B,
+                    triggerMap: {
+                        controller: true,
+                        value: 127
+                    },
+                    handler: () => {
+                        this.nextScene(-1);
+                    }
+                })
+            ]
+        });
+        this._boundInputs = new Set();
+        this._onInputMessage = this._onInputMessage.bind(this);
+        this._onDropout = this._onDropout.bind(this);
+        midi.Core.on('dropout', this._onDropout);
     }
 
+    /**
+     * Get the json of the router's current configuration, including any changes made while running such as the
+     *  tempo or adjusters mapped with knobs.
+     * @returns {Object}
+     */
     get config() {
-        // TODO: create json of current config ready to save to disk.
+        let config = new Configuration();
+        config.fromRouter(this);
+        return config.toJson();
+    }
+
+    /**
+     * Get the configuration the router was last loaded or saved with.
+     * @returns {Configuration}
+     */
+    get configuration() {
+        return this._configuration;
+    }
+
+    /**
+     * Save the router's current configuration.
+     * @param {string} [path] - Path to save the json configuration file to. The file last loaded is used if not
+     *      provided.
+     * @returns {Promise<string>} - Resolves with the path of the saved file.
+     */
+    saveConfig(path = this._configPath) {
+        return new Promise((resolve) => {
+            if (!path) {
+                throw "No configuration file to save to!";
+            }
+            let config = new Configuration();
+            config.fromRouter(this);
+            files.writeFileAtomic(path, `${JSON.stringify(config.toJson(), null, 2)}\n`);
+            // Saved as the running configuration, so that watching the file doesn't reload what was just saved.
+            this._configuration = config;
+            logger.info(`Configuration saved to ${path}.`);
+            resolve(path);
+        });
     }
 
     pause() {
         if (this._started && !this._paused) {
             this._paused = true;
+            this._releaseNotes();
         }
     }
 
@@ -642,6 +2085,22 @@ class Router {
     toggle() {
         if (this._started) {
             this._paused = !this._paused;
+            if (this._paused) {
+                this._releaseNotes();
+            }
+        }
+    }
+
+    /**
+     * Send All Notes Off, All Sound Off and Reset All Controllers on every channel of every output.
+     */
+    panic() {
+        midi.Core.panic();
+    }
+
+    _releaseNotes() {
+        for (let name in this._mappings) {
+            this._mappings[name].release();
         }
     }
 
@@ -658,21 +2117,72 @@ class Router {
     /**
      * Start the router with a json configuration file.
      * @param {string} path - Path to the json configuration file.
-     * @returns {boolean} - True if the router was started successfully.
+     * @returns {Promise<boolean>} - Resolves true if the router was started successfully.
      */
     loadConfig(path) {
-        // TODO: Restructure config loading to allow for simple reloading
-        if (this._started) {
-            // TODO: Print warning?
-            return false;
-        }
-        let config = Configuration.fromFile(path);
-        config.toRouter(this);
-        this._started = true;
-        if (this._led) {
-            ledManager.alert('OK');
-        }
-        return true;
+        if (this._started || this._loading) {
+            logger.warn('Router is already started; Use reloadConfig to apply configuration changes.');
+            return Promise.resolve(false);
+        }
+        this._loading = true;
+        // Set first, as the options may start watching the file.
+        this._configPath = path;
+        let config;
+        return new Promise((resolve) => {
+            config = Configuration.fromFile(path);
+            resolve(config.toRouter(this));
+        }).then(() => {
+            this._loading = false;
+            this._started = true;
+            this._configuration = config;
+            if (this._led) {
+                ledManager.alert('OK');
+            }
+            return true;
+        }, (err) => {
+            this._loading = false;
+            throw err;
+        });
+    }
+
+    /**
+     * Apply changes to the configuration file while the router is running. The new configuration is compared with
+     *  the running one; Mappings are added, removed or have their filters replaced, the clock's settings are updated
+     *  in place and ports still in use stay open. If the file is invalid, the running configuration is kept.
+     * @param {string} [path] - Path to the json configuration file. The file last loaded is used if not provided.
+     * @returns {Promise<boolean>} - Resolves true if the configuration was applied.
+     */
+    reloadConfig(path = this._configPath) {
+        if (!this._started) {
+            return this.loadConfig(path);
+        }
+        if (this._loading) {
+            logger.warn('Configuration is already being loaded; Reload skipped.');
+            return Promise.resolve(false);
+        }
+        this._loading = true;
+        let config;
+        return new Promise((resolve) => {
+            config = Configuration.fromFile(path);
+            resolve(config.updateRouter(this, this._configuration));
+        }).then(() => {
+            this._loading = false;
+            this._configuration = config;
+            if (path !== this._configPath) {
+                let watch = this._watchConfig;
+                this.watchConfig = false;
+                this._configPath = path;
+                this.watchConfig = watch;
+            }
+            logger.info(`Configuration reloaded from ${path}.`);
+            if (this._led) {
+                ledManager.alert('OK');
+            }
+            return true;
+        }, (err) => {
+            this._loading = false;
+            throw err;
+        });
     }
 
     /**
@@ -694,9 +2204,10 @@ class Router {
             this._mappings[name].addFilters(... filters);
         }
         if (!onMessage) {
-            onMessage = this._onMessage;
+            onMessage = this._onMessage.bind(this);
         }
         this._mappings[name].activate(onMessage);
+        this._bindInputs();
     }
 
     /**
@@ -709,20 +2220,223 @@ class Router {
             return;
         }
         this._mappings[name].deactivate();
+        this._mappings[name].release();
+        this._sceneExcluded.delete(this._mappings[name]);
+        delete this._sceneFilters[name];
         delete this._mappings[name];
+        this._bindInputs();
+    }
+
+    /**
+     * Bind the router's Adjusters to the inputs of its mappings, ahead of the mappings themselves, so that each
+     *  message is checked once however many mappings share its input.
+     * @private
+     */
+    _bindInputs() {
+        let inputs = new Set();
+        for (let name in this._mappings) {
+            for (let input of this._mappings[name].inputs) {
+                inputs.add(input);
+            }
+        }
+        for (let input of this._boundInputs) {
+            if (!inputs.has(input)) {
+                input.unbind(this._onInputMessage);
+            }
+        }
+        for (let input of inputs) {
+            if (!this._boundInputs.has(input)) {
+                input.bind(this._onInputMessage, true);
+            }
+        }
+        this._boundInputs = inputs;
+    }
+
+    /**
+     * Mute or enable a mapping.
+     * @param {string} name - The name of the mapping.
+     * @param {boolean} [muted] - The state to set. The mapping's state is toggled if not provided.
+     */
+    muteMapping(name, muted) {
+        let mapping = this._mappings[name];
+        if (!mapping) {
+            throw `Unknown mapping "${name}"!`;
+        }
+        mapping.muted = (muted === undefined) ? !mapping.muted : muted;
+        logger.info(`Mapping "${name}" ${(mapping.muted) ? 'muted' : 'enabled'}.`);
+    }
+
+    /**
+     * Get the name of the current scene.
+     * @returns {string|undefined}
+     */
+    get scene() {
+        return this._scene;
+    }
+
+    /**
+     * Get the scenes that can be selected, by name.
+     * @returns {Object<string, Object>}
+     */
+    get scenes() {
+        return Object.assign({}, this._scenes);
+    }
+
+    /**
+     * Set the scenes that can be selected. If the current scene is still among them, it is selected again to apply
+     *  any changes to it; Otherwise every mapping is enabled with its own filters.
+     * @param {Object<string, Object>} scenes - The settings of each scene by name. See {Router#selectScene}.
+     */
+    set scenes(scenes) {
+        this._scenes = Object.assign({}, scenes);
+        this.selectScene((this._scene in this._scenes) ? this._scene : undefined);
+    }
+
+    /**
+     * Switch to a scene. The switch is made at once, between two messages; Mappings the scene leaves out are
+     *  disabled and mappings whose filters change release the notes they left sounding.
+     *
+     * A scene has the following settings:
+     *  * `mappings` - The names of the mappings enabled in the scene. Every mapping is enabled if not provided.
+     *  * `filters` - Filter settings replacing those of a mapping while the scene is selected, by mapping name, eg.
+     *      `{ "Master": { "transpose": { "step": 2 } } }`.
+     *  * `bpm` - The tempo the clock is set to when the scene is selected.
+     *  * `program` - The Program Change number that selects the scene. Defaults to the scene's position in the list.
+     * @param {string|undefined} name - The name of the scene, or undefined to enable every mapping with its own
+     *      filters.
+     */
+    selectScene(name) {
+        let scene = {};
+        if (name !== undefined) {
+            scene = this._scenes[name];
+            if (!scene) {
+                throw `Unknown scene "${name}"!`;
+            }
+        }
+        let filters = scene.filters || {};
+        for (let key in this._mappings) {
+            let mapping = this._mappings[key];
+            let enabled = !scene.mappings || scene.mappings.indexOf(key) > -1;
+            let current = this._sceneFilters[key];
+            let changed = !tools.isEqual((current) ? current.settings : undefined, filters[key]);
+            if (enabled) {
+                this._sceneExcluded.delete(mapping);
+            } else if (!this._sceneExcluded.has(mapping)) {
+                this._sceneExcluded.add(mapping);
+                changed = true;
+            }
+            if (!changed) {
+                continue;
+            }
+            mapping.release();
+            let base = (current) ? current.base : mapping.filters;
+            if (filters[key]) {
+                mapping.filters = Router._sceneFilters(base, filters[key]);
+                this._sceneFilters[key] = { base, settings: filters[key] };
+            } else {
+                mapping.filters = base;
+                delete this._sceneFilters[key];
+            }
+        }
+        if (scene.bpm !== undefined && this._clock) {
+            this._clock.tempo = scene.bpm;
+        }
+        if (name !== this._scene) {
+            logger.info((name !== undefined) ? `Scene "${name}" selected.` : 'Scene cleared.');
+        }
+        this._scene = name;
+    }
+
+    /**
+     * Get the filters of a mapping as configured, rather than those of the selected scene.
+     * @param {string} name - The name of the mapping.
+     * @returns {Filter[]}
+     */
+    baseFilters(name) {
+        let current = this._sceneFilters[name];
+        if (current) {
+            return [... current.base];
+        }
+        return (this._mappings[name]) ? this._mappings[name].filters : [];
+    }
+
+    /**
+     * Switch to the scene after the current one, wrapping around at the end of the list.
+     * @param {number} [step=1] - The number of scenes to move by; Negative to move back.
+     */
+    nextScene(step = 1) {
+        let names = Object.keys(this._scenes);
+        if (!names.length) {
+            return;
+        }
+        let index = names.indexOf(this._scene);
+        if (index < 0) {
+            index = (step > 0) ? -1 : 0;
+        }
+        this.selectScene(names[(((index + step) % names.length) + names.length) % names.length]);
+    }
+
+    /**
+     * Get the name of the scene selected by a Program Change number.
+     * @param {number} program
+     * @returns {string|undefined}
+     */
+    sceneForProgram(program) {
+        return Object.keys(this._scenes).find((name, i) => {
+            let scene = this._scenes[name];
+            return ((scene.program !== undefined) ? scene.program : i) === program;
+        });
+    }
+
+    /**
+     * Get a mapping's filters with some replaced by the settings of a scene. Adjuster mappings of the replaced
+     *  filters are kept unless the scene provides its own.
+     * @param {Filter[]} base - The mapping's own filters.
+     * @param {Object} settings - Filter settings by their key in the configuration, such as `transpose`.
+     * @returns {Filter[]}
+     * @private
+     */
+    static _sceneFilters(base, settings) {
+        let result = base.filter((filter) => !MAPPING_FILTERS.some(({ type }) => filter.constructor === type));
+        for (let { type, key } of MAPPING_FILTERS) {
+            let filter = base.find((filter) => filter.constructor === type);
+            if (settings[key]) {
+                let adjusters = (filter) ? adjusterMappings(filter.adjusters) : undefined;
+                result.push(... Configuration._filters({ [key]: Object.assign({ adjusters }, settings[key]) }));
+            } else if (filter) {
+                result.push(filter);
+            }
+        }
+        return result;
+    }
+
+    _onInputMessage(device, message) {
+        if (!this._started) {
+            return;
+        }
+        // Router adjusters, such as panic, stay available while the router is paused.
+        return this._adjusterFilter.process(message) === true;
     }
 
     _onMessage(device, message, mapping) {
         // logger.debug(`m: ${device.name} - outputs: ${mapping.outputs.length} || ${JSON.stringify(message)}`);
-        if (this._paused || !this._started) {
+        if (!this._started) {
+            return;
+        }
+        // A mapping's own adjusters, such as mute, stay available while the router is paused or it is muted.
+        if (mapping.adjust(message)) {
+            return true;
+        }
+        if (this._paused || mapping.muted || this._sceneExcluded.has(mapping)) {
             return;
         }
-        let processed = mapping.process(message);
+        // Filters change the messages they process, so each mapping is given its own copy.
+        let processed = mapping.process(message.copy());
         if (processed === true) {
             return true;
         } else if (processed) {
             for (let msg of processed) {
-                mapping.broadcast(msg.bytes);
+                mapping.broadcast(msg, device);
             }
         }
     }
@@ -752,25 +2466,90 @@ class Router {
         });
     }
 
+    _onDropout(input, reason) {
+        if (this._led) {
+            ledManager.alert('LOST');
+        }
+    }
+
     onExit() {
+        midi.Core.off('dropout', this._onDropout);
+        this.watchConfig = false;
+        this.sceneSelect = undefined;
+        this.rtpmidi = undefined;
+        this.websocket = undefined;
+        // Recordings and sysex captures in progress are saved.
+        this.recorder = undefined;
+        this.librarian = undefined;
+        for (let name in this._endpoints) {
+            this.removeEndpoint(name);
+        }
         for (let name in this._mappings) {
             this._mappings[name].deactivate();
             delete this._mappings[name];
         }
+        this._bindInputs();
         midi.Core.onExit();
     }
 
     sendSysex(path, output) {
         try {
-            let message = midi.Message.fromSysexFile(path);
+            let messages = midi.Message.fromSysexFile(path);
             let _record = midi.PortIndex.get(output) || midi.PortRecord.parse(output);
             let _output = midi.Core.openOutputs(_record)[0];
-            _output.sendMessage(message.bytes);
+            // Each message is sent separately so that the output's send queue can pace the dump.
+            for (let message of messages) {
+                _output.sendMessage(message);
+            }
         } catch (err) {
             logger.error(`Error occurred during sysex file send.\n${err}`);
         }
     }
 
+    /**
+     * Capture a sysex dump from a device into the library. A librarian is set up with the default settings if the
+     *  configuration has none.
+     * @param {string} device - The nickname of the device to capture from.
+     * @param {string} [name] - The name to store the dump under.
+     * @returns {Promise<string[]>} Resolves with the paths of the files written once the capture ends.
+     */
+    captureSysex(device, name) {
+        if (!this._librarian) {
+            this.librarian = {};
+        }
+        return this._librarian.capture(device, { name }).catch((err) => {
+            logger.error(`Error occurred during sysex capture.\n${err}`);
+            return [];
+        });
+    }
+
+    /**
+     * End a sysex capture, saving what has been received so far.
+     * @param {string} [device] - The nickname of the device. Every capture is ended if not provided.
+     */
+    stopSysexCapture(device) {
+        if (this._librarian) {
+            this._librarian.stopCapture(device);
+        }
+    }
+
+    /**
+     * Send a sysex dump stored in the library.
+     * @param {string} device - The nickname of the device the dump was captured from.
+     * @param {string} name - The name of the dump.
+     * @param {string} [output] - The nickname of the output to send to. Sent back to `device` if not provided.
+     */
+    sendSysexDump(device, name, output) {
+        if (!this._librarian) {
+            this.librarian = {};
+        }
+        try {
+            this._librarian.send(device, name, output);
+        } catch (err) {
+            logger.error(`Error occurred during sysex dump send.\n${err}`);
+        }
+    }
+
     get clock() {
         return this._clock;
     }
@@ -778,14 +2557,158 @@ class Router {
     set clock(options) {
         if (!this._clock) {
             this._clock = new Clock(options);
+        } else {
+            this._clock.update(options);
         }
-        // todo: if clock exists, should we update settings?
     }
 
     get mappings() {
         return this._mappings;
     }
 
+    /**
+     * Get the clock's MIDI file player, if one has been set up.
+     * @returns {Player|undefined}
+     */
+    get player() {
+        return (this._clock) ? this._clock.player : undefined;
+    }
+
+    /**
+     * Play a MIDI file in time with the clock. A player is set up with the default settings if the configuration has
+     *  none, playing every track on the clock's outputs.
+     * @param {string} [path] - The file to play. The loaded file is played from the beginning if not provided.
+     * @param {boolean} [loop] - Loop playback. The player's setting is kept if not provided.
+     */
+    playFile(path, loop) {
+        if (!this._clock) {
+            logger.error('MIDI file playback requires a clock.');
+            return;
+        }
+        if (!this._clock.player) {
+            this._clock.player = {};
+        }
+        let player = this._clock.player;
+        if (loop !== undefined) {
+            player.loop = loop;
+        }
+        try {
+            player.play(path);
+        } catch (err) {
+            logger.error(`Error occurred while starting MIDI file playback.\n${err}`);
+        }
+    }
+
+    /**
+     * Stop MIDI file playback.
+     */
+    stopFile() {
+        if (this.player) {
+            this.player.stop();
+        }
+    }
+
+    /**
+     * Start recording incoming MIDI. A recorder is set up with the default settings if the configuration has none,
+     *  recording every input.
+     */
+    startRecording() {
+        if (!this._recorder) {
+            this.recorder = {};
+        }
+        this._recorder.start();
+    }
+
+    /**
+     * Stop recording and save what was recorded.
+     * @returns {string|undefined} The path of the file written.
+     */
+    stopRecording() {
+        if (!this._recorder) {
+            return undefined;
+        }
+        try {
+            return this._recorder.stop();
+        } catch (err) {
+            logger.error(`Error occurred while saving the recording.\n${err}`);
+        }
+    }
+
+    toggleRecording() {
+        if (this._recorder && this._recorder.recording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    /**
+     * Bind the recorder to the inputs open now, such as after the configuration is reloaded.
+     */
+    refreshRecorder() {
+        if (this._recorder) {
+            this._recorder.refresh();
+        }
+    }
+
+    /**
+     * Get the devices added with {Router#addEndpoint}, by nickname.
+     * @returns {Object<string, Endpoint>}
+     */
+    get endpoints() {
+        return Object.assign({}, this._endpoints);
+    }
+
+    /**
+     * Add a device that is not reached through the MIDI backend, such as an OSC bridge. Its ports are listed with
+     *  the backend's ports once it has been opened.
+     * @param {string} nickname - The nickname of the device in the configuration.
+     * @param {Endpoint} endpoint
+     * @returns {Promise} Resolves once the device has been opened, or has failed to open.
+     */
+    addEndpoint(nickname, endpoint) {
+        this.removeEndpoint(nickname);
+        this._endpoints[nickname] = endpoint;
+        endpoints.Manager.add(endpoint);
+        return endpoint.open().catch((err) => {
+            logger.error(`Device ${nickname} could not be opened.\n${err}`);
+        });
+    }
+
+    /**
+     * Close and remove a device added with {Router#addEndpoint}.
+     * @param {string} nickname
+     */
+    removeEndpoint(nickname) {
+        let endpoint = this._endpoints[nickname];
+        if (endpoint) {
+            delete this._endpoints[nickname];
+            endpoint.close();
+            endpoints.Manager.remove(endpoint);
+        }
+    }
+
+    /**
+     * Get the Adjusters available for mapping to router features.
+     * @returns {Adjuster[]}
+     */
+    get adjusters() {
+        return this._adjusterFilter.adjusters.filter((adjuster) => adjuster.name !== 'toggle');
+    }
+
+    /**
+     * Configure the mappings of the router's Adjusters.
+     * @param {Object<string, Object<string, number>>} adjusters
+     */
+    set adjusters(adjusters) {
+        if (adjusters) {
+            // The filter's own toggle would switch off every router adjuster, so it is never mapped.
+            adjusters = Object.assign({}, adjusters);
+            delete adjusters.toggle;
+        }
+        this._adjusterFilter.adjusters = adjusters;
+    }
+
     get hotplug() {
         return midi.Core.hotplug;
     }
@@ -796,10 +2719,190 @@ class Router {
         }
     }
 
+    get led() {
+        return !!this._led;
+    }
+
     set led(led) {
         this._led = led;
     }
 
+    get watchConfig() {
+        return this._watchConfig;
+    }
+
+    /**
+     * Reload the configuration whenever its file changes.
+     * @param {boolean} enabled
+     */
+    set watchConfig(enabled) {
+        enabled = !!enabled;
+        if (this._watchConfig === enabled) {
+            return;
+        }
+        this._watchConfig = enabled;
+        if (enabled && this._configPath) {
+            // Polling keeps watching files that editors save by replacing them.
+            fs.watchFile(this._configPath, { interval: CONFIG_WATCH_INTERVAL }, this._onConfigChange);
+        } else if (this._configPath) {
+            fs.unwatchFile(this._configPath, this._onConfigChange);
+        }
+    }
+
+    /**
+     * Get the settings of the RTP-MIDI participant, or undefined if network sessions are disabled.
+     * @returns {Object|undefined}
+     */
+    get rtpmidi() {
+        return (this._rtpmidi) ? this._rtpmidi.config : undefined;
+    }
+
+    /**
+     * Start an RTP-MIDI participant, making network sessions available as devices. Sessions connect in the
+     *  background, and are attached to their mappings like hotplugged devices.
+     * @param {Object|undefined} settings - Options for {RtpMidiParticipant}, or undefined to end all sessions.
+     */
+    set rtpmidi(settings) {
+        if (this._rtpmidi) {
+            this._rtpmidi.stop();
+            this._rtpmidi = undefined;
+        }
+        if (settings) {
+            const { RtpMidiParticipant } = require('./rtpmidi');
+            this._rtpmidi = new RtpMidiParticipant(settings);
+            this._rtpmidi.start().catch((err) => {
+                logger.error(`RTP-MIDI could not be started.\n${err}`);
+                this._rtpmidi = undefined;
+            });
+        }
+    }
+
+    /**
+     * Get the settings of the WebSocket server, or undefined if it is disabled.
+     * @returns {Object|undefined}
+     */
+    get websocket() {
+        return (this._websocket) ? this._websocket.config : undefined;
+    }
+
+    /**
+     * Start a WebSocket server, making browser-based tools available as devices and exposing the listed devices
+     *  to them.
+     * @param {Object|undefined} settings - Options for {WebSocketServer}, or undefined to stop the server.
+     */
+    set websocket(settings) {
+        if (this._websocket) {
+            this._websocket.stop();
+            this._websocket = undefined;
+        }
+        if (settings) {
+            const { WebSocketServer } = require('./websocket');
+            this._websocket = new WebSocketServer(settings);
+            this._websocket.start().catch((err) => {
+                logger.error(`WebSocket server could not be started.\n${err}`);
+                this._websocket = undefined;
+            });
+        }
+    }
+
+    /**
+     * Get the settings of the recorder, or undefined if none is set up.
+     * @returns {Object|undefined}
+     */
+    get recorder() {
+        return (this._recorder) ? this._recorder.config : undefined;
+    }
+
+    /**
+     * Set up a recorder for the inputs, replacing the current one. A recording in progress is saved first.
+     * @param {Object|undefined} settings - Options for {Recorder}, or undefined to remove the recorder.
+     */
+    set recorder(settings) {
+        if (this._recorder) {
+            this.stopRecording();
+            this._recorder.close();
+            this._recorder = undefined;
+        }
+        if (settings) {
+            const { Recorder } = require('./recorder');
+            this._recorder = new Recorder(this._clock, settings);
+        }
+    }
+
+    /**
+     * Get the settings of the sysex librarian, or undefined if none is set up.
+     * @returns {Object|undefined}
+     */
+    get librarian() {
+        return (this._librarian) ? this._librarian.config : undefined;
+    }
+
+    /**
+     * Set up the sysex librarian, replacing the current one. Captures in progress are saved first.
+     * @param {Object|undefined} settings - Options for {Librarian}, or undefined to remove the librarian.
+     */
+    set librarian(settings) {
+        if (this._librarian) {
+            this._librarian.stopCapture();
+            this._librarian = undefined;
+        }
+        if (settings) {
+            const { Librarian } = require('./librarian');
+            this._librarian = new Librarian(settings);
+        }
+    }
+
+    get sceneSelect() {
+        return (this._sceneSelect) ? this._sceneSelect.settings : undefined;
+    }
+
+    /**
+     * Select scenes with Program Change messages from an input, replacing the current settings.
+     * @param {Object|undefined} settings - The settings listed below, or undefined to stop listening.
+     * @param {string} [settings.input] - The nickname of the input to listen to.
+     * @param {number} [settings.channel] - The channel to listen to, 1 to 16. Every channel is listened to if not
+     *      provided.
+     * @param {string} [settings.initial] - The name of the scene to select now.
+     */
+    set sceneSelect(settings) {
+        if (this._sceneSelect) {
+            for (let input of this._sceneSelect.inputs) {
+                input.unbind(this._sceneSelect.onMessage);
+            }
+            this._sceneSelect = undefined;
+        }
+        if (!settings) {
+            return;
+        }
+        let inputs = (settings.input)
+            ? midi.Core.openInputs(undefined, ... midi.PortIndex.gather(settings.input))
+            : [];
+        let onMessage = (device, message) => {
+            if (message.type !== 0x0C || (settings.channel && message.channel !== settings.channel - 1)) {
+                return false;
+            }
+            let name = this.sceneForProgram(message.number);
+            if (name === undefined) {
+                logger.warn(`No scene is selected by program ${message.number}.`);
+            } else {
+                this.selectScene(name);
+            }
+            // Program changes selecting scenes are not passed on to the mappings.
+            return true;
+        };
+        for (let input of inputs) {
+            input.bind(onMessage, true);
+        }
+        this._sceneSelect = { settings: Object.assign({}, settings), inputs, onMessage };
+        if (settings.initial !== undefined) {
+            try {
+                this.selectScene(settings.initial);
+            } catch (err) {
+                logger.error(err);
+            }
+        }
+    }
+
     get syncConfigToUsb() {
         return this._usb !== undefined;
     }
@@ -819,4 +2922,4 @@ class Router {
 }
 
 
-module.exports = { Router };
\ No newline at end of file
+module.exports = { Configuration, Router };
\ No newline at end of file
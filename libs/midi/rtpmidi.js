@@ -0,0 +1,1258 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const endpoints = require('./endpoint');
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+const { dataLength, isRealtime, SYSEX_END, SYSEX_START } = require('./parser');
+const tools = require('../tools');
+
+/*
+ * RTP-MIDI (RFC 6295) with the AppleMIDI session protocol, as used by macOS and rtpMIDI on Windows.
+ *
+ * Each participant listens on a control port and the data port following it. A session is set up by inviting the
+ *  peer on both ports, after which the initiator keeps the session alive with clock synchronization. MIDI commands
+ *  travel in RTP packets on the data ports. Each packet carries a recovery journal describing the state changed
+ *  since the last packet the receiver confirmed, so that a receiver can recover from lost packets.
+ */
+
+const SIGNATURE = 0xFFFF;
+const PROTOCOL_VERSION = 2;
+const Command = Object.freeze({
+    INVITATION: 'IN',
+    ACCEPTED: 'OK',
+    REJECTED: 'NO',
+    END: 'BY',
+    SYNC: 'CK',
+    FEEDBACK: 'RS'
+});
+
+const RTP_VERSION = 0x80;
+const RTP_MARKER = 0x80;
+const RTP_PAYLOAD_TYPE = 0x61;
+const SYSEX_CANCEL = 0xF4;
+
+const PORT_DEFAULT = 5004;
+const NAME_DEFAULT = 'PiMidiBox';
+const INVITE_INTERVAL = 1500;
+const INVITE_ATTEMPTS = 12;
+const SYNC_INTERVAL = 10000;
+const SYNC_INTERVAL_STARTUP = 1500;
+const SYNC_STARTUP_COUNT = 6;
+const FEEDBACK_INTERVAL = 1000;
+const SESSION_TIMEOUT = 60000;
+// Keeps packets, including the journal, within a typical network MTU.
+const PAYLOAD_MAX = 1000;
+
+const randomId = () => {
+    return crypto.randomBytes(4).readUInt32BE(0);
+};
+
+// Timestamps are 64-bit values in units of 100 microseconds.
+const writeTimestamp = (buffer, value, offset) => {
+    buffer.writeUInt32BE(Math.floor(value / 0x100000000), offset);
+    buffer.writeUInt32BE(value % 0x100000000, offset + 4);
+};
+
+const readTimestamp = (buffer, offset) => {
+    return (buffer.readUInt32BE(offset) * 0x100000000) + buffer.readUInt32BE(offset + 4);
+};
+
+/**
+ * Check if sequence number `a` comes after `b`, allowing for the 16-bit sequence number wrapping around.
+ * @returns {boolean}
+ */
+const isAfter = (a, b) => {
+    let distance = (a - b) & 0xFFFF;
+    return distance !== 0 && distance < 0x8000;
+};
+
+/*
+ * Session protocol packets.
+ */
+
+const invitationPacket = (command, token, ssrc, name) => {
+    let nameBytes = (name !== undefined) ? Buffer.from(`${name}\0`, 'utf8') : Buffer.alloc(0);
+    let buffer = Buffer.alloc(16 + nameBytes.length);
+    buffer.writeUInt16BE(SIGNATURE, 0);
+    buffer.write(command, 2, 'ascii');
+    buffer.writeUInt32BE(PROTOCOL_VERSION, 4);
+    buffer.writeUInt32BE(token, 8);
+    buffer.writeUInt32BE(ssrc, 12);
+    nameBytes.copy(buffer, 16);
+    return buffer;
+};
+
+const syncPacket = (ssrc, count, timestamps) => {
+    let buffer = Buffer.alloc(36);
+    buffer.writeUInt16BE(SIGNATURE, 0);
+    buffer.write(Command.SYNC, 2, 'ascii');
+    buffer.writeUInt32BE(ssrc, 4);
+    buffer.writeUInt8(count, 8);
+    for (let i = 0; i < 3; i++) {
+        writeTimestamp(buffer, timestamps[i] || 0, 12 + (i * 8));
+    }
+    return buffer;
+};
+
+const feedbackPacket = (ssrc, sequence) => {
+    let buffer = Buffer.alloc(12);
+    buffer.writeUInt16BE(SIGNATURE, 0);
+    buffer.write(Command.FEEDBACK, 2, 'ascii');
+    buffer.writeUInt32BE(ssrc, 4);
+    // The sequence number occupies the top 16 bits of the field.
+    buffer.writeUInt16BE(sequence, 8);
+    return buffer;
+};
+
+/**
+ * Parse a session protocol packet.
+ * @param {Buffer} buffer
+ * @returns {Object|undefined} The packet's fields, or undefined if it is not a session protocol packet.
+ */
+const parseSessionPacket = (buffer) => {
+    if (buffer.length < 8 || buffer.readUInt16BE(0) !== SIGNATURE) {
+        return undefined;
+    }
+    let command = buffer.toString('ascii', 2, 4);
+    switch (command) {
+        case Command.INVITATION:
+        case Command.ACCEPTED:
+        case Command.REJECTED:
+        case Command.END: {
+            if (buffer.length < 16) {
+                return undefined;
+            }
+            let packet = {
+                command,
+                version: buffer.readUInt32BE(4),
+                token: buffer.readUInt32BE(8),
+                ssrc: buffer.readUInt32BE(12)
+            };
+            if (buffer.length > 16) {
+                let end = buffer.indexOf(0, 16);
+                packet.name = buffer.toString('utf8', 16, (end === -1) ? buffer.length : end);
+            }
+            return packet;
+        }
+        case Command.SYNC:
+            if (buffer.length < 36) {
+                return undefined;
+            }
+            return {
+                command,
+                ssrc: buffer.readUInt32BE(4),
+                count: buffer.readUInt8(8),
+                timestamps: [readTimestamp(buffer, 12), readTimestamp(buffer, 20), readTimestamp(buffer, 28)]
+            };
+        case Command.FEEDBACK:
+            if (buffer.length < 12) {
+                return undefined;
+            }
+            return {
+                command,
+                ssrc: buffer.readUInt32BE(4),
+                sequence: buffer.readUInt16BE(8)
+            };
+    }
+    return undefined;
+};
+
+/*
+ * RTP MIDI packets.
+ */
+
+/**
+ * Build an RTP MIDI packet. Commands after the first are given a delta time of 0.
+ * @param {Object} packet
+ * @param {number} packet.sequence - The 16-bit RTP sequence number.
+ * @param {number} packet.timestamp - The 32-bit RTP timestamp.
+ * @param {number} packet.ssrc - The sender's SSRC.
+ * @param {number[][]} packet.commands - The MIDI commands, as complete messages or sysex segments.
+ * @param {Buffer} [packet.journal] - The recovery journal.
+ * @returns {Buffer}
+ */
+const midiPacket = ({ sequence, timestamp, ssrc, commands, journal }) => {
+    let list = [];
+    commands.forEach((bytes, i) => {
+        if (i > 0) {
+            list.push(0);
+        }
+        list.push(... bytes);
+    });
+    let flags = (journal) ? 0x40 : 0;
+    let header = (list.length > 0x0F)
+        ? [0x80 | flags | (list.length >> 8), list.length & 0xFF]
+        : [flags | list.length];
+    let buffer = Buffer.alloc(12 + header.length + list.length + ((journal) ? journal.length : 0));
+    buffer.writeUInt8(RTP_VERSION, 0);
+    buffer.writeUInt8(((list.length) ? RTP_MARKER : 0) | RTP_PAYLOAD_TYPE, 1);
+    buffer.writeUInt16BE(sequence, 2);
+    buffer.writeUInt32BE(timestamp >>> 0, 4);
+    buffer.writeUInt32BE(ssrc, 8);
+    Buffer.from([... header, ... list]).copy(buffer, 12);
+    if (journal) {
+        journal.copy(buffer, 12 + header.length + list.length);
+    }
+    return buffer;
+};
+
+/**
+ * Split the MIDI list of an RTP MIDI packet into its commands. Running status is expanded. Sysex segments are
+ *  returned as they were sent, delimiters included.
+ * @param {Buffer} list
+ * @param {boolean} firstDelta - The first command is preceded by a delta time.
+ * @returns {number[][]}
+ */
+const parseMidiList = (list, firstDelta) => {
+    let result = [];
+    let running;
+    let i = 0;
+    let first = true;
+    while (i < list.length) {
+        if (!first || firstDelta) {
+            // Delta times are 1 to 4 bytes long, with the top bit set on all but the last.
+            let end = i + 3;
+            while (i < end && (list[i] & 0x80)) {
+                i++;
+            }
+            i++;
+        }
+        first = false;
+        if (i >= list.length) {
+            break;
+        }
+        let status = list[i];
+        if (status === SYSEX_START || status === SYSEX_END) {
+            let end = i + 1;
+            while (end < list.length && list[end] !== SYSEX_START && list[end] !== SYSEX_END
+                && list[end] !== SYSEX_CANCEL) {
+                end++;
+            }
+            result.push([... list.slice(i, end + 1)]);
+            running = undefined;
+            i = end + 1;
+            continue;
+        }
+        if (isRealtime(status)) {
+            result.push([status]);
+            i++;
+            continue;
+        }
+        if (status & 0x80) {
+            i++;
+            running = (status < 0xF0) ? status : undefined;
+        } else if (running !== undefined) {
+            status = running;
+        } else {
+            logger.debug('RTP MIDI data byte without a status byte; Remainder of the packet ignored.');
+            break;
+        }
+        let length = dataLength(status);
+        result.push([status, ... list.slice(i, i + length)]);
+        i += length;
+    }
+    return result;
+};
+
+/**
+ * Parse an RTP MIDI packet.
+ * @param {Buffer} buffer
+ * @returns {Object|undefined} The packet's `sequence`, `timestamp`, `ssrc`, `commands` and `journal`, or undefined
+ *      if it is not an RTP MIDI packet.
+ */
+const parseMidiPacket = (buffer) => {
+    if (buffer.length < 13 || (buffer[0] & 0xC0) !== RTP_VERSION || (buffer[1] & 0x7F) !== RTP_PAYLOAD_TYPE) {
+        return undefined;
+    }
+    let offset = 12 + ((buffer[0] & 0x0F) * 4);
+    let flags = buffer[offset];
+    let length = flags & 0x0F;
+    if (flags & 0x80) {
+        length = (length << 8) | buffer[offset + 1];
+        offset += 2;
+    } else {
+        offset += 1;
+    }
+    return {
+        sequence: buffer.readUInt16BE(2),
+        timestamp: buffer.readUInt32BE(4),
+        ssrc: buffer.readUInt32BE(8),
+        commands: parseMidiList(buffer.slice(offset, offset + length), (flags & 0x20) !== 0),
+        journal: (flags & 0x40) ? buffer.slice(offset + length) : undefined
+    };
+};
+
+/**
+ * Split a message into sysex segments small enough to fit in a packet. Other messages are returned as they are.
+ * @param {number[]} bytes
+ * @returns {number[][]}
+ */
+const segment = (bytes) => {
+    if (bytes[0] !== SYSEX_START || bytes.length <= PAYLOAD_MAX) {
+        return [bytes];
+    }
+    let data = bytes.slice(1, -1);
+    let size = PAYLOAD_MAX - 2;
+    let result = [];
+    for (let i = 0; i < data.length; i += size) {
+        let last = i + size >= data.length;
+        result.push([(i === 0) ? SYSEX_START : SYSEX_END, ... data.slice(i, i + size), (last) ? SYSEX_END : SYSEX_START]);
+    }
+    return result;
+};
+
+/*
+ * Recovery journal.
+ */
+
+const Chapter = Object.freeze({
+    P: 0x80,    // Program change
+    C: 0x40,    // Control change
+    M: 0x20,    // Parameter system
+    W: 0x10,    // Pitch wheel
+    N: 0x08     // Note on / off
+});
+
+const NOTE_LOGS_MAX = 126;
+
+const newChannelState = () => {
+    return {
+        notes: new Map(),
+        controllers: new Map(),
+        program: undefined,
+        pitch: undefined
+    };
+};
+
+/**
+ * Keeps the sender's record of the channel state changed since the last packet confirmed by the receiver, and
+ *  encodes it as a recovery journal. Chapters P (program), C (controllers), W (pitch wheel) and N (notes) are kept.
+ */
+class RecoveryJournal {
+    constructor() {
+        this._channels = new Map();
+        this._checkpoint = undefined;
+    }
+
+    get isEmpty() {
+        return !this._channels.size;
+    }
+
+    _channel(channel) {
+        if (!this._channels.has(channel)) {
+            this._channels.set(channel, newChannelState());
+        }
+        return this._channels.get(channel);
+    }
+
+    /**
+     * Record a message sent in a packet.
+     * @param {number} sequence - Sequence number of the packet.
+     * @param {number[]} bytes - The message.
+     */
+    record(sequence, bytes) {
+        if (bytes[0] >= 0xF0 || bytes[0] < 0x80) {
+            return;
+        }
+        if (this._checkpoint === undefined) {
+            this._checkpoint = sequence;
+        }
+        let state = this._channel(bytes[0] & 0x0F);
+        switch (bytes[0] & 0xF0) {
+            case 0x90:
+                if (bytes[2] > 0) {
+                    state.notes.set(bytes[1], { velocity: bytes[2], on: true, sequence });
+                    break;
+                }
+                // Note-on with a velocity of 0 is a note-off.
+            case 0x80:
+                state.notes.set(bytes[1], { velocity: 0, on: false, sequence });
+                break;
+            case 0xB0:
+                state.controllers.set(bytes[1], { value: bytes[2], sequence });
+                break;
+            case 0xC0: {
+                let msb = state.controllers.get(0);
+                let lsb = state.controllers.get(32);
+                state.program = {
+                    program: bytes[1],
+                    bank: (msb !== undefined) ? [msb.value, (lsb !== undefined) ? lsb.value : 0] : undefined,
+                    sequence
+                };
+                break;
+            }
+            case 0xE0:
+                state.pitch = { lsb: bytes[1], msb: bytes[2], sequence };
+                break;
+        }
+    }
+
+    /**
+     * Forget the state changes in packets the receiver has confirmed.
+     * @param {number} sequence - The last sequence number received by the receiver.
+     */
+    checkpoint(sequence) {
+        let confirmed = (entry) => entry && !isAfter(entry.sequence, sequence);
+        for (let { 0: channel, 1: state } of [... this._channels.entries()]) {
+            for (let map of [state.notes, state.controllers]) {
+                for (let { 0: key, 1: entry } of [... map.entries()]) {
+                    if (confirmed(entry)) {
+                        map.delete(key);
+                    }
+                }
+            }
+            if (confirmed(state.program)) {
+                state.program = undefined;
+            }
+            if (confirmed(state.pitch)) {
+                state.pitch = undefined;
+            }
+            if (!state.notes.size && !state.controllers.size && !state.program && !state.pitch) {
+                this._channels.delete(channel);
+            }
+        }
+        this._checkpoint = (sequence + 1) & 0xFFFF;
+    }
+
+    /**
+     * Encode the journal.
+     * @returns {Buffer|undefined} The journal, or undefined if there is no state to recover.
+     */
+    encode() {
+        if (this.isEmpty) {
+            return undefined;
+        }
+        let channels = [];
+        for (let { 0: channel, 1: state } of this._channels.entries()) {
+            channels.push(RecoveryJournal._encodeChannel(channel, state));
+        }
+        let header = [0x20 | ((channels.length - 1) & 0x0F), this._checkpoint >> 8, this._checkpoint & 0xFF];
+        return Buffer.from([].concat(header, ... channels));
+    }
+
+    static _encodeChannel(channel, state) {
+        let toc = 0;
+        let chapters = [];
+        if (state.program) {
+            toc |= Chapter.P;
+            let bank = state.program.bank;
+            chapters.push(state.program.program, (bank) ? 0x80 | bank[0] : 0, (bank) ? bank[1] : 0);
+        }
+        if (state.controllers.size) {
+            toc |= Chapter.C;
+            chapters.push(state.controllers.size - 1);
+            for (let { 0: controller, 1: entry } of state.controllers.entries()) {
+                chapters.push(controller, entry.value);
+            }
+        }
+        if (state.pitch) {
+            toc |= Chapter.W;
+            chapters.push(state.pitch.lsb, state.pitch.msb);
+        }
+        if (state.notes.size) {
+            toc |= Chapter.N;
+            let logs = [];
+            let offs = [];
+            for (let { 0: note, 1: entry } of state.notes.entries()) {
+                if (entry.on && logs.length < NOTE_LOGS_MAX) {
+                    // The Y bit asks the receiver to play the note.
+                    logs.push(note, 0x80 | entry.velocity);
+                } else if (!entry.on) {
+                    offs.push(note);
+                }
+            }
+            let low = (offs.length) ? Math.min(... offs) >> 3 : 15;
+            let high = (offs.length) ? Math.max(... offs) >> 3 : 0;
+            chapters.push(logs.length / 2, (low << 4) | high, ... logs);
+            for (let octet = low; octet <= high; octet++) {
+                let bits = 0;
+                for (let note of offs) {
+                    if (note >> 3 === octet) {
+                        bits |= 0x80 >> (note & 0x07);
+                    }
+                }
+                chapters.push(bits);
+            }
+        }
+        let length = 3 + chapters.length;
+        return [(channel << 3) | ((length >> 8) & 0x03), length & 0xFF, toc, ... chapters];
+    }
+}
+
+/**
+ * Keeps the receiver's record of the channel state, and works out the messages needed to bring it in line with
+ *  the recovery journal of a packet that arrived after a loss.
+ */
+class RecoveryState {
+    constructor() {
+        this._channels = new Map();
+    }
+
+    _channel(channel) {
+        if (!this._channels.has(channel)) {
+            this._channels.set(channel, newChannelState());
+        }
+        return this._channels.get(channel);
+    }
+
+    /**
+     * Record a message received.
+     * @param {number[]} bytes
+     */
+    track(bytes) {
+        if (bytes[0] >= 0xF0 || bytes[0] < 0x80) {
+            return;
+        }
+        let state = this._channel(bytes[0] & 0x0F);
+        switch (bytes[0] & 0xF0) {
+            case 0x90:
+                if (bytes[2] > 0) {
+                    state.notes.set(bytes[1], bytes[2]);
+                    break;
+                }
+            case 0x80:
+                state.notes.delete(bytes[1]);
+                break;
+            case 0xB0:
+                state.controllers.set(bytes[1], bytes[2]);
+                break;
+            case 0xC0:
+                state.program = bytes[1];
+                break;
+            case 0xE0:
+                state.pitch = bytes[1] | (bytes[2] << 7);
+                break;
+        }
+    }
+
+    /**
+     * Get the messages that recover the state described by a recovery journal.
+     * @param {Buffer} [journal]
+     * @returns {number[][]}
+     */
+    recover(journal) {
+        let result = [];
+        if (!journal || journal.length < 3) {
+            return result;
+        }
+        let offset = 3;
+        if (journal[0] & 0x40) {
+            // The system journal isn't used; Skip over it.
+            offset += ((journal[offset] & 0x03) << 8) | journal[offset + 1];
+        }
+        if (!(journal[0] & 0x20)) {
+            return result;
+        }
+        let count = (journal[0] & 0x0F) + 1;
+        for (let i = 0; i < count && offset + 3 <= journal.length; i++) {
+            let length = ((journal[offset] & 0x03) << 8) | journal[offset + 1];
+            if (length < 3) {
+                break;
+            }
+            let channel = (journal[offset] >> 3) & 0x0F;
+            this._recoverChannel(channel, journal[offset + 2], journal.slice(offset + 3, offset + length), result);
+            offset += length;
+        }
+        return result;
+    }
+
+    _recoverChannel(channel, toc, data, result) {
+        let state = this._channel(channel);
+        let push = (... bytes) => {
+            result.push(bytes);
+            this.track(bytes);
+        };
+        let i = 0;
+        if (toc & Chapter.P) {
+            let program = data[i] & 0x7F;
+            if (state.program !== program) {
+                if (data[i + 1] & 0x80) {
+                    push(0xB0 | channel, 0, data[i + 1] & 0x7F);
+                    push(0xB0 | channel, 32, data[i + 2] & 0x7F);
+                }
+                push(0xC0 | channel, program);
+            }
+            i += 3;
+        }
+        if (toc & Chapter.C) {
+            let count = (data[i] & 0x7F) + 1;
+            i++;
+            for (let n = 0; n < count && i + 1 < data.length; n++, i += 2) {
+                let controller = data[i] & 0x7F;
+                let value = data[i + 1] & 0x7F;
+                // Alternate (toggle and count) encodings are not recovered.
+                if (!(data[i + 1] & 0x80) && state.controllers.get(controller) !== value) {
+                    push(0xB0 | channel, controller, value);
+                }
+            }
+        }
+        if (toc & Chapter.M) {
+            i += ((data[i] & 0x03) << 8) | data[i + 1];
+        }
+        if (toc & Chapter.W) {
+            let value = (data[i] & 0x7F) | ((data[i + 1] & 0x7F) << 7);
+            if (state.pitch !== value) {
+                push(0xE0 | channel, data[i] & 0x7F, data[i + 1] & 0x7F);
+            }
+            i += 2;
+        }
+        if (toc & Chapter.N) {
+            let count = data[i] & 0x7F;
+            let low = data[i + 1] >> 4;
+            let high = data[i + 1] & 0x0F;
+            if (count === 127 && low === 15 && high === 0) {
+                count = 128;
+            }
+            i += 2;
+            let logs = data.slice(i, i + (count * 2));
+            i += count * 2;
+            for (let octet = low; octet <= high && i < data.length; octet++, i++) {
+                for (let bit = 0; bit < 8; bit++) {
+                    let note = (octet << 3) + bit;
+                    if ((data[i] & (0x80 >> bit)) && state.notes.has(note)) {
+                        push(0x80 | channel, note, 0);
+                    }
+                }
+            }
+            for (let n = 0; n + 1 < logs.length; n += 2) {
+                let note = logs[n] & 0x7F;
+                let velocity = logs[n + 1] & 0x7F;
+                if ((logs[n + 1] & 0x80) && velocity && !state.notes.has(note)) {
+                    push(0x90 | channel, note, velocity);
+                }
+            }
+        }
+    }
+}
+
+/*
+ * Sessions.
+ */
+
+const State = Object.freeze({
+    INVITING_CONTROL: 'inviting-control',
+    INVITING_DATA: 'inviting-data',
+    ACCEPTING: 'accepting',
+    CONNECTED: 'connected',
+    ENDED: 'ended'
+});
+
+/**
+ * A session with a remote RTP-MIDI participant, available to the Core as a device with a single port named after
+ *  the remote session.
+ */
+class RtpMidiSession extends endpoints.Endpoint {
+    /**
+     * @param {RtpMidiParticipant} participant - The local participant.
+     * @param {Object} opts
+     * @param {string} opts.address - Address of the remote participant.
+     * @param {number} opts.port - Control port of the remote participant.
+     * @param {string} [opts.name] - Device name of the session. The remote session's name is used if not provided.
+     * @param {boolean} [opts.initiator=false] - The local participant started the session.
+     * @param {number} [opts.token] - Initiator token of the invitation.
+     * @param {number} [opts.ssrc] - SSRC of the remote participant, if known.
+     */
+    constructor(participant, { address, port, name, initiator = false, token = randomId(), ssrc }) {
+        super(name);
+        this._configuredName = name;
+        this._remoteName = undefined;
+        this._participant = participant;
+        this._address = address;
+        this._controlPort = port;
+        this._dataPort = port + 1;
+        this._initiator = initiator;
+        this._token = token;
+        this._ssrc = ssrc;
+        this._state = (initiator) ? State.INVITING_CONTROL : State.ACCEPTING;
+        this._sequence = randomId() & 0xFFFF;
+        this._journal = new RecoveryJournal();
+        this._recovery = new RecoveryState();
+        this._lastSequence = undefined;
+        this._feedbackDue = false;
+        this._outgoing = [];
+        this._flushing = false;
+        this._sysex = undefined;
+        this._latency = undefined;
+        this._lastHeard = Date.now();
+        this._syncCount = 0;
+        this._syncTimer = undefined;
+        this._invitation = undefined;
+    }
+
+    get address() {
+        return this._address;
+    }
+
+    get port() {
+        return this._controlPort;
+    }
+
+    get initiator() {
+        return this._initiator;
+    }
+
+    get ssrc() {
+        return this._ssrc;
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * One-way network latency measured by clock synchronization, in milliseconds.
+     * @returns {number|undefined}
+     */
+    get latency() {
+        return (this._latency !== undefined) ? this._latency / 10 : undefined;
+    }
+
+    toJson() {
+        let json = {
+            host: this._address,
+            port: this._controlPort
+        };
+        if (this._configuredName) {
+            json.name = this._configuredName;
+        }
+        return json;
+    }
+
+    /**
+     * End the session, letting the remote participant know.
+     */
+    end() {
+        if (this._state === State.ENDED) {
+            return;
+        }
+        if (this._ssrc !== undefined || this._initiator) {
+            this._participant._sendControl(this,
+                invitationPacket(Command.END, this._token, this._participant.ssrc));
+        }
+        this._close();
+    }
+
+    _close() {
+        if (this._state === State.ENDED) {
+            return;
+        }
+        this._state = State.ENDED;
+        clearTimeout(this._syncTimer);
+        if (this._invitation) {
+            let invitation = this._invitation;
+            this._invitation = undefined;
+            clearTimeout(invitation.timer);
+            invitation.reject('Session ended.');
+        }
+        this._outgoing = [];
+        this._participant._forget(this);
+        this._setConnected(false);
+        endpoints.Manager.remove(this);
+        this.emit('end', this);
+    }
+
+    _connect(name) {
+        if (!this._name) {
+            this._name = name || `${this._address}:${this._controlPort}`;
+        }
+        this._state = State.CONNECTED;
+        this._lastHeard = Date.now();
+        logger.info(`RTP-MIDI session connected: ${this._name} (${this._address}:${this._controlPort})`);
+        endpoints.Manager.add(this);
+        this._setConnected(true);
+        if (this._initiator) {
+            this._sync();
+        }
+    }
+
+    _send(port, bytes) {
+        this._outgoing.push(bytes);
+        if (!this._flushing) {
+            // Messages sent together are gathered into as few packets as possible.
+            this._flushing = true;
+            setImmediate(() => {
+                this._flushing = false;
+                this._flush();
+            });
+        }
+    }
+
+    _flush() {
+        if (this._state !== State.CONNECTED) {
+            return;
+        }
+        let packets = [];
+        let commands = [];
+        let size = 0;
+        for (let bytes of this._outgoing) {
+            for (let part of segment(bytes)) {
+                if (commands.length && size + part.length + 1 > PAYLOAD_MAX) {
+                    packets.push(commands);
+                    commands = [];
+                    size = 0;
+                }
+                commands.push(part);
+                size += part.length + 1;
+            }
+        }
+        if (commands.length) {
+            packets.push(commands);
+        }
+        this._outgoing = [];
+        for (let commands of packets) {
+            this._sequence = (this._sequence + 1) & 0xFFFF;
+            // The journal describes the packets before this one.
+            let packet = midiPacket({
+                sequence: this._sequence,
+                timestamp: this._participant.timestamp,
+                ssrc: this._participant.ssrc,
+                commands,
+                journal: this._journal.encode()
+            });
+            for (let bytes of commands) {
+                this._journal.record(this._sequence, bytes);
+            }
+            this._participant._sendData(this, packet);
+        }
+    }
+
+    _sync() {
+        if (this._state !== State.CONNECTED) {
+            return;
+        }
+        this._participant._sendData(this, syncPacket(this._participant.ssrc, 0, [this._participant.timestamp]));
+        this._syncCount++;
+        this._syncTimer = setTimeout(() => {
+            this._sync();
+        }, (this._syncCount < SYNC_STARTUP_COUNT) ? SYNC_INTERVAL_STARTUP : SYNC_INTERVAL);
+    }
+
+    _onSync({ count, timestamps }) {
+        let now = this._participant.timestamp;
+        switch (count) {
+            case 0:
+                this._participant._sendData(this, syncPacket(this._participant.ssrc, 1, [timestamps[0], now]));
+                break;
+            case 1:
+                this._participant._sendData(this,
+                    syncPacket(this._participant.ssrc, 2, [timestamps[0], timestamps[1], now]));
+                this._latency = (now - timestamps[0]) / 2;
+                break;
+            case 2:
+                this._latency = (timestamps[2] - timestamps[0]) / 2;
+                break;
+        }
+    }
+
+    _onFeedback(sequence) {
+        this._journal.checkpoint(sequence);
+    }
+
+    _onPacket(packet) {
+        if (this._lastSequence !== undefined) {
+            let expected = (this._lastSequence + 1) & 0xFFFF;
+            if (packet.sequence !== expected) {
+                if (!isAfter(packet.sequence, this._lastSequence)) {
+                    // Late or duplicate packets have already been made up for.
+                    return;
+                }
+                logger.debug(`RTP-MIDI session ${this._name} lost ${(packet.sequence - expected) & 0xFFFF} packet(s).`);
+                this._sysex = undefined;
+                for (let bytes of this._recovery.recover(packet.journal)) {
+                    this._receive(0, bytes);
+                }
+            }
+        }
+        this._lastSequence = packet.sequence;
+        this._feedbackDue = true;
+        for (let bytes of packet.commands) {
+            let message = this._reassemble(bytes);
+            if (message) {
+                this._recovery.track(message);
+                this._receive(0, message);
+            }
+        }
+    }
+
+    _reassemble(bytes) {
+        let first = bytes[0];
+        let last = bytes[bytes.length - 1];
+        if (first !== SYSEX_START && first !== SYSEX_END) {
+            return bytes;
+        } else if (last === SYSEX_CANCEL) {
+            this._sysex = undefined;
+        } else if (first === SYSEX_START) {
+            if (last === SYSEX_END) {
+                return bytes;
+            }
+            this._sysex = bytes.slice(0, -1);
+        } else if (this._sysex) {
+            this._sysex.push(... bytes.slice(1, -1));
+            if (last === SYSEX_END) {
+                let result = [... this._sysex, SYSEX_END];
+                this._sysex = undefined;
+                return result;
+            }
+        }
+        return undefined;
+    }
+
+    _sendFeedback() {
+        if (this._feedbackDue && this._state === State.CONNECTED) {
+            this._feedbackDue = false;
+            this._participant._sendControl(this, feedbackPacket(this._participant.ssrc, this._lastSequence));
+        }
+    }
+}
+
+/**
+ * The local RTP-MIDI participant. Accepts invitations from remote participants and invites the configured ones.
+ *  Every session becomes a device that can be used in the `devices` configuration by its session name.
+ *
+ * Emits a 'session' event with each {RtpMidiSession} as it connects.
+ */
+class RtpMidiParticipant extends EventEmitter {
+    /**
+     * @param {Object} [opts]
+     * @param {string} [opts.name="PiMidiBox"] - The session name announced to remote participants.
+     * @param {number} [opts.port=5004] - The control port. The data port is the port following it.
+     * @param {boolean|string[]} [opts.accept=true] - Accept invitations from any remote participant, none, or
+     *      only those with the listed session names.
+     * @param {Object[]} [opts.sessions] - Remote participants to invite, each with a `host`, optional `port`
+     *      and optional device `name`.
+     */
+    constructor({ name = NAME_DEFAULT, port = PORT_DEFAULT, accept = true, sessions = [] } = {}) {
+        super();
+        this._name = name;
+        this._port = port;
+        this._accept = accept;
+        this._invites = sessions.map((session) => Object.assign({}, session));
+        this._ssrc = randomId();
+        this._epoch = tools.now();
+        this._control = undefined;
+        this._data = undefined;
+        this._sessions = new Map();
+        this._pending = new Map();
+        this._timers = [];
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get port() {
+        return this._port;
+    }
+
+    get ssrc() {
+        return this._ssrc;
+    }
+
+    /**
+     * The current RTP timestamp, in units of 100 microseconds since the participant was created.
+     * @returns {number}
+     */
+    get timestamp() {
+        return Math.floor((tools.now() - this._epoch) / 1e5);
+    }
+
+    /**
+     * Get the sessions currently connected.
+     * @returns {RtpMidiSession[]}
+     */
+    get sessions() {
+        return [... this._sessions.values()].filter((session) => session.state === State.CONNECTED);
+    }
+
+    get config() {
+        let json = {
+            name: this._name,
+            port: this._port,
+            accept: this._accept
+        };
+        if (this._invites.length) {
+            json.sessions = this._invites.map((session) => Object.assign({}, session));
+        }
+        return json;
+    }
+
+    /**
+     * Open the control and data ports, then invite the configured remote participants.
+     * @returns {Promise} Resolves once the ports are open.
+     */
+    start() {
+        if (this._control) {
+            return Promise.resolve();
+        }
+        this._control = dgram.createSocket('udp4');
+        this._data = dgram.createSocket('udp4');
+        let bind = (socket, port, handler) => {
+            return new Promise((resolve, reject) => {
+                socket.once('error', reject);
+                socket.on('message', handler);
+                socket.bind(port, () => {
+                    socket.off('error', reject);
+                    socket.on('error', (err) => {
+                        logger.error(`RTP-MIDI socket error.\n${err}`);
+                    });
+                    resolve();
+                });
+            });
+        };
+        return Promise.all([
+            bind(this._control, this._port, (msg, rinfo) => this._onControl(msg, rinfo)),
+            bind(this._data, this._port + 1, (msg, rinfo) => this._onData(msg, rinfo))
+        ]).then(() => {
+            logger.info(`RTP-MIDI participant '${this._name}' listening on port ${this._port}.`);
+            this._timers.push(setInterval(() => {
+                for (let session of this._sessions.values()) {
+                    session._sendFeedback();
+                }
+            }, FEEDBACK_INTERVAL));
+            this._timers.push(setInterval(() => {
+                this._checkTimeouts();
+            }, SYNC_INTERVAL));
+            for (let { host, port, name } of this._invites) {
+                this.invite(host, port, name).catch((err) => {
+                    logger.warn(`RTP-MIDI invitation to ${host} failed. ${err}`);
+                });
+            }
+        }, (err) => {
+            this.stop();
+            throw err;
+        });
+    }
+
+    /**
+     * End all sessions and close the ports.
+     */
+    stop() {
+        for (let session of [... this._sessions.values(), ... this._pending.values()]) {
+            session.end();
+        }
+        for (let timer of this._timers) {
+            clearInterval(timer);
+        }
+        this._timers = [];
+        for (let socket of [this._control, this._data]) {
+            if (socket) {
+                socket.close();
+            }
+        }
+        this._control = undefined;
+        this._data = undefined;
+    }
+
+    /**
+     * Invite a remote participant to a session.
+     * @param {string} host - Address of the remote participant.
+     * @param {number} [port=5004] - Control port of the remote participant.
+     * @param {string} [name] - Device name of the session. The remote session's name is used if not provided.
+     * @returns {Promise<RtpMidiSession>} Resolves once the session is connected.
+     */
+    invite(host, port = PORT_DEFAULT, name) {
+        if (!this._control) {
+            return Promise.reject("Participant has not been started!");
+        }
+        let session = new RtpMidiSession(this, { address: host, port, name, initiator: true });
+        this._pending.set(session._token, session);
+        return new Promise((resolve, reject) => {
+            session._invitation = { resolve, reject, attempts: 0, timer: undefined };
+            this._sendInvitation(session);
+        });
+    }
+
+    _sendInvitation(session) {
+        let invitation = session._invitation;
+        if (invitation.attempts++ >= INVITE_ATTEMPTS) {
+            session._invitation = undefined;
+            session._close();
+            invitation.reject(`No response from ${session.address}:${session.port}.`);
+            return;
+        }
+        let packet = invitationPacket(Command.INVITATION, session._token, this._ssrc, this._name);
+        if (session.state === State.INVITING_CONTROL) {
+            this._sendControl(session, packet);
+        } else {
+            this._sendData(session, packet);
+        }
+        invitation.timer = setTimeout(() => {
+            this._sendInvitation(session);
+        }, INVITE_INTERVAL);
+    }
+
+    _isAccepted(name) {
+        return (Array.isArray(this._accept)) ? this._accept.indexOf(name) > -1 : this._accept === true;
+    }
+
+    _onControl(msg, rinfo) {
+        let packet = parseSessionPacket(msg);
+        if (!packet) {
+            return;
+        }
+        let session = this._sessions.get(packet.ssrc);
+        if (session) {
+            session._lastHeard = Date.now();
+        }
+        switch (packet.command) {
+            case Command.INVITATION:
+                if (!this._isAccepted(packet.name)) {
+                    logger.info(`RTP-MIDI invitation from '${packet.name}' rejected.`);
+                    this._send(this._control, invitationPacket(Command.REJECTED, packet.token, this._ssrc),
+                        rinfo.address, rinfo.port);
+                    return;
+                }
+                if (!session) {
+                    session = new RtpMidiSession(this, {
+                        address: rinfo.address,
+                        port: rinfo.port,
+                        token: packet.token,
+                        ssrc: packet.ssrc
+                    });
+                    session._remoteName = packet.name;
+                    this._sessions.set(packet.ssrc, session);
+                }
+                this._send(this._control, invitationPacket(Command.ACCEPTED, packet.token, this._ssrc, this._name),
+                    rinfo.address, rinfo.port);
+                break;
+            case Command.ACCEPTED:
+            case Command.REJECTED:
+                this._onReply(packet, State.INVITING_CONTROL);
+                break;
+            case Command.END:
+                if (session) {
+                    logger.info(`RTP-MIDI session ended by remote participant: ${session.name}`);
+                    session._close();
+                }
+                break;
+            case Command.FEEDBACK:
+                if (session) {
+                    session._onFeedback(packet.sequence);
+                }
+                break;
+        }
+    }
+
+    _onData(msg, rinfo) {
+        let packet = parseSessionPacket(msg);
+        if (!packet) {
+            packet = parseMidiPacket(msg);
+            let session = packet && this._sessions.get(packet.ssrc);
+            if (session && session.state === State.CONNECTED) {
+                session._lastHeard = Date.now();
+                session._onPacket(packet);
+            }
+            return;
+        }
+        let session = this._sessions.get(packet.ssrc);
+        if (session) {
+            session._lastHeard = Date.now();
+        }
+        switch (packet.command) {
+            case Command.INVITATION:
+                if (!session) {
+                    // The control port invitation comes first.
+                    this._send(this._data, invitationPacket(Command.REJECTED, packet.token, this._ssrc),
+                        rinfo.address, rinfo.port);
+                    return;
+                }
+                session._dataPort = rinfo.port;
+                this._send(this._data, invitationPacket(Command.ACCEPTED, packet.token, this._ssrc, this._name),
+                    rinfo.address, rinfo.port);
+                if (session.state === State.ACCEPTING) {
+                    session._connect(session._remoteName);
+                    this.emit('session', session);
+                }
+                break;
+            case Command.ACCEPTED:
+            case Command.REJECTED:
+                this._onReply(packet, State.INVITING_DATA);
+                break;
+            case Command.SYNC:
+                if (session) {
+                    session._onSync(packet);
+                }
+                break;
+            case Command.END:
+                if (session) {
+                    session._close();
+                }
+                break;
+        }
+    }
+
+    _onReply(packet, state) {
+        let session = this._pending.get(packet.token);
+        if (!session || session.state !== state) {
+            return;
+        }
+        let invitation = session._invitation;
+        clearTimeout(invitation.timer);
+        if (packet.command === Command.REJECTED) {
+            session._invitation = undefined;
+            session._close();
+            invitation.reject(`Invitation rejected by ${session.address}:${session.port}.`);
+            return;
+        }
+        if (state === State.INVITING_CONTROL) {
+            session._ssrc = packet.ssrc;
+            session._remoteName = packet.name;
+            session._state = State.INVITING_DATA;
+            invitation.attempts = 0;
+            this._sendInvitation(session);
+            return;
+        }
+        this._pending.delete(packet.token);
+        this._sessions.set(session.ssrc, session);
+        session._invitation = undefined;
+        session._connect(session._remoteName);
+        this.emit('session', session);
+        invitation.resolve(session);
+    }
+
+    _checkTimeouts() {
+        let now = Date.now();
+        for (let session of this.sessions) {
+            if (now - session._lastHeard > SESSION_TIMEOUT) {
+                logger.warn(`RTP-MIDI session timed out: ${session.name}`);
+                session.end();
+            }
+        }
+    }
+
+    _forget(session) {
+        this._pending.delete(session._token);
+        if (this._sessions.get(session.ssrc) === session) {
+            this._sessions.delete(session.ssrc);
+        }
+    }
+
+    _sendControl(session, buffer) {
+        this._send(this._control, buffer, session.address, session._controlPort);
+    }
+
+    _sendData(session, buffer) {
+        this._send(this._data, buffer, session.address, session._dataPort);
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _send(socket, buffer, address, port) {
+        if (socket) {
+            socket.send(buffer, port, address, (err) => {
+                if (err) {
+                    logger.debug(`RTP-MIDI send to ${address}:${port} failed. ${err}`);
+                }
+            });
+        }
+    }
+}
+
+module.exports = {
+    PORT_DEFAULT,
+    RecoveryJournal,
+    RecoveryState,
+    RtpMidiParticipant,
+    RtpMidiSession,
+    parseMidiPacket,
+    midiPacket
+};
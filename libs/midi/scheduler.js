@@ -0,0 +1,216 @@
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+const { isRealtime, SYSEX_START } = require('./parser');
+const tools = require('../tools');
+
+const Priority = Object.freeze({
+    LOW: 0,
+    NORMAL: 1,
+    HIGH: 2
+});
+
+const priorityNames = Object.freeze({
+    'low': Priority.LOW,
+    'normal': Priority.NORMAL,
+    'high': Priority.HIGH
+});
+
+// Sysex dumps are the traffic most likely to hold up everything else.
+const PRIORITIES_DEFAULT = Object.freeze({
+    'sysex': 'low'
+});
+const MAX_DEPTH_DEFAULT = 1024;
+
+const nowMs = () => {
+    return tools.now() / 1e6;
+};
+
+/**
+ * Paces the messages sent to an output. Messages wait in the queue until the port's byte rate allows them to be sent,
+ *  highest priority first. Realtime messages (clock, start, stop, etc.) are never queued.
+ *
+ * Emits a 'drop' event with the bytes of any message discarded because the queue was full, and a 'drain' event when
+ *  the last queued message has been sent.
+ */
+class SendQueue extends EventEmitter {
+    /**
+     * @param {Function} send - Called with the bytes of each message when it is due to be sent.
+     * @param {Object} [opts]
+     * @param {number} [opts.rate] - Maximum bytes per second sent to the port. Unlimited if not provided.
+     *      (A MIDI DIN connection carries 3125 bytes per second.)
+     * @param {number} [opts.sysexGap=0] - Minimum milliseconds between the end of a sysex message and the next.
+     * @param {number} [opts.maxDepth=1024] - Maximum number of queued messages.
+     * @param {Object} [opts.priorities] - Priority ('low', 'normal' or 'high') of each message type, by type name.
+     *      Types not listed have normal priority. Sysex messages have low priority by default.
+     */
+    constructor(send, { rate, sysexGap = 0, maxDepth = MAX_DEPTH_DEFAULT, priorities } = {}) {
+        super();
+        this._send = send;
+        this._rate = (rate > 0) ? rate : undefined;
+        this._sysexGap = Math.max(0, sysexGap);
+        this._maxDepth = Math.max(1, maxDepth);
+        this._priorities = Object.assign({}, PRIORITIES_DEFAULT, priorities);
+        this._queue = [];
+        this._timer = undefined;
+        this._readyAt = 0;
+        this._sysexReadyAt = 0;
+        this._peakDepth = 0;
+        this._sent = 0;
+        this._dropped = 0;
+    }
+
+    get config() {
+        let result = {
+            sysexGap: this._sysexGap,
+            maxDepth: this._maxDepth,
+            priorities: Object.assign({}, this._priorities)
+        };
+        if (this._rate) {
+            result.rate = this._rate;
+        }
+        return result;
+    }
+
+    /**
+     * The number of messages waiting to be sent.
+     * @returns {number}
+     */
+    get depth() {
+        return this._queue.length;
+    }
+
+    get stats() {
+        return {
+            depth: this.depth,
+            peakDepth: this._peakDepth,
+            sent: this._sent,
+            dropped: this._dropped
+        };
+    }
+
+    /**
+     * Get the priority of a message type.
+     * @param {string} typeString - The name of the message type.
+     * @returns {number} A value of {Priority}.
+     */
+    priorityOf(typeString) {
+        let name = this._priorities[typeString];
+        return (name in priorityNames) ? priorityNames[name] : Priority.NORMAL;
+    }
+
+    /**
+     * Queue a message to be sent.
+     * @param {number[]} bytes - The MIDI message.
+     * @param {number} [priority=Priority.NORMAL] - A value of {Priority}.
+     */
+    push(bytes, priority = Priority.NORMAL) {
+        if (bytes.length === 1 && isRealtime(bytes[0])) {
+            // Realtime bytes still use up the port's bandwidth, but never wait for it.
+            this._write(bytes, nowMs());
+            return;
+        }
+        if (!this._queue.length && this._isReady(bytes, nowMs())) {
+            this._write(bytes, nowMs());
+            return;
+        }
+        if (this._queue.length >= this._maxDepth && !this._dropFor(priority)) {
+            this._drop(bytes);
+            return;
+        }
+        // Messages of equal priority are kept in the order they were queued.
+        let index = this._queue.findIndex((entry) => entry.priority < priority);
+        let entry = { bytes: [... bytes], priority };
+        if (index === -1) {
+            this._queue.push(entry);
+        } else {
+            this._queue.splice(index, 0, entry);
+        }
+        this._peakDepth = Math.max(this._peakDepth, this._queue.length);
+        if (index === 0 && this._timer) {
+            // The new head may be due sooner than the message the timer was set for, such as a sysex waiting on its gap.
+            clearTimeout(this._timer);
+            this._timer = undefined;
+        }
+        this._schedule();
+    }
+
+    /**
+     * Discard all queued messages. Discarded messages are counted as dropped.
+     */
+    clear() {
+        for (let entry of this._queue) {
+            this._drop(entry.bytes);
+        }
+        this._queue = [];
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = undefined;
+        }
+        this.emit('drain');
+    }
+
+    resetStats() {
+        this._peakDepth = this._queue.length;
+        this._sent = 0;
+        this._dropped = 0;
+    }
+
+    _dropFor(priority) {
+        // Make room by dropping the newest message of the lowest priority below that of the incoming message.
+        let lowest = this._queue[this._queue.length - 1];
+        if (lowest.priority >= priority) {
+            return false;
+        }
+        this._drop(this._queue.pop().bytes);
+        return true;
+    }
+
+    _drop(bytes) {
+        this._dropped++;
+        logger.debug(`Send queue full; Message dropped. (${this._dropped} dropped)`);
+        this.emit('drop', bytes);
+    }
+
+    _readyTime(bytes) {
+        return (bytes[0] === SYSEX_START) ? Math.max(this._readyAt, this._sysexReadyAt) : this._readyAt;
+    }
+
+    _isReady(bytes, now) {
+        return this._readyTime(bytes) <= now;
+    }
+
+    _write(bytes, now) {
+        this._send(bytes);
+        this._sent++;
+        if (this._rate) {
+            this._readyAt = Math.max(this._readyAt, now) + (bytes.length * 1000 / this._rate);
+        }
+        if (bytes[0] === SYSEX_START) {
+            this._sysexReadyAt = Math.max(this._readyAt, now) + this._sysexGap;
+        }
+    }
+
+    _schedule() {
+        if (this._timer || !this._queue.length) {
+            return;
+        }
+        let delay = Math.max(0, this._readyTime(this._queue[0].bytes) - nowMs());
+        this._timer = setTimeout(() => {
+            this._timer = undefined;
+            this._drain();
+        }, delay);
+    }
+
+    _drain() {
+        let now = nowMs();
+        while (this._queue.length && this._isReady(this._queue[0].bytes, now)) {
+            this._write(this._queue.shift().bytes, now);
+        }
+        if (!this._queue.length) {
+            this.emit('drain');
+        }
+        this._schedule();
+    }
+}
+
+module.exports = { Priority, SendQueue };
@@ -0,0 +1,161 @@
+const endpoints = require('./endpoint');
+const logger = require('log4js').getLogger();
+const parser = require('./parser');
+const SerialPort = require('serialport');
+
+// The MIDI 1.0 DIN baud rate.
+const BAUD_RATE = 31250;
+const RETRY_INTERVAL = 2000;
+
+/**
+ * A 5-pin DIN MIDI device connected to a serial port, such as the Pi's UART through a DIN shim. Incoming bytes are
+ *  parsed into messages here, including running status, and outgoing messages use running status unless disabled.
+ *
+ * If the serial port can't be opened or goes away (eg. an unplugged USB serial adapter), the device disconnects and
+ *  opening is retried every two seconds, so it comes and goes like any hotplugged device.
+ */
+class SerialDevice extends endpoints.Endpoint {
+    /**
+     * @param {string} name - The device name used for the device's port.
+     * @param {string|Object} settings - The path of the serial port, or an object of options.
+     * @param {string} settings.path - The path of the serial port, eg. "/dev/serial0".
+     * @param {number} [settings.baudRate=31250] - Only change this for adapters that are clocked to run MIDI at a
+     *      different nominal rate.
+     * @param {boolean} [settings.runningStatus=true] - Leave out repeated status bytes when sending.
+     */
+    constructor(name, settings) {
+        super(name);
+        let { path, baudRate = BAUD_RATE, runningStatus = true } = (typeof settings === 'string')
+            ? { path: settings }
+            : settings || {};
+        if (!path) {
+            throw "Serial devices require the 'path' of a serial port!";
+        }
+        this._path = path;
+        this._baudRate = baudRate;
+        this._parser = new parser.StreamParser();
+        this._encoder = (runningStatus) ? new parser.RunningStatusEncoder() : undefined;
+        this._serial = undefined;
+        this._retry = undefined;
+        this._closing = false;
+    }
+
+    get type() {
+        return 'serial';
+    }
+
+    get config() {
+        if (this._baudRate === BAUD_RATE && this._encoder) {
+            return this._path;
+        }
+        return { path: this._path, baudRate: this._baudRate, runningStatus: this._encoder !== undefined };
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Open the serial port. Resolves once the first attempt has been made; If it fails, the port is opened once it
+     *  becomes available.
+     * @returns {Promise}
+     */
+    open() {
+        this._closing = false;
+        if (this._serial || this._retry) {
+            return Promise.resolve();
+        }
+        return this._open().catch((err) => {
+            logger.warn(`Serial port ${this._path} for ${this.name} could not be opened; Retrying. ${err}`);
+            this._scheduleRetry();
+        });
+    }
+
+    close() {
+        this._closing = true;
+        clearTimeout(this._retry);
+        this._retry = undefined;
+        if (this._serial) {
+            let serial = this._serial;
+            this._serial = undefined;
+            if (serial.isOpen) {
+                serial.close();
+            }
+        }
+        this._setConnected(false);
+    }
+
+    _open() {
+        let serial = new SerialPort(this._path, { baudRate: this._baudRate, autoOpen: false });
+        return new Promise((resolve, reject) => {
+            serial.open((err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        }).then(() => {
+            if (this._closing) {
+                serial.close();
+                return;
+            }
+            this._serial = serial;
+            // Neither end can know the other's running status after a break in the stream.
+            this._parser.reset();
+            if (this._encoder) {
+                this._encoder.reset();
+            }
+            serial.on('data', (data) => {
+                for (let bytes of this._parser.feed(data)) {
+                    this._receive(0, bytes);
+                }
+            });
+            serial.on('error', (err) => {
+                logger.error(`Serial port error on ${this._path}.\n${err}`);
+            });
+            serial.on('close', () => {
+                this._onLost(serial);
+            });
+            logger.info(`Serial port ${this._path} opened for ${this.name}.`);
+            this._setConnected(true);
+        });
+    }
+
+    _onLost(serial) {
+        if (this._serial !== serial) {
+            return;
+        }
+        this._serial = undefined;
+        logger.warn(`Serial port ${this._path} for ${this.name} was closed; Retrying.`);
+        this._setConnected(false);
+        this._scheduleRetry();
+    }
+
+    _scheduleRetry() {
+        if (this._closing) {
+            return;
+        }
+        this._retry = setTimeout(() => {
+            this._retry = undefined;
+            this._open().catch((err) => {
+                logger.debug(`Serial port ${this._path} is still unavailable. ${err}`);
+                this._scheduleRetry();
+            });
+        }, RETRY_INTERVAL);
+    }
+
+    _send(port, bytes) {
+        if (!this._serial) {
+            return;
+        }
+        let data = (this._encoder) ? this._encoder.encode(bytes) : bytes;
+        this._serial.write(Buffer.from(data), (err) => {
+            if (err) {
+                logger.debug(`Serial write to ${this._path} failed. ${err}`);
+            }
+        });
+    }
+}
+
+module.exports = { BAUD_RATE, SerialDevice };
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const parser = require('./parser');
+
+const HEADER_CHUNK = 'MThd';
+const TRACK_CHUNK = 'MTrk';
+
+const META = 0xFF;
+const SYSEX_ESCAPE = 0xF7;
+
+/**
+ * Types of meta events found in Standard MIDI Files.
+ */
+const MetaType = Object.freeze({
+    SEQUENCE_NUMBER: 0x00,
+    TEXT: 0x01,
+    COPYRIGHT: 0x02,
+    TRACK_NAME: 0x03,
+    INSTRUMENT_NAME: 0x04,
+    LYRIC: 0x05,
+    MARKER: 0x06,
+    CUE_POINT: 0x07,
+    CHANNEL_PREFIX: 0x20,
+    END_OF_TRACK: 0x2F,
+    TEMPO: 0x51,
+    SMPTE_OFFSET: 0x54,
+    TIME_SIGNATURE: 0x58,
+    KEY_SIGNATURE: 0x59
+});
+
+/**
+ * Reads the chunks and variable-length values of a Standard MIDI File.
+ */
+class Reader {
+    constructor(buffer, offset = 0, end = buffer.length) {
+        this._buffer = buffer;
+        this._offset = offset;
+        this._end = end;
+    }
+
+    get done() {
+        return this._offset >= this._end;
+    }
+
+    _check(length) {
+        if (this._offset + length > this._end) {
+            throw "Unexpected end of MIDI file data!";
+        }
+    }
+
+    byte() {
+        this._check(1);
+        return this._buffer[this._offset++];
+    }
+
+    peek() {
+        this._check(1);
+        return this._buffer[this._offset];
+    }
+
+    uint16() {
+        this._check(2);
+        let value = this._buffer.readUInt16BE(this._offset);
+        this._offset += 2;
+        return value;
+    }
+
+    uint32() {
+        this._check(4);
+        let value = this._buffer.readUInt32BE(this._offset);
+        this._offset += 4;
+        return value;
+    }
+
+    string(length) {
+        this._check(length);
+        let value = this._buffer.toString('latin1', this._offset, this._offset + length);
+        this._offset += length;
+        return value;
+    }
+
+    bytes(length) {
+        this._check(length);
+        let value = [... this._buffer.slice(this._offset, this._offset + length)];
+        this._offset += length;
+        return value;
+    }
+
+    varLength() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            let byte = this.byte();
+            value = (value * 128) + (byte & 0x7F);
+            if (!(byte & 0x80)) {
+                return value;
+            }
+        }
+        throw "Invalid variable-length value in MIDI file!";
+    }
+
+    /**
+     * Read a chunk header, returning a reader for its contents.
+     * @returns {{type: string, reader: Reader}}
+     */
+    chunk() {
+        let type = this.string(4);
+        let length = this.uint32();
+        // Some files have a truncated final chunk; Read what is there.
+        let end = Math.min(this._offset + length, this._end);
+        let reader = new Reader(this._buffer, this._offset, end);
+        this._offset = end;
+        return { type, reader };
+    }
+}
+
+const varLength = (value) => {
+    let bytes = [value & 0x7F];
+    while ((value = Math.floor(value / 128)) > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+    }
+    return bytes;
+};
+
+const chunk = (type, bytes) => {
+    let header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32BE(bytes.length, 4);
+    return Buffer.concat([header, Buffer.from(bytes)]);
+};
+
+/**
+ * A track of a Standard MIDI File. Events are objects with an absolute `tick` and either the `bytes` of a MIDI
+ *  message or the `meta` type and `data` of a meta event.
+ */
+class Track {
+    /**
+     * @param {Object[]} [events] - The track's events, in order.
+     */
+    constructor(events = []) {
+        this._events = events;
+    }
+
+    static parse(reader) {
+        let events = [];
+        let tick = 0;
+        let runningStatus;
+        let sysex;
+        while (!reader.done) {
+            tick += reader.varLength();
+            let status = reader.peek();
+            if (status >= 0x80) {
+                reader.byte();
+            } else if (runningStatus !== undefined) {
+                status = runningStatus;
+            } else {
+                throw "MIDI file track data without a status byte!";
+            }
+            if (status === META) {
+                let meta = reader.byte();
+                let data = reader.bytes(reader.varLength());
+                runningStatus = undefined;
+                events.push({ tick, meta, data });
+                if (meta === MetaType.END_OF_TRACK) {
+                    break;
+                }
+            } else if (status === parser.SYSEX_START || status === SYSEX_ESCAPE) {
+                let data = reader.bytes(reader.varLength());
+                runningStatus = undefined;
+                if (status === parser.SYSEX_START) {
+                    sysex = { tick, bytes: [parser.SYSEX_START, ... data] };
+                } else if (sysex) {
+                    // A continuation packet of a sysex message split over time.
+                    sysex.bytes.push(... data);
+                } else {
+                    // An escape carrying any bytes, such as realtime messages.
+                    events.push({ tick, bytes: data });
+                }
+                if (sysex && sysex.bytes[sysex.bytes.length - 1] === parser.SYSEX_END) {
+                    events.push(sysex);
+                    sysex = undefined;
+                }
+            } else {
+                let length = parser.dataLength(status);
+                if (length < 0 || status >= 0xF0) {
+                    throw `Unexpected status byte 0x${status.toString(16)} in MIDI file track!`;
+                }
+                events.push({ tick, bytes: [status, ... reader.bytes(length)] });
+                runningStatus = status;
+            }
+        }
+        return new Track(events);
+    }
+
+    get events() {
+        return this._events;
+    }
+
+    /**
+     * Encode the track as an MTrk chunk. Events must be in order; An End of Track event is added if missing.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        let bytes = [];
+        let tick = 0;
+        let runningStatus;
+        for (let event of this._events) {
+            if (event.meta === MetaType.END_OF_TRACK) {
+                break;
+            }
+            bytes.push(... varLength(Math.max(0, event.tick - tick)));
+            tick = Math.max(tick, event.tick);
+            if (event.meta !== undefined) {
+                bytes.push(META, event.meta, ... varLength(event.data.length), ... event.data);
+                runningStatus = undefined;
+            } else if (event.bytes[0] === parser.SYSEX_START) {
+                bytes.push(parser.SYSEX_START, ... varLength(event.bytes.length - 1), ... event.bytes.slice(1));
+                runningStatus = undefined;
+            } else if (event.bytes[0] >= 0xF0) {
+                bytes.push(SYSEX_ESCAPE, ... varLength(event.bytes.length), ... event.bytes);
+                runningStatus = undefined;
+            } else {
+                bytes.push(... (event.bytes[0] === runningStatus) ? event.bytes.slice(1) : event.bytes);
+                runningStatus = event.bytes[0];
+            }
+        }
+        let end = this._events.find((event) => event.meta === MetaType.END_OF_TRACK);
+        bytes.push(... varLength((end) ? Math.max(0, end.tick - tick) : 0), META, MetaType.END_OF_TRACK, 0);
+        return chunk(TRACK_CHUNK, bytes);
+    }
+
+    /**
+     * The track name from its first Track Name meta event.
+     * @returns {string|undefined}
+     */
+    get name() {
+        let event = this._events.find((event) => event.meta === MetaType.TRACK_NAME);
+        return (event) ? Buffer.from(event.data).toString('latin1') : undefined;
+    }
+
+    /**
+     * The tick of the track's last event.
+     * @returns {number}
+     */
+    get length() {
+        return (this._events.length) ? this._events[this._events.length - 1].tick : 0;
+    }
+}
+
+/**
+ * A Standard MIDI File (format 0 or 1).
+ */
+class MidiFile {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.format=1]
+     * @param {number} [opts.division=480] - Ticks per quarter note.
+     * @param {Track[]} [opts.tracks]
+     */
+    constructor({ format = 1, division = 480, tracks = [] } = {}) {
+        this._format = format;
+        this._division = division;
+        this._tracks = tracks;
+    }
+
+    /**
+     * Parse the contents of a Standard MIDI File.
+     * @param {Buffer} buffer
+     * @returns {MidiFile}
+     */
+    static parse(buffer) {
+        let reader = new Reader(buffer);
+        let { type, reader: header } = reader.chunk();
+        if (type !== HEADER_CHUNK) {
+            throw "Not a Standard MIDI File!";
+        }
+        let format = header.uint16();
+        let count = header.uint16();
+        let division = header.uint16();
+        if (format > 1) {
+            throw `MIDI file format ${format} is not supported!`;
+        }
+        if (division & 0x8000) {
+            throw "MIDI files with SMPTE time division are not supported!";
+        }
+        let tracks = [];
+        while (!reader.done && tracks.length < count) {
+            let chunk = reader.chunk();
+            // Unknown chunk types are to be skipped.
+            if (chunk.type === TRACK_CHUNK) {
+                tracks.push(Track.parse(chunk.reader));
+            }
+        }
+        return new MidiFile({ format, division, tracks });
+    }
+
+    /**
+     * Read a Standard MIDI File from disk.
+     * @param {string} filePath
+     * @returns {MidiFile}
+     */
+    static fromFile(filePath) {
+        return MidiFile.parse(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Encode the file.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        let header = chunk(HEADER_CHUNK, [0, this._format, this._tracks.length >> 8, this._tracks.length & 0xFF,
+            this._division >> 8, this._division & 0xFF]);
+        return Buffer.concat([header, ... this._tracks.map((track) => track.toBuffer())]);
+    }
+
+    /**
+     * Write the file to disk.
+     * @param {string} filePath
+     */
+    save(filePath) {
+        fs.writeFileSync(filePath, this.toBuffer());
+    }
+
+    get format() {
+        return this._format;
+    }
+
+    /**
+     * The number of ticks per quarter note.
+     * @returns {number}
+     */
+    get division() {
+        return this._division;
+    }
+
+    get tracks() {
+        return this._tracks;
+    }
+
+    /**
+     * The tick of the last event of the file.
+     * @returns {number}
+     */
+    get length() {
+        return this._tracks.reduce((length, track) => Math.max(length, track.length), 0);
+    }
+
+    /**
+     * Get the events of every track in the order they occur. Each event has a `track` property with the index of
+     *  its track.
+     * @returns {Object[]}
+     */
+    get events() {
+        let result = [];
+        this._tracks.forEach((track, index) => {
+            for (let event of track.events) {
+                result.push(Object.assign({ track: index }, event));
+            }
+        });
+        // Array.prototype.sort is stable, keeping each track's events in order.
+        return result.sort((a, b) => a.tick - b.tick);
+    }
+}
+
+module.exports = { MetaType, MidiFile, Track };
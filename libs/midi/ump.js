@@ -0,0 +1,369 @@
+const logger = require('log4js').getLogger();
+const { Message, ParameterMessage } = require('./core');
+const { dataLength, SYSEX_END, SYSEX_START } = require('./parser');
+const tools = require('../tools');
+
+/**
+ * Translation between {Message} objects and MIDI 2.0 Universal MIDI Packets (UMP).
+ * Packets are represented as arrays of unsigned 32-bit words.
+ */
+
+const MessageType = Object.freeze({
+    UTILITY: 0x0,
+    SYSTEM: 0x1,
+    MIDI1_CHANNEL_VOICE: 0x2,
+    DATA64: 0x3,
+    MIDI2_CHANNEL_VOICE: 0x4,
+    DATA128: 0x5
+});
+
+const Protocol = Object.freeze({
+    MIDI1: 1,
+    MIDI2: 2
+});
+
+// Word count of a packet, indexed by message type.
+const PACKET_SIZES = Object.freeze([1, 1, 1, 2, 2, 4, 1, 1, 2, 2, 2, 3, 3, 4, 4, 4]);
+
+// Status nibbles of data 64 (sysex7) packets.
+const SYSEX7_COMPLETE = 0x0;
+const SYSEX7_START = 0x1;
+const SYSEX7_CONTINUE = 0x2;
+const SYSEX7_END = 0x3;
+const SYSEX7_PAYLOAD = 6;
+
+// MIDI 2.0 channel voice opcodes with no MIDI 1.0 status byte equivalent.
+const OPCODE_REGISTERED_CONTROLLER = 0x2;
+const OPCODE_ASSIGNABLE_CONTROLLER = 0x3;
+
+// MIDI 1.0 Note On with a velocity of zero is translated to a Note Off using the default release velocity.
+const DEFAULT_RELEASE_VELOCITY = 64;
+
+/**
+ * Scale a value between resolutions using the Min-Center-Max rules of the MIDI 2.0 specification. Upscaled values
+ *  keep the minimum, center and maximum of the source range, and downscaled values are truncated.
+ * @param {number} value - The unsigned value to scale.
+ * @param {number} srcBits - The resolution of `value`.
+ * @param {number} dstBits - The resolution to scale to. Must be 32 or lower.
+ * @returns {number}
+ */
+const scale = (value, srcBits, dstBits) => {
+    if (srcBits === dstBits) {
+        return value;
+    } else if (srcBits > dstBits) {
+        return Math.floor(value / Math.pow(2, srcBits - dstBits));
+    }
+    let scaleBits = dstBits - srcBits;
+    let shifted = value * Math.pow(2, scaleBits);
+    let center = Math.pow(2, srcBits - 1);
+    if (value <= center) {
+        return shifted;
+    }
+    // Fill the new low bits by repeating the bits below the source value's most significant bit.
+    let repeatBits = srcBits - 1;
+    let repeatValue = value & (Math.pow(2, repeatBits) - 1);
+    if (scaleBits > repeatBits) {
+        repeatValue = repeatValue * Math.pow(2, scaleBits - repeatBits);
+    } else {
+        repeatValue = Math.floor(repeatValue / Math.pow(2, repeatBits - scaleBits));
+    }
+    while (repeatValue >= 1) {
+        shifted = (shifted | repeatValue) >>> 0;
+        repeatValue = Math.floor(repeatValue / Math.pow(2, repeatBits));
+    }
+    return shifted;
+};
+
+const word = (b0, b1, b2, b3) => {
+    return (((b0 & 0xFF) << 24) | ((b1 & 0xFF) << 16) | ((b2 & 0xFF) << 8) | (b3 & 0xFF)) >>> 0;
+};
+
+const byteAt = (value, index) => {
+    return (value >>> (24 - (index * 8))) & 0xFF;
+};
+
+const header = (type, group) => {
+    return ((type & 0xF) << 4) | (group & 0xF);
+};
+
+/**
+ * Get the number of words in a packet from its first word.
+ * @param {number} firstWord
+ * @returns {number}
+ */
+const packetSize = (firstWord) => {
+    return PACKET_SIZES[firstWord >>> 28];
+};
+
+const encodeSysex7 = (bytes, group) => {
+    let payload = bytes.slice(1, (bytes[bytes.length - 1] === SYSEX_END) ? -1 : undefined);
+    let packets = [];
+    let chunks = Math.max(1, Math.ceil(payload.length / SYSEX7_PAYLOAD));
+    for (let i = 0; i < chunks; i++) {
+        let chunk = payload.slice(i * SYSEX7_PAYLOAD, (i + 1) * SYSEX7_PAYLOAD);
+        let status = (chunks === 1) ? SYSEX7_COMPLETE
+            : (i === 0) ? SYSEX7_START
+            : (i === chunks - 1) ? SYSEX7_END
+            : SYSEX7_CONTINUE;
+        let data = [... chunk, 0, 0, 0, 0, 0, 0];
+        packets.push([
+            word(header(MessageType.DATA64, group), (status << 4) | chunk.length, data[0], data[1]),
+            word(data[2], data[3], data[4], data[5])
+        ]);
+    }
+    return packets;
+};
+
+const encodeMidi2 = (message, group) => {
+    let channel = message.channel;
+    let type = message.type;
+    if (type === 0x100 || type === 0x101) {
+        let opcode = (type === 0x100) ? OPCODE_REGISTERED_CONTROLLER : OPCODE_ASSIGNABLE_CONTROLLER;
+        return [[
+            word(header(MessageType.MIDI2_CHANNEL_VOICE, group), (opcode << 4) | channel,
+                message.parameter >> 7, message.parameter & 0x7F),
+            scale(message.value, 14, 32)
+        ]];
+    } else if (type === 0x102) {
+        // 14-bit controller pairs are sent as their MSB controller with the full resolution value.
+        return [[
+            word(header(MessageType.MIDI2_CHANNEL_VOICE, group), 0xB0 | channel, message.parameter, 0),
+            scale(message.value, 14, 32)
+        ]];
+    }
+    let bytes = message.bytes;
+    let first = (status, index1 = 0, index2 = 0) => {
+        return word(header(MessageType.MIDI2_CHANNEL_VOICE, group), status, index1, index2);
+    };
+    switch (type) {
+        case 0x09:  // noteon
+            if (bytes[2] === 0) {
+                return [[first(0x80 | channel, bytes[1]), (scale(DEFAULT_RELEASE_VELOCITY, 7, 16) << 16) >>> 0]];
+            }
+            return [[first(bytes[0], bytes[1]), (scale(bytes[2], 7, 16) << 16) >>> 0]];
+        case 0x08:  // noteoff
+            return [[first(bytes[0], bytes[1]), (scale(bytes[2], 7, 16) << 16) >>> 0]];
+        case 0x0A:  // poly aftertouch
+        case 0x0B:  // cc
+            return [[first(bytes[0], bytes[1]), scale(bytes[2], 7, 32)]];
+        case 0x0C:  // program
+            return [[first(bytes[0]), word(bytes[1], 0, 0, 0)]];
+        case 0x0D:  // channel aftertouch
+            return [[first(bytes[0]), scale(bytes[1], 7, 32)]];
+        case 0x0E:  // pitch
+            return [[first(bytes[0]), scale(message.value, 14, 32)]];
+    }
+    return [];
+};
+
+/**
+ * Convert a message to Universal MIDI Packets.
+ * @param {Message} message - The message to convert.
+ * @param {Object} [opts]
+ * @param {number} [opts.group=0] - The UMP group (0-15) the packets are addressed to.
+ * @param {number} [opts.protocol=1] - Use MIDI 1.0 (1) or MIDI 2.0 (2) channel voice messages.
+ * @returns {number[][]} An array of packets, each an array of 32-bit words.
+ */
+const encode = (message, { group = 0, protocol = Protocol.MIDI1 } = {}) => {
+    if (message.type === SYSEX_START) {
+        return encodeSysex7(message.bytes, group);
+    } else if (message.isTypeExtended) {
+        let bytes = message.bytes;
+        if (bytes[0] === SYSEX_END) {
+            return [];
+        }
+        return [[word(header(MessageType.SYSTEM, group), bytes[0], bytes[1] || 0, bytes[2] || 0)]];
+    } else if (protocol === Protocol.MIDI2) {
+        return encodeMidi2(message, group);
+    }
+    let packets = [];
+    for (let bytes of message.packets) {
+        packets.push([word(header(MessageType.MIDI1_CHANNEL_VOICE, group), bytes[0], bytes[1] || 0, bytes[2] || 0)]);
+    }
+    return packets;
+};
+
+/**
+ * Converts a stream of UMP words into {Message} objects. Sysex7 data split across several packets is reassembled.
+ */
+class Decoder {
+    /**
+     * @param {Object} [opts]
+     * @param {number[]} [opts.groups] - Only decode packets addressed to these groups. All groups are decoded if
+     *      not provided.
+     */
+    constructor({ groups } = {}) {
+        this._groups = (Array.isArray(groups)) ? [... groups] : undefined;
+        this._words = [];
+        this._sysex = {};
+    }
+
+    reset() {
+        this._words = [];
+        this._sysex = {};
+    }
+
+    /**
+     * Decode the next words of the stream.
+     * @param {number[]} words - One or more 32-bit words. Partial packets are kept until the remaining words arrive.
+     * @returns {Message[]} Any messages completed by these words. Each message has a `group` additional property.
+     */
+    decode(words) {
+        this._words.push(... words);
+        let result = [];
+        while (this._words.length && this._words.length >= packetSize(this._words[0])) {
+            let packet = this._words.splice(0, packetSize(this._words[0]));
+            let message = this.decodePacket(packet);
+            if (message) {
+                result.push(message);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Decode a single packet.
+     * @param {number[]} packet - The words of one packet.
+     * @returns {Message|undefined} The decoded message, or undefined if the packet has no MIDI 1.0 equivalent or
+     *      is part of an incomplete sysex message.
+     */
+    decodePacket(packet) {
+        let type = packet[0] >>> 28;
+        let group = (packet[0] >>> 24) & 0xF;
+        if (this._groups && !tools.containsValue(this._groups, group)) {
+            return undefined;
+        }
+        let message;
+        switch (type) {
+            case MessageType.UTILITY:
+                // NOOP and jitter reduction timestamps.
+                return undefined;
+            case MessageType.SYSTEM:
+            case MessageType.MIDI1_CHANNEL_VOICE: {
+                let status = byteAt(packet[0], 1);
+                let bytes = [status, byteAt(packet[0], 2), byteAt(packet[0], 3)];
+                message = new Message(bytes.slice(0, dataLength(status) + 1));
+                break;
+            }
+            case MessageType.DATA64:
+                message = this._decodeSysex7(packet, group);
+                break;
+            case MessageType.MIDI2_CHANNEL_VOICE:
+                message = this._decodeMidi2(packet);
+                break;
+            default:
+                logger.debug(`Unsupported UMP message type: ${type}`);
+                return undefined;
+        }
+        if (message) {
+            message.addAdditionalProperty('group', group);
+        }
+        return message;
+    }
+
+    _decodeSysex7(packet, group) {
+        let status = byteAt(packet[0], 1) >> 4;
+        let count = Math.min(byteAt(packet[0], 1) & 0xF, SYSEX7_PAYLOAD);
+        let data = [byteAt(packet[0], 2), byteAt(packet[0], 3)];
+        for (let i = 0; i < 4; i++) {
+            data.push(byteAt(packet[1], i));
+        }
+        data = data.slice(0, count);
+        switch (status) {
+            case SYSEX7_COMPLETE:
+                delete this._sysex[group];
+                return new Message([SYSEX_START, ... data, SYSEX_END]);
+            case SYSEX7_START:
+                this._sysex[group] = [SYSEX_START, ... data];
+                return undefined;
+            case SYSEX7_CONTINUE:
+                if (this._sysex[group]) {
+                    this._sysex[group].push(... data);
+                }
+                return undefined;
+            case SYSEX7_END: {
+                let bytes = this._sysex[group];
+                delete this._sysex[group];
+                if (!bytes) {
+                    logger.warn(`Sysex7 end packet received without a start packet on group ${group}.`);
+                    return undefined;
+                }
+                return new Message([... bytes, ... data, SYSEX_END]);
+            }
+        }
+        return undefined;
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _decodeMidi2(packet) {
+        let status = byteAt(packet[0], 1);
+        let opcode = status >> 4;
+        let channel = status & 0xF;
+        let index1 = byteAt(packet[0], 2);
+        let index2 = byteAt(packet[0], 3);
+        let data = packet[1];
+        switch (opcode) {
+            case OPCODE_REGISTERED_CONTROLLER:
+            case OPCODE_ASSIGNABLE_CONTROLLER:
+                return new ParameterMessage((opcode === OPCODE_REGISTERED_CONTROLLER) ? 'rpn' : 'nrpn', {
+                    channel,
+                    parameter: (index1 << 7) + index2,
+                    value: scale(data, 32, 14)
+                });
+            case 0x8:   // noteoff
+                return new Message([status, index1, scale(data >>> 16, 16, 7)]);
+            case 0x9: { // noteon
+                // A MIDI 1.0 Note On with a velocity of zero is a Note Off, so the lowest velocity is 1.
+                let velocity = Math.max(1, scale(data >>> 16, 16, 7));
+                return new Message([status, index1, velocity]);
+            }
+            case 0xA:   // poly aftertouch
+            case 0xB:   // cc
+                return new Message([status, index1, scale(data, 32, 7)]);
+            case 0xC: { // program
+                let message = new Message([status, byteAt(data, 0)]);
+                if (index2 & 0x1) {
+                    message.addAdditionalProperty('bank', (byteAt(data, 2) << 7) + byteAt(data, 3));
+                }
+                return message;
+            }
+            case 0xD:   // channel aftertouch
+                return new Message([status, scale(data, 32, 7)]);
+            case 0xE: { // pitch
+                let message = new Message([status, 0, 0]);
+                message.value = scale(data, 32, 14);
+                return message;
+            }
+        }
+        logger.debug(`MIDI 2.0 channel voice opcode ${opcode} has no MIDI 1.0 equivalent; Skipping.`);
+        return undefined;
+    }
+}
+
+/**
+ * Serialize packets as big-endian bytes, for transport over a byte stream or datagram.
+ * @param {number[][]|number[]} packets - Packets or a flat array of words.
+ * @returns {Buffer}
+ */
+const toBytes = (packets) => {
+    let words = [].concat(... packets);
+    let buffer = Buffer.alloc(words.length * 4);
+    words.forEach((value, i) => buffer.writeUInt32BE(value >>> 0, i * 4));
+    return buffer;
+};
+
+/**
+ * Read big-endian bytes into an array of words. Trailing bytes that do not form a whole word are ignored.
+ * @param {Buffer|number[]} bytes
+ * @returns {number[]}
+ */
+const fromBytes = (bytes) => {
+    let buffer = Buffer.from(bytes);
+    let words = [];
+    for (let i = 0; i + 4 <= buffer.length; i += 4) {
+        words.push(buffer.readUInt32BE(i));
+    }
+    return words;
+};
+
+module.exports = { Decoder, MessageType, Protocol, encode, fromBytes, packetSize, scale, toBytes };
@@ -18,6 +18,10 @@ class Monitor {
         this.handler = handler;
         this._inputs = {};
         if (!Array.isArray(inputs) || !inputs.length) {
+            if (!PortIndex.count && global.configPath) {
+                PortIndex.populateFromConfig(global.configPath);
+            }
+            Core.openVirtualPorts(... PortIndex.virtualRecords);
             inputs = Core.openAllInputs();
         }
         if (inputs && !!inputs.length) {
@@ -133,11 +137,19 @@ class SysexLoader {
         return this._output;
     }
 
+    /**
+     * Send the messages of the sysex file.
+     * @returns {Promise} Resolves once any messages held in the output's send queue have been sent.
+     */
     send() {
         try {
-            this._output.sendMessage(this._message.bytes);
+            for (let message of this._message) {
+                this._output.sendMessage(message);
+            }
+            return this._output.flush();
         } catch (err) {
             logger.error(`Error occurred during sysex file send.\n${err}`);
+            return Promise.resolve();
         }
     }
 }
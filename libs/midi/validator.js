@@ -0,0 +1,342 @@
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// The properties an Adjuster can be mapped with, and their ranges.
+const ADJUSTER_FIELDS = Object.freeze({
+    channel: [0, 15],
+    controller: [0, 127],
+    value: [0, 127],
+    note: [0, 127],
+    velocity: [0, 127],
+    rpn: [0, 16383],
+    nrpn: [0, 16383],
+    cc14: [0, 31]
+});
+
+/**
+ * Format the path of a value within a piece of json, eg. `mappings["Only.Circuit"].inputs[1]`.
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+const formatPath = (path) => {
+    let result = '';
+    for (let key of path) {
+        if (typeof key === 'number') {
+            result += `[${key}]`;
+        } else if (IDENTIFIER.test(key)) {
+            result += (result) ? `.${key}` : key;
+        } else {
+            result += `[${JSON.stringify(key)}]`;
+        }
+    }
+    return result || '(root)';
+};
+
+const describe = (value) => {
+    if (Array.isArray(value)) {
+        return 'an array';
+    } else if (value === null) {
+        return 'null';
+    }
+    return (typeof value === 'object') ? 'an object' : JSON.stringify(value);
+};
+
+/**
+ * Collects the problems found in a piece of configuration json, each with the path of the value at fault. Validators
+ *  for nested values are made with {Validator#child}, sharing the lists of problems and warnings and the context.
+ *
+ * Warnings point out settings that are valid but unlikely to work as intended; They don't make the json invalid.
+ */
+class Validator {
+    /**
+     * @param {string} [source] - A description of where the json came from, such as its file path.
+     * @param {Object} [opts]
+     * @param {Array<string|number>} [opts.path] - The path of the json being validated.
+     * @param {Object[]} [opts.problems] - The list problems are added to.
+     * @param {Object[]} [opts.warnings] - The list warnings are added to.
+     * @param {Object} [opts.context] - Values shared by every child validator, such as the device nicknames.
+     */
+    constructor(source, { path = [], problems = [], warnings = [], context = {} } = {}) {
+        this._source = source;
+        this._path = path;
+        this._problems = problems;
+        this._warnings = warnings;
+        this._context = context;
+    }
+
+    /**
+     * Get a validator for a value nested within this one.
+     * @param {string|number} keys - The path of the value, relative to this validator's path.
+     * @returns {Validator}
+     */
+    child(... keys) {
+        return new Validator(this._source, {
+            path: [... this._path, ... keys],
+            problems: this._problems,
+            warnings: this._warnings,
+            context: this._context
+        });
+    }
+
+    get context() {
+        return this._context;
+    }
+
+    /**
+     * Get the problems found, each with the formatted `path` of the value and a `message`.
+     * @returns {Object[]}
+     */
+    get problems() {
+        return [... this._problems];
+    }
+
+    get valid() {
+        return !this._problems.length;
+    }
+
+    /**
+     * Get the warnings given, each with the formatted `path` of the value and a `message`.
+     * @returns {Object[]}
+     */
+    get warnings() {
+        return [... this._warnings];
+    }
+
+    /**
+     * Get a report listing every problem found.
+     * @returns {string}
+     */
+    get report() {
+        let source = (this._source) ? ` in ${this._source}` : '';
+        let lines = this._problems.map(({ path, message }) => `    ${path}: ${message}`);
+        return `Invalid configuration${source} (${this._problems.length} problem(s)):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Get a report listing every warning given, or an empty string if there are none.
+     * @returns {string}
+     */
+    get warningReport() {
+        if (!this._warnings.length) {
+            return '';
+        }
+        let source = (this._source) ? ` in ${this._source}` : '';
+        let lines = this._warnings.map(({ path, message }) => `    ${path}: ${message}`);
+        return `Configuration warnings${source} (${this._warnings.length}):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Throw the report if any problems were found.
+     */
+    assert() {
+        if (!this.valid) {
+            throw this.report;
+        }
+    }
+
+    /**
+     * Report a problem.
+     * @param {string} message
+     * @param {string|number} [keys] - The path of the value at fault, relative to this validator's path.
+     */
+    error(message, ... keys) {
+        this._problems.push({ path: formatPath([... this._path, ... keys]), message });
+    }
+
+    /**
+     * Report a setting that is valid but unlikely to work as intended.
+     * @param {string} message
+     * @param {string|number} [keys] - The path of the value, relative to this validator's path.
+     */
+    warn(message, ... keys) {
+        this._warnings.push({ path: formatPath([... this._path, ... keys]), message });
+    }
+
+    /**
+     * Check the type of a value.
+     * @param {*} value
+     * @param {string} type - One of 'object', 'array', 'string', 'number', 'integer' or 'boolean'.
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean} true if the value is of the type.
+     */
+    type(value, type, ... keys) {
+        let valid;
+        switch (type) {
+            case 'object':
+                valid = !!value && typeof value === 'object' && !Array.isArray(value);
+                break;
+            case 'array':
+                valid = Array.isArray(value);
+                break;
+            case 'integer':
+                valid = Number.isInteger(value);
+                break;
+            default:
+                valid = typeof value === type;
+        }
+        if (!valid) {
+            let expected = `${(/^[aeiou]/.test(type)) ? 'an' : 'a'} ${type}`;
+            this.error((value === undefined) ? `Missing setting; Expected ${expected}.`
+                : `Expected ${expected}, found ${describe(value)}.`, ... keys);
+        }
+        return valid;
+    }
+
+    /**
+     * Check that a value is an integer within a range.
+     * @param {*} value
+     * @param {number} min
+     * @param {number} max
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    integer(value, min, max, ... keys) {
+        if (!this.type(value, 'integer', ... keys)) {
+            return false;
+        }
+        return this.range(value, min, max, ... keys);
+    }
+
+    /**
+     * Check that a number is within a range.
+     * @param {*} value
+     * @param {number} min
+     * @param {number} max
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    range(value, min, max, ... keys) {
+        if (!this.type(value, 'number', ... keys)) {
+            return false;
+        } else if (value < min || value > max) {
+            this.error(`${value} is out of range; Expected ${min} to ${max}.`, ... keys);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check that a value is one of a set of values.
+     * @param {*} value
+     * @param {Array} values
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    oneOf(value, values, ... keys) {
+        if (values.indexOf(value) < 0) {
+            this.error(`Unknown value ${describe(value)}; Expected one of ${values.join(', ')}.`, ... keys);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check that an object has no keys other than those listed.
+     * @param {Object} value
+     * @param {string[]} keys - The known keys.
+     * @returns {boolean}
+     */
+    known(value, keys) {
+        let valid = true;
+        for (let key of Object.keys(value)) {
+            if (keys.indexOf(key) < 0) {
+                this.error(`Unknown setting; Expected one of ${keys.join(', ')}.`, key);
+                valid = false;
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Check that a value is a MIDI channel, numbered 1 to 16.
+     * @param {*} value
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    channel(value, ... keys) {
+        return this.integer(value, 1, 16, ... keys);
+    }
+
+    /**
+     * Check that a value is the nickname of a device in the `devices` of the context.
+     * @param {*} value
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    nickname(value, ... keys) {
+        if (!this.type(value, 'string', ... keys)) {
+            return false;
+        }
+        let devices = this._context.devices;
+        if (devices && devices.indexOf(value) < 0) {
+            this.error(`Unknown device nickname "${value}".`, ... keys);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check that a value is an array of device nicknames.
+     * @param {*} value
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    nicknames(value, ... keys) {
+        if (!this.type(value, 'array', ... keys)) {
+            return false;
+        }
+        let valid = true;
+        value.forEach((nickname, i) => {
+            valid = this.nickname(nickname, ... keys, i) && valid;
+        });
+        return valid;
+    }
+
+    /**
+     * Check the mappings of a set of Adjusters, keyed by adjuster name.
+     * @param {*} value
+     * @param {Adjuster[]} [adjusters] - The available Adjusters. Mappings are checked against these if provided,
+     *      otherwise only their fields are checked.
+     * @param {string|number} [keys] - The path of the value.
+     * @returns {boolean}
+     */
+    adjusters(value, adjusters, ... keys) {
+        if (!this.type(value, 'object', ... keys)) {
+            return false;
+        }
+        let valid = true;
+        for (let { 0: name, 1: map } of Object.entries(value)) {
+            let path = [... keys, name];
+            if (!this.type(map, 'object', ... path)) {
+                valid = false;
+                continue;
+            }
+            for (let { 0: field, 1: fieldValue } of Object.entries(map)) {
+                if (!ADJUSTER_FIELDS[field]) {
+                    this.error(`Unknown adjuster field; Expected one of ${Object.keys(ADJUSTER_FIELDS).join(', ')}.`,
+                        ... path, field);
+                    valid = false;
+                } else {
+                    valid = this.integer(fieldValue, ... ADJUSTER_FIELDS[field], ... path, field) && valid;
+                }
+            }
+            if (!adjusters) {
+                continue;
+            }
+            let adjuster = adjusters.find((adjuster) => adjuster.name === name);
+            if (!adjuster) {
+                this.error(`Unknown adjuster; Expected one of ${adjusters.map((a) => a.name).join(', ')}.`, ... path);
+                valid = false;
+                continue;
+            }
+            try {
+                adjuster.userMapping = map;
+            } catch (err) {
+                this.error(String(err), ... path);
+                valid = false;
+            }
+        }
+        return valid;
+    }
+}
+
+module.exports = { Validator };
@@ -0,0 +1,109 @@
+const EventEmitter = require('eventemitter3');
+const logger = require('log4js').getLogger();
+
+const ACTIVE_SENSE = 0xFE;
+const ACTIVE_SENSE_TIMEOUT = 300;
+
+/**
+ * Watches inputs for Active Sensing. Once an input has sent an Active Sense message (0xFE), it is expected to keep
+ *  sending messages of some kind at least every 300 ms. If it goes silent for longer, the connection is assumed to
+ *  be broken and a 'dropout' event is emitted with the input.
+ *
+ * Inputs that stop sending Active Sense messages cleanly are not watched again until they send another one.
+ */
+class ActiveSenseWatchdog extends EventEmitter {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.timeout=300] - Milliseconds of silence allowed from an input that sends Active Sensing.
+     */
+    constructor({ timeout = ACTIVE_SENSE_TIMEOUT } = {}) {
+        super();
+        this._timeout = timeout;
+        this._watched = new Map();
+    }
+
+    get timeout() {
+        return this._timeout;
+    }
+
+    /**
+     * Start watching an input. Active Sense messages are consumed unless the input is listening for them.
+     * @param {Input} input
+     */
+    watch(input) {
+        if (this._watched.has(input)) {
+            return;
+        }
+        let state = {
+            sensing: false,
+            timer: undefined,
+            handler: (device, message) => {
+                return this._onMessage(device, message, state);
+            }
+        };
+        this._watched.set(input, state);
+        input.watchActiveSense = true;
+        input.bind(state.handler, true);
+    }
+
+    /**
+     * Stop watching an input.
+     * @param {Input} input
+     */
+    unwatch(input) {
+        let state = this._watched.get(input);
+        if (state) {
+            this._stop(state);
+            input.unbind(state.handler);
+            input.watchActiveSense = false;
+            this._watched.delete(input);
+        }
+    }
+
+    unwatchAll() {
+        for (let input of [... this._watched.keys()]) {
+            this.unwatch(input);
+        }
+    }
+
+    /**
+     * Forget that an input was sending Active Sensing, such as when it has been disconnected.
+     * @param {Input} input
+     */
+    reset(input) {
+        let state = this._watched.get(input);
+        if (state) {
+            this._stop(state);
+        }
+    }
+
+    // noinspection JSMethodCanBeStatic
+    _stop(state) {
+        state.sensing = false;
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = undefined;
+        }
+    }
+
+    _onMessage(input, message, state) {
+        let activeSense = message.bytes[0] === ACTIVE_SENSE;
+        if (activeSense && !state.sensing) {
+            logger.debug(`Active Sensing detected on ${input.nickname || input.name}.`);
+            state.sensing = true;
+        }
+        if (state.sensing) {
+            // Any message counts as a sign of life, not only Active Sense.
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => {
+                this._stop(state);
+                if (input.isAttached) {
+                    this.emit('dropout', input);
+                }
+            }, this._timeout);
+        }
+        return activeSense && !input.listenActiveSense;
+    }
+}
+
+module.exports = { ActiveSenseWatchdog, ACTIVE_SENSE_TIMEOUT };
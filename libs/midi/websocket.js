@@ -0,0 +1,510 @@
+const crypto = require('crypto');
+const endpoints = require('./endpoint');
+const EventEmitter = require('eventemitter3');
+const http = require('http');
+const logger = require('log4js').getLogger();
+const midi = require('./core');
+const parser = require('./parser');
+const tools = require('../tools');
+
+const PORT_DEFAULT = 8080;
+const NAME_DEFAULT = 'WebSocket';
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const PAYLOAD_MAX = 1024 * 1024;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_TOO_BIG = 1009;
+
+/**
+ * The server side of a WebSocket connection (RFC 6455), after the handshake. Emits a 'message' event with the
+ *  arguments (data {string|Buffer}, binary {boolean}) for each message, and a 'close' event once the connection ends.
+ */
+class Connection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - The upgraded socket.
+     * @param {Buffer} [head] - Bytes received after the handshake.
+     */
+    constructor(socket, head) {
+        super();
+        this._socket = socket;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = undefined;
+        this._closed = false;
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            this._onData(chunk);
+        });
+        socket.on('error', (err) => {
+            logger.debug(`WebSocket connection error. ${err}`);
+        });
+        socket.on('close', () => {
+            this._closed = true;
+            this.emit('close');
+        });
+        if (head && head.length) {
+            this._onData(head);
+        }
+    }
+
+    get remoteAddress() {
+        return this._socket.remoteAddress;
+    }
+
+    /**
+     * Send a message. Strings are sent as text, Buffers as binary.
+     * @param {string|Buffer} data
+     */
+    send(data) {
+        if (Buffer.isBuffer(data)) {
+            this._write(OPCODE_BINARY, data);
+        } else {
+            this._write(OPCODE_TEXT, Buffer.from(String(data), 'utf8'));
+        }
+    }
+
+    /**
+     * Close the connection.
+     * @param {number} [code=1000] - The close status code sent to the client.
+     */
+    close(code = CLOSE_NORMAL) {
+        if (this._closed) {
+            return;
+        }
+        let payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this._write(OPCODE_CLOSE, payload);
+        this._closed = true;
+        this._socket.end();
+    }
+
+    _write(opcode, payload) {
+        if (this._closed) {
+            return;
+        }
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+            header.writeUInt32BE(payload.length % 0x100000000, 6);
+        }
+        this._socket.write(Buffer.concat([header, payload]));
+    }
+
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+        while (!this._closed && this._buffer.length >= 2) {
+            let buffer = this._buffer;
+            let fin = (buffer[0] & 0x80) !== 0;
+            let opcode = buffer[0] & 0x0F;
+            let length = buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) {
+                    return;
+                }
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) {
+                    return;
+                }
+                length = (buffer.readUInt32BE(2) * 0x100000000) + buffer.readUInt32BE(6);
+                offset = 10;
+            }
+            if (!(buffer[1] & 0x80)) {
+                // Clients must mask every frame.
+                this.close(CLOSE_PROTOCOL_ERROR);
+                return;
+            }
+            if (length > PAYLOAD_MAX) {
+                this.close(CLOSE_TOO_BIG);
+                return;
+            }
+            if (buffer.length < offset + 4 + length) {
+                return;
+            }
+            let mask = buffer.slice(offset, offset + 4);
+            let payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i & 0x03];
+            }
+            this._buffer = buffer.slice(offset + 4 + length);
+            this._onFrame(fin, opcode, payload);
+        }
+    }
+
+    _onFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE_CONTINUATION:
+                if (!this._fragments) {
+                    this.close(CLOSE_PROTOCOL_ERROR);
+                    return;
+                }
+                this._fragments.payloads.push(payload);
+                if (fin) {
+                    let { opcode: first, payloads } = this._fragments;
+                    this._fragments = undefined;
+                    this._onMessage(first, Buffer.concat(payloads));
+                }
+                break;
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+                if (this._fragments) {
+                    this.close(CLOSE_PROTOCOL_ERROR);
+                    return;
+                }
+                if (fin) {
+                    this._onMessage(opcode, payload);
+                } else {
+                    this._fragments = { opcode, payloads: [payload] };
+                }
+                break;
+            case OPCODE_CLOSE:
+                this.close((payload.length >= 2) ? payload.readUInt16BE(0) : CLOSE_NORMAL);
+                break;
+            case OPCODE_PING:
+                this._write(OPCODE_PONG, payload);
+                break;
+            case OPCODE_PONG:
+                break;
+            default:
+                this.close(CLOSE_PROTOCOL_ERROR);
+        }
+    }
+
+    _onMessage(opcode, payload) {
+        if (opcode === OPCODE_TEXT) {
+            this.emit('message', payload.toString('utf8'), false);
+        } else {
+            this.emit('message', payload, true);
+        }
+    }
+}
+
+/**
+ * A browser or other WebSocket client, appearing as a MIDI device with a single port. Messages routed to the
+ *  client's output by the mappings are sent to it, and messages it sends without a `device` are received from
+ *  the client's input.
+ */
+class WebSocketClient extends endpoints.Endpoint {
+    /**
+     * @param {WebSocketServer} server
+     * @param {Connection} connection
+     * @param {string} name - The device name of the client.
+     * @param {boolean} binary - Send messages as binary frames of MIDI bytes rather than JSON.
+     */
+    constructor(server, connection, name, binary) {
+        super(name);
+        this._server = server;
+        this._connection = connection;
+        this._binary = binary;
+        this._parser = new parser.StreamParser();
+        this._devices = new Set();
+        this._types = undefined;
+        connection.on('message', (data, isBinary) => {
+            this._onMessage(data, isBinary);
+        });
+    }
+
+    /**
+     * The exposed devices this client is subscribed to.
+     * @returns {string[]}
+     */
+    get devices() {
+        return [... this._devices];
+    }
+
+    /**
+     * The message types sent to this client, or undefined if all types are sent.
+     * @returns {string[]|undefined}
+     */
+    get types() {
+        return (this._types) ? [... this._types] : undefined;
+    }
+
+    /**
+     * Send a message received from one of the server's exposed devices, if the client is subscribed to it.
+     * @param {string} device - The nickname of the device.
+     * @param {Message} message
+     */
+    forward(device, message) {
+        if (this._devices.has(device) && this._accepts(message.typeString)) {
+            this._reply({ device, bytes: message.bytes, time: Date.now() });
+        }
+    }
+
+    _accepts(type) {
+        return !this._types || this._types.has(type);
+    }
+
+    _reply(json) {
+        this._connection.send(JSON.stringify(json));
+    }
+
+    _send(port, bytes) {
+        if (!this._accepts(new midi.Message(bytes).typeString)) {
+            return;
+        }
+        if (this._binary) {
+            this._connection.send(Buffer.from(bytes));
+        } else {
+            this._reply({ bytes, time: Date.now() });
+        }
+    }
+
+    _onMessage(data, isBinary) {
+        if (isBinary) {
+            for (let bytes of this._parser.feed(data)) {
+                this._receive(0, bytes);
+            }
+            return;
+        }
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (err) {
+            this._reply({ error: 'Messages must be JSON objects.' });
+            return;
+        }
+        try {
+            if (json.subscribe) {
+                this._subscribe(json.subscribe);
+            } else if (json.unsubscribe) {
+                this._unsubscribe(json.unsubscribe);
+            } else if (Array.isArray(json.bytes)) {
+                let messages = new parser.StreamParser().feed(json.bytes);
+                if (!messages.length) {
+                    throw "'bytes' must contain complete MIDI messages.";
+                }
+                for (let bytes of messages) {
+                    if (json.device !== undefined) {
+                        this._server.sendTo(json.device, bytes, this);
+                    } else {
+                        this._receive(0, bytes);
+                    }
+                }
+            } else {
+                throw "Unknown request.";
+            }
+        } catch (err) {
+            this._reply({ error: String(err) });
+        }
+    }
+
+    _subscribe({ devices = [], types }) {
+        for (let device of devices) {
+            this._server.watch(device);
+            this._devices.add(device);
+        }
+        if (types === null) {
+            this._types = undefined;
+        } else if (types !== undefined) {
+            for (let type of types) {
+                if (midi.Message.typeFromString(type) === -1) {
+                    throw `Invalid message type: ${type}`;
+                }
+            }
+            this._types = new Set(types);
+        }
+        this._reply({ subscribed: { devices: this.devices, types: this.types } });
+    }
+
+    _unsubscribe(settings) {
+        if (settings === true) {
+            this._devices.clear();
+            this._types = undefined;
+        } else {
+            for (let device of settings.devices || []) {
+                this._devices.delete(device);
+            }
+        }
+        this._reply({ subscribed: { devices: this.devices, types: this.types } });
+    }
+}
+
+/**
+ * Serves MIDI to browser-based tools over WebSockets. Each connection appears as a device named after the `name`
+ *  query parameter of its URL (eg. `ws://pimidibox.local:8080/?name=Dashboard`), which mappings can route to and
+ *  from like any other device. Add `format=binary` to the URL to receive raw MIDI bytes instead of JSON.
+ *
+ * Clients send binary frames of MIDI bytes, or JSON text frames:
+ *  - `{"bytes": [144, 60, 100]}` - A message received from the client's device.
+ *  - `{"bytes": [144, 60, 100], "device": "Synth"}` - A message sent straight to one of the exposed devices.
+ *  - `{"subscribe": {"devices": ["Keys"], "types": ["noteon", "cc"]}}` - Receive the messages of exposed devices,
+ *      as `{"device": "Keys", "bytes": [...], "time": 1546300800000}`. `types` limits every message sent to the
+ *      connection, including those routed to it by the mappings.
+ *  - `{"unsubscribe": {"devices": ["Keys"]}}` or `{"unsubscribe": true}`.
+ */
+class WebSocketServer {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.port=8080] - Port to listen on.
+     * @param {string} [opts.host] - Address to listen on. Listens on all interfaces if not provided.
+     * @param {string[]} [opts.devices] - Nicknames of the devices clients may subscribe to and send to directly.
+     */
+    constructor({ port = PORT_DEFAULT, host, devices = [] } = {}) {
+        this._port = port;
+        this._host = host;
+        this._devices = [... devices];
+        this._clients = [];
+        this._watched = {};
+        this._server = undefined;
+    }
+
+    get config() {
+        let json = { port: this._port, devices: [... this._devices] };
+        if (this._host) {
+            json.host = this._host;
+        }
+        return json;
+    }
+
+    get clients() {
+        return [... this._clients];
+    }
+
+    /**
+     * Start listening for connections.
+     * @returns {Promise}
+     */
+    start() {
+        if (this._server) {
+            return Promise.resolve();
+        }
+        this._server = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain', 'Upgrade': 'websocket' });
+            res.end('WebSocket connections only.');
+        });
+        this._server.on('upgrade', (req, socket, head) => {
+            this._onUpgrade(req, socket, head);
+        });
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(this._port, this._host, () => {
+                this._server.off('error', reject);
+                this._server.on('error', (err) => {
+                    logger.error(`WebSocket server error.\n${err}`);
+                });
+                logger.info(`WebSocket server listening on port ${this._port}.`);
+                resolve();
+            });
+        }).catch((err) => {
+            this._server = undefined;
+            throw err;
+        });
+    }
+
+    /**
+     * Close all connections and stop listening.
+     */
+    stop() {
+        for (let client of this.clients) {
+            client._connection.close();
+            this._onClose(client);
+        }
+        for (let nickname in this._watched) {
+            let { input, handler } = this._watched[nickname];
+            input.unbind(handler);
+        }
+        this._watched = {};
+        if (this._server) {
+            this._server.close();
+            this._server = undefined;
+        }
+    }
+
+    /**
+     * Start forwarding the messages of an exposed device's input to its subscribers.
+     * @param {string} nickname
+     */
+    watch(nickname) {
+        let record = this._record(nickname);
+        if (this._watched[nickname]) {
+            return;
+        }
+        let input = midi.Core.openInputs(undefined, record)[0];
+        let handler = (device, message) => {
+            for (let client of this._clients) {
+                client.forward(nickname, message);
+            }
+        };
+        input.bind(handler);
+        this._watched[nickname] = { input, handler };
+    }
+
+    /**
+     * Send a message straight to an exposed device's output.
+     * @param {string} nickname
+     * @param {number[]} bytes
+     * @param {WebSocketClient} client - The client sending the message.
+     */
+    sendTo(nickname, bytes, client) {
+        let output = midi.Core.openOutputs(this._record(nickname))[0];
+        output.sendMessage(bytes, undefined, { source: client });
+    }
+
+    _record(nickname) {
+        let record = (this._devices.indexOf(nickname) > -1) ? midi.PortIndex.get(nickname) : undefined;
+        if (!record) {
+            throw `Device ${nickname} is not available.`;
+        }
+        return record;
+    }
+
+    _onUpgrade(req, socket, head) {
+        let key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers['upgrade']).toLowerCase() !== 'websocket'
+            || req.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        let accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        let query = new URL(req.url, 'http://localhost').searchParams;
+        let name = (query.get('name') || NAME_DEFAULT).replace(/[^\w\s-]/g, '').trim() || NAME_DEFAULT;
+        let connection = new Connection(socket, head);
+        let client = new WebSocketClient(this, connection, name, query.get('format') === 'binary');
+        connection.on('close', () => {
+            this._onClose(client);
+        });
+        this._clients.push(client);
+        endpoints.Manager.add(client);
+        client.open();
+        logger.info(`WebSocket client ${client.portName(0)} connected from ${connection.remoteAddress}.`);
+        client._reply({ name: client.portName(0), devices: [... this._devices] });
+    }
+
+    _onClose(client) {
+        if (this._clients.indexOf(client) === -1) {
+            return;
+        }
+        tools.removeFromArray(client, this._clients);
+        logger.info(`WebSocket client ${client.portName(0)} disconnected.`);
+        midi.Core.releaseNotes({ source: client });
+        client.close();
+        endpoints.Manager.remove(client);
+    }
+}
+
+module.exports = { PORT_DEFAULT, WebSocketClient, WebSocketServer };
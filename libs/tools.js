@@ -27,13 +27,24 @@ let tools = {
         return (+now[0] * 1e9) + (+now[1]);
     },
 
+    /**
+     * Format a date as a local time stamp for file names, eg. "20190521-143005".
+     * @param {Date} date
+     * @returns {string}
+     */
+    timestamp(date) {
+        let pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+            + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    },
+
     /**
      * Recursively freeze the contents of a given object.
      * @param {Object} obj
      * @returns {Object} A frozen version of the given object.
      */
     deepFreeze(obj) {
-        let result = {};
+        let result = (Array.isArray(obj)) ? [] : {};
         for (let { 0: key, 1: value } of Object.entries(obj)) {
             result[key] = (value && typeof value === 'object') ? tools.deepFreeze(value) : value;
         }
@@ -59,6 +70,18 @@ let tools = {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     },
 
+    /**
+     * Convert a glob pattern into a regular expression. Supports `*` (any characters) and `?` (any single character).
+     * @param {string} glob
+     * @returns {RegExp}
+     */
+    globToRegExp(glob) {
+        let pattern = glob.split('*').map((part) => {
+            return part.split('?').map((piece) => tools.escapeRegExp(piece)).join('.');
+        }).join('.*');
+        return new RegExp(`^${pattern}$`);
+    },
+
     isEmpty(obj) {
         if (typeof obj === 'undefined' || obj === null) {
             return true;
@@ -95,6 +118,27 @@ let tools = {
         return value !== Object(value);
     },
 
+    /**
+     * Compare two values by their contents, such as two pieces of configuration json.
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean} true if the values are equal; Objects are equal if they have the same keys and values,
+     *      regardless of key order.
+     */
+    isEqual(a, b) {
+        if (tools.isPrimitive(a) || tools.isPrimitive(b)) {
+            return a === b;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+        let keys = Object.keys(a).filter((key) => a[key] !== undefined);
+        if (keys.length !== Object.keys(b).filter((key) => b[key] !== undefined).length) {
+            return false;
+        }
+        return keys.every((key) => tools.isEqual(a[key], b[key]));
+    },
+
     /**
      * Tests all passed objects to determine they are not undefined or null.
      * @param {Object[]} objects
@@ -74,6 +74,18 @@ class UsbDevice {
     get info() {
         return this._info;
     }
+
+    get vendorId() {
+        return this._info.vendorId;
+    }
+
+    get productId() {
+        return this._info.productId;
+    }
+
+    get serialNumber() {
+        return this._info.serialNumber;
+    }
 }
 
 class UsbMonitor {
@@ -113,6 +125,16 @@ class UsbMonitor {
             || tools.removeFromArray(handler, this._usbHandlers);
     }
 
+    /**
+     * Get all USB devices currently connected to the system.
+     * @returns {Promise<UsbDevice[]>}
+     */
+    findDevices() {
+        return usbDetect.find().then((devices) => {
+            return devices.map((device) => new UsbDevice(device));
+        });
+    }
+
     watchDevices(usbHandler) {
         if (this._usbHandlers.indexOf(usbHandler) > -1) {
             return;
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const midi = require('../libs/midi/core');
+const { Router } = require('../libs/midi/router');
+
+const wait = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let filePath = path.join(os.tmpdir(), `pimidibox-bus-${process.pid}.json`);
+
+// Keys feed a bus that every other mapping listens to.
+const config = (mappings = {}) => ({
+    devices: {
+        Keys: { name: 'Keys', port: 0 },
+        Synth: { name: 'Synth', port: 0 },
+        Lead: { name: 'Lead', port: 0 },
+        Layer: { name: 'Layer', bus: true },
+        Spare: { name: 'Spare', bus: true }
+    },
+    mappings: Object.assign({
+        keys: { inputs: ['Keys'], outputs: ['Layer'] },
+        low: { inputs: ['Layer'], outputs: ['Synth'] },
+        high: { inputs: ['Layer'], outputs: [{ device: 'Lead', transpose: { step: 1 } }] }
+    }, mappings),
+    options: {
+        hotplug: false,
+        syncConfigToUsb: false,
+        backend: {
+            type: 'loopback',
+            devices: [{ name: 'Keys', echo: false }, { name: 'Synth', echo: false }, { name: 'Lead', echo: false }]
+        }
+    }
+});
+
+// A mapping feeding the bus it listens to, and a pair of mappings feeding each other's bus.
+const cycles = [
+    { loop: { inputs: ['Layer'], outputs: ['Synth', 'Layer'] } },
+    { there: { inputs: ['Layer'], outputs: ['Spare'] }, back: { inputs: ['Spare'], outputs: [{ device: 'Layer' }] } }
+];
+
+const load = (router, json, reload = false) => {
+    fs.writeFileSync(filePath, JSON.stringify(json));
+    return (reload) ? router.reloadConfig(filePath) : router.loadConfig(filePath);
+};
+
+const rejected = (promise) => promise.then(() => {
+    throw new Error('A configuration with a bus cycle was loaded.');
+}, (err) => {
+    assert.ok(/Mappings form a cycle through buses/.test(err), err);
+});
+
+let router = new Router();
+let received = [];
+
+// Configurations with a cycle are not loaded.
+rejected(load(router, config(cycles[0]))).then(() => {
+    return rejected(load(router, config(cycles[1])));
+}).then(() => {
+    return load(router, config());
+}).then(() => {
+    let backend = midi.Core.backend;
+    for (let name of ['Synth', 'Lead']) {
+        backend.getDevice(name).on('receive', (port, bytes) => received.push([name, bytes]));
+    }
+    // A bus feeds every mapping listening to it.
+    backend.getDevice('Keys').inject(0, [0x90, 60, 100]);
+    return wait();
+}).then(() => {
+    assert.deepStrictEqual(received.sort(), [['Lead', [0x90, 72, 100]], ['Synth', [0x90, 60, 100]]]);
+    // Reloading a configuration with a cycle keeps the running one.
+    return rejected(load(router, config(cycles[0]), true));
+}).then(() => {
+    return rejected(load(router, config(cycles[1]), true));
+}).then(() => {
+    assert.deepStrictEqual(Object.keys(router.mappings).sort(), ['high', 'keys', 'low']);
+    received = [];
+    midi.Core.backend.getDevice('Keys').inject(0, [0x80, 60, 0]);
+    return wait();
+}).then(() => {
+    assert.deepStrictEqual(received.sort(), [['Lead', [0x80, 72, 0]], ['Synth', [0x80, 60, 0]]]);
+    router.onExit();
+    fs.unlinkSync(filePath);
+    console.log('bus: ok');
+}).catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
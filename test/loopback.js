@@ -0,0 +1,79 @@
+const assert = require('assert');
+const midi = require('../libs/midi/core');
+const { PortRecord } = midi;
+
+const wait = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+midi.Core.backend = { type: 'loopback', devices: [{ name: 'Synth', echo: true }] };
+let backend = midi.Core.backend;
+assert.strictEqual(midi.Core.hotplug, false);
+
+let received = [];
+const record = (input, message) => {
+    received.push([input.nickname, message.bytes]);
+};
+
+Promise.resolve().then(() => {
+    // Messages sent to a device are echoed back to the inputs opened on it.
+    let written = [];
+    backend.getDevice('Synth').on('receive', (port, bytes) => written.push(bytes));
+    let [input] = midi.Core.openInputs(undefined, new PortRecord('Synth', 0, 'SynthIn'));
+    let [output] = midi.Core.openOutputs(new PortRecord('Synth', 0, 'SynthOut'));
+    assert.ok(input.isAttached && output.isAttached);
+    input.bind(record);
+    output.sendMessage(new midi.Message([0x90, 60, 100]));
+    return wait().then(() => {
+        assert.deepStrictEqual(written, [[0x90, 60, 100]]);
+        assert.deepStrictEqual(received, [['SynthIn', [0x90, 60, 100]]]);
+        midi.Core.close(input, output);
+    });
+}).then(() => {
+    // Devices connected later are attached without USB hotplug, and detached when they are removed.
+    received = [];
+    let events = [];
+    midi.Core.on('attach', (io) => events.push(['attach', io.nickname]));
+    midi.Core.on('detach', (io) => events.push(['detach', io.nickname]));
+    let keys = backend.createDevice('Keys', { echo: false });
+    let [input] = midi.Core.openInputs(undefined, new PortRecord('Keys', 0, 'Keys'));
+    input.bind(record);
+    assert.strictEqual(input.isAttached, false);
+    keys.plug();
+    return wait().then(() => {
+        assert.strictEqual(input.isAttached, true);
+        keys.inject(0, [0xB0, 7, 64]);
+        return wait();
+    }).then(() => {
+        assert.deepStrictEqual(received, [['Keys', [0xB0, 7, 64]]]);
+        keys.unplug();
+        return wait();
+    }).then(() => {
+        assert.strictEqual(input.isAttached, false);
+        assert.deepStrictEqual(events, [['attach', 'Keys'], ['detach', 'Keys']]);
+        midi.Core.removeAllListeners('attach');
+        midi.Core.removeAllListeners('detach');
+        midi.Core.close(input);
+    });
+}).then(() => {
+    // Virtual ports appear as a device other software can send to and receive from.
+    received = [];
+    let { inputs, outputs } = midi.Core.openVirtualPorts(new PortRecord('Virtual', 0, 'Virtual', { virtual: true }));
+    let device = backend.getDevice('Virtual');
+    assert.ok(device && device.plugged);
+    inputs[0].bind(record);
+    let other = new midi.Input().open('Virtual', 0, 'Other');
+    other.bind(record);
+    device.write(0, [0xC0, 5]);
+    outputs[0].sendMessage(new midi.Message([0x80, 60, 0]));
+    return wait().then(() => {
+        assert.deepStrictEqual(received, [['Virtual', [0xC0, 5]], ['Other', [0x80, 60, 0]]]);
+        other.close();
+        midi.Core.close(... inputs, ... outputs);
+        assert.strictEqual(backend.getDevice('Virtual'), undefined);
+    });
+}).then(() => {
+    midi.Core.onExit();
+    console.log('loopback: ok');
+}).catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
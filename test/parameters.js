@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { Message, ParameterAssembler, ParameterMessage } = require('../libs/midi/core');
+
+const cc = (controller, value, channel = 0) => new Message([0xB0 + channel, controller, value]);
+
+// Parameter messages are described by their type, channel, parameter, value and fine flag; Others by their bytes.
+const describe = (message) => {
+    if (message instanceof ParameterMessage) {
+        return [message.typeString, message.channel, message.parameter, message.value, message.fine];
+    }
+    return message.bytes;
+};
+
+const feed = (assembler, ... messages) => {
+    return [].concat(... messages.map((message) => assembler.process(message))).map(describe);
+};
+
+// Messages are sent as the same cc sequences they are assembled from.
+assert.deepStrictEqual(new ParameterMessage('rpn', { channel: 2, parameter: 0, value: 0x101 }).bytes,
+    [0xB2, 101, 0, 0xB2, 100, 0, 0xB2, 6, 2, 0xB2, 38, 1]);
+assert.deepStrictEqual(new ParameterMessage('nrpn', { parameter: 0x81, value: 0x200, fine: false }).packets,
+    [[0xB0, 99, 1], [0xB0, 98, 1], [0xB0, 6, 4]]);
+assert.deepStrictEqual(new ParameterMessage('cc14', { parameter: 40, value: 0x3FFF }).packets,
+    [[0xB0, 31, 127], [0xB0, 63, 127]]);
+
+// Selection and data entry become a single message.
+let assembler = new ParameterAssembler();
+assert.deepStrictEqual(feed(assembler, cc(101, 0), cc(100, 0), cc(6, 2), cc(38, 1)), [['rpn', 0, 0, 0x101, true]]);
+assert.deepStrictEqual(feed(assembler, cc(99, 1, 3), cc(98, 2, 3), cc(6, 0, 3), cc(38, 5, 3)),
+    [['nrpn', 3, 0x82, 5, true]]);
+
+// A data entry MSB without its LSB is passed along before the next message on its channel.
+let clock = new Message([0xF8]);
+let note = new Message([0x90, 60, 100]);
+assert.deepStrictEqual(feed(assembler, cc(6, 3), clock, new Message([0x91, 60, 100])), [[0xF8], [0x91, 60, 100]]);
+assert.deepStrictEqual(feed(assembler, note), [['rpn', 0, 0, 0x180, false], [0x90, 60, 100]]);
+
+// An LSB sent before its MSB completes the value last entered; The MSB that follows starts a new one.
+assert.deepStrictEqual(feed(assembler, cc(38, 9), cc(6, 4), note),
+    [['rpn', 0, 0, 0x189, true], ['rpn', 0, 0, 0x200, false], [0x90, 60, 100]]);
+
+// Increments and decrements step the value in its LSB, or its MSB when it was entered without one.
+assert.deepStrictEqual(feed(assembler, cc(38, 0), cc(96, 0), cc(96, 0), cc(97, 0)),
+    [['rpn', 0, 0, 0x200, true], ['rpn', 0, 0, 0x201, true], ['rpn', 0, 0, 0x202, true], ['rpn', 0, 0, 0x201, true]]);
+assert.deepStrictEqual(feed(assembler, cc(6, 1), cc(97, 0), cc(97, 0)),
+    [['rpn', 0, 0, 0x80, false], ['rpn', 0, 0, 0, false], ['rpn', 0, 0, 0, false]]);
+// Nothing is known of a newly selected parameter's value, so its increments are passed along as they are.
+assert.deepStrictEqual(feed(assembler, cc(100, 1), cc(96, 0)), [[0xB0, 96, 0]]);
+
+// The null parameter is passed along, and so is the data entry after it.
+assert.deepStrictEqual(feed(assembler, cc(101, 127), cc(100, 127), cc(6, 10), cc(96, 0), cc(101, 127)),
+    [[0xB0, 101, 127], [0xB0, 100, 127], [0xB0, 6, 10], [0xB0, 96, 0]]);
+assert.deepStrictEqual(feed(assembler, cc(99, 127)), [[0xB0, 99, 127], [0xB0, 98, 127]]);
+
+// Other controllers, and the sequences of disabled parameter types, are passed along untouched.
+assert.deepStrictEqual(feed(assembler, cc(7, 100), cc(64, 127), cc(1, 10), cc(33, 5)),
+    [[0xB0, 7, 100], [0xB0, 64, 127], [0xB0, 1, 10], [0xB0, 33, 5]]);
+assembler = new ParameterAssembler({ rpn: false, cc14: [1] });
+assert.deepStrictEqual(feed(assembler, cc(101, 0), cc(100, 0), cc(6, 2), cc(38, 1), cc(96, 0)),
+    [[0xB0, 101, 0], [0xB0, 100, 0], [0xB0, 6, 2], [0xB0, 38, 1], [0xB0, 96, 0]]);
+
+// Listed 14-bit controllers are paired with their LSB controller.
+assert.deepStrictEqual(feed(assembler, cc(1, 10), cc(33, 5), cc(2, 10), cc(34, 5), cc(33, 6)),
+    [['cc14', 0, 1, 0x505, true], [0xB0, 2, 10], [0xB0, 34, 5], ['cc14', 0, 1, 0x506, true]]);
+
+// A held value is emitted by itself if nothing follows it, but not once the assembler is reset.
+let emitted = [];
+assembler.on('message', (message) => emitted.push(describe(message)));
+assert.deepStrictEqual(feed(assembler, cc(1, 20, 5)), []);
+setTimeout(() => {
+    assert.deepStrictEqual(emitted, [['cc14', 5, 1, 0xA00, false]]);
+    feed(assembler, cc(1, 30));
+    assembler.reset();
+    setTimeout(() => {
+        assert.strictEqual(emitted.length, 1);
+        console.log('parameters: ok');
+    }, 50);
+}, 50);
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const { RunningStatusEncoder, StreamParser } = require('../libs/midi/parser');
+
+const parse = (... chunks) => {
+    let parser = new StreamParser();
+    return [].concat(... chunks.map((chunk) => parser.feed(chunk)));
+};
+
+// Data bytes following a channel message reuse its status.
+assert.deepStrictEqual(parse([0x90, 60, 100, 62, 100, 64, 0]), [[0x90, 60, 100], [0x90, 62, 100], [0x90, 64, 0]]);
+assert.deepStrictEqual(parse([0xC1, 5, 6], [7]), [[0xC1, 5], [0xC1, 6], [0xC1, 7]]);
+assert.deepStrictEqual(parse([0x90, 60], [100, 62], [100]), [[0x90, 60, 100], [0x90, 62, 100]]);
+
+// Sysex split across chunks is put back together, and cancels the running status.
+let sysex = [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7];
+assert.deepStrictEqual(parse([0x90, 60, 100, 0xF0, 0x7E], [0x7F, 0x06], [0x01, 0xF7, 62, 100]), [[0x90, 60, 100], sysex]);
+assert.deepStrictEqual(parse([0xF0], [0xF7]), [[0xF0, 0xF7]]);
+
+// Realtime bytes are passed on as they arrive without interrupting the message they appear in.
+assert.deepStrictEqual(parse([0x90, 0xF8, 60, 0xFE, 100, 62, 0xF8], [100]),
+    [[0xF8], [0xFE], [0x90, 60, 100], [0xF8], [0x90, 62, 100]]);
+assert.deepStrictEqual(parse([0xF0, 0x7E, 0xF8], [0x7F, 0x06, 0x01, 0xFA, 0xF7]), [[0xF8], [0xFA], sysex]);
+assert.deepStrictEqual(parse([0xB0, 7, 0xF8, 100, 0xFC, 8, 0]), [[0xF8], [0xB0, 7, 100], [0xFC], [0xB0, 8, 0]]);
+
+// Data bytes with no status to apply to are dropped.
+assert.deepStrictEqual(parse([60, 100, 0x80, 60, 0]), [[0x80, 60, 0]]);
+assert.deepStrictEqual(parse([0xF0, 0x01, 0xF7, 60, 100]), [[0xF0, 0x01, 0xF7]]);
+assert.deepStrictEqual(parse([0x90, 60, 100, 0xF6, 62, 100]), [[0x90, 60, 100], [0xF6]]);
+assert.deepStrictEqual(parse([0xF7, 60, 100]), []);
+
+// A status byte ends an unterminated sysex, which is discarded.
+assert.deepStrictEqual(parse([0xF0, 0x01, 0x02, 0x90, 60, 100]), [[0x90, 60, 100]]);
+assert.deepStrictEqual(parse([0xF0, 0x01, 0xF0, 0x02, 0xF7]), [[0xF0, 0x02, 0xF7]]);
+
+// Oversized sysex is dropped along with the rest of its data.
+assert.deepStrictEqual(new StreamParser({ maxSysexLength: 4 }).feed([0xF0, 1, 2, 3, 4, 5, 0xF7, 0xF8]), [[0xF8]]);
+
+// Encoded streams parse back to the messages they were encoded from.
+let messages = [[0x90, 60, 100], [0x90, 62, 100], [0xF8], [0x90, 64, 100], [0xF2, 0, 8], [0x90, 60, 0], [0xC0, 1]];
+let encoder = new RunningStatusEncoder();
+let stream = [].concat(... messages.map((bytes) => encoder.encode(bytes)));
+assert.deepStrictEqual(stream, [0x90, 60, 100, 62, 100, 0xF8, 64, 100, 0xF2, 0, 8, 0x90, 60, 0, 0xC0, 1]);
+assert.deepStrictEqual(parse(stream), messages);
+
+console.log('parser: ok');
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const { Player } = require('../libs/midi/player');
+const { MidiFile, Track } = require('../libs/midi/smf');
+
+/**
+ * Stands in for a Clock, with ticks sent by the test.
+ */
+class TestClock extends EventEmitter {
+    constructor(outputs) {
+        super();
+        this.outputs = outputs;
+        this.ppqn = 24;
+        this.tempo = 120;
+        this.playing = false;
+        this.paused = false;
+    }
+
+    play() {
+        this.playing = true;
+    }
+}
+
+let sent = [];
+let output = {
+    sendMessage(bytes) {
+        sent.push(bytes);
+    }
+};
+
+// A bar of 4/4 at 96 ticks per quarter note, ending with a note-off on its last tick.
+let filePath = path.join(os.tmpdir(), `pimidibox-player-${process.pid}.mid`);
+new MidiFile({ format: 0, division: 96, tracks: [new Track([
+    { tick: 0, bytes: [0x90, 0x3E, 0x64] },
+    { tick: 384, bytes: [0x80, 0x3E, 0x00] }
+])] }).save(filePath);
+
+let clock = new TestClock([output]);
+let player = new Player(clock, { file: filePath, loop: true });
+let loops = 0;
+player.on('loop', () => loops++);
+player.play();
+// Each pulse spans 4 ticks of the file, so the bar is 96 pulses long; Play it twice.
+for (let pulse = 0; pulse < 192; pulse++) {
+    clock.emit('tick');
+}
+
+setTimeout(() => {
+    player.detach();
+    require('fs').unlinkSync(filePath);
+    assert.strictEqual(loops, 2);
+    assert.deepStrictEqual(sent, [
+        [0x90, 0x3E, 0x64], [0x80, 0x3E, 0x00],
+        [0x90, 0x3E, 0x64], [0x80, 0x3E, 0x00],
+        [0x90, 0x3E, 0x64]
+    ]);
+    console.log('player: ok');
+}, 100);
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { Message } = require('../libs/midi/core');
+const ump = require('../libs/midi/ump');
+
+const decode = (words) => new ump.Decoder().decode(words).map((message) => message.bytes);
+
+// Channel voice messages survive a round trip through MIDI 1.0 and MIDI 2.0 packets.
+for (let bytes of [[0x90, 60, 100], [0x81, 62, 0], [0xB3, 7, 127], [0xC5, 12], [0xE0, 0x00, 0x40]]) {
+    for (let protocol of [ump.Protocol.MIDI1, ump.Protocol.MIDI2]) {
+        let packets = ump.encode(new Message(bytes), { protocol });
+        assert.deepStrictEqual(decode([].concat(... packets)), [bytes], `${bytes} with protocol ${protocol}`);
+    }
+}
+
+// Sysex split across several packets is put back together.
+let sysex = [0xF0, 0x7E, 0x7F, 0x06, 0x02, 0x00, 0x20, 0x29, 0x01, 0x02, 0x03, 0xF7];
+assert.deepStrictEqual(decode([].concat(... ump.encode(new Message(sysex)))), [sysex]);
+
+// Complete sysex7 packets with 0 or 1 payload bytes are valid.
+assert.deepStrictEqual(decode([0x30000000, 0]), [[0xF0, 0xF7]]);
+assert.deepStrictEqual(decode([0x30017E00, 0]), [[0xF0, 0x7E, 0xF7]]);
+assert.deepStrictEqual(ump.encode(new Message([0xF0, 0xF7])), [[0x30000000, 0]]);
+
+console.log('ump: ok');
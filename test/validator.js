@@ -0,0 +1,152 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const midi = require('../libs/midi/core');
+const { Configuration, Router } = require('../libs/midi/router');
+const { Validator } = require('../libs/midi/validator');
+
+// A configuration with two devices and a mapping between them, with the given sections replaced.
+const config = (sections = {}) => Object.assign({
+    devices: { Keys: { name: 'Keys', port: 0 }, Synth: { name: 'Synth', port: 0 } },
+    mappings: { Main: { inputs: ['Keys'], outputs: ['Synth'] } }
+}, sections);
+
+const check = (json) => {
+    let validator = new Validator();
+    new Configuration().validate(json, validator);
+    return validator;
+};
+
+// The paths of the problems found.
+const problems = (json) => check(json).problems.map(({ path }) => path);
+
+const device = (json) => problems(config({ devices: { Keys: json, Synth: { name: 'Synth' } } }));
+const mapping = (json) => {
+    return problems(config({ mappings: { Main: Object.assign({ inputs: ['Keys'], outputs: ['Synth'] }, json) } }));
+};
+
+assert.deepStrictEqual(problems(config()), []);
+assert.deepStrictEqual(problems([]), ['(root)']);
+assert.deepStrictEqual(problems(config({ device: {}, ignore: ['Through', 1] })), ['device', 'ignore[1]']);
+
+// Devices
+for (let json of [
+    { name: 'Keys', port: 1 },
+    { name: 'Keys', port: '*' },
+    { name: 'Keys', port: '2' },
+    { name: '/^Keys/i', port: '*' },
+    { usb: { vendorId: '1235', productId: '0001' } },
+    { identity: { manufacturer: [0x00, 0x20, 0x29] } },
+    { name: 'Keys', virtual: true },
+    { name: 'Keys', serial: '/dev/ttyAMA0' },
+    { name: 'Keys', serial: { path: '/dev/ttyAMA0', baudRate: 31250 } },
+    { name: 'Keys', bus: true },
+    { name: 'Keys', queue: { rate: 1000 } }
+]) {
+    assert.deepStrictEqual(device(json), [], JSON.stringify(json));
+}
+assert.deepStrictEqual(device({}), ['devices.Keys']);
+assert.deepStrictEqual(device({ name: 'Keys', port: -1 }), ['devices.Keys.port']);
+assert.deepStrictEqual(device({ name: 'Keys', port: 1.5 }), ['devices.Keys.port']);
+assert.deepStrictEqual(device({ name: 'Keys', port: 'any' }), ['devices.Keys.port']);
+assert.deepStrictEqual(device({ name: 7, virtual: 'yes', bus: 1 }), ['devices.Keys.name', 'devices.Keys.virtual',
+    'devices.Keys.bus']);
+assert.deepStrictEqual(device({ name: 'Keys', serial: {}, usb: 'Keys', colour: 'red' }), ['devices.Keys.colour',
+    'devices.Keys.usb', 'devices.Keys.serial.path']);
+assert.deepStrictEqual(check(config({ devices: { Keys: { name: 'Keys', port: 'any' } } })).problems[0].message,
+    'Expected a port number or "*", found "any".');
+
+// Mappings
+for (let json of [
+    { listen: { sysex: true, clock: false, parameters: true } },
+    { listen: { parameters: { rpn: true, nrpn: false, cc14: [1, 31] } } },
+    { outputs: ['Synth', { device: 'Synth', transpose: { step: 1 } }] },
+    { channels: { whitelist: [1, 2], map: { 1: 3 }, parameters: { nrpn: [10, 11], cc14: [7] } } },
+    { velocity: { min: 10, max: 120, mode: 'clip', adjusters: { max: { channel: 0, controller: 7 } } } },
+    { chord: { chord: 'MAJOR3' }, muted: true, feedback: 'Keys' },
+    { adjusters: { mute: { channel: 0, controller: 20 }, muteNote: { channel: 0, note: 36 } } }
+]) {
+    assert.deepStrictEqual(mapping(json), [], JSON.stringify(json));
+}
+assert.deepStrictEqual(mapping({ inputs: ['Piano'], outputs: 'Synth' }), ['mappings.Main.inputs[0]',
+    'mappings.Main.outputs']);
+assert.deepStrictEqual(mapping({ outputs: [{ device: 'Synth', colour: 'red' }, 3] }), [
+    'mappings.Main.outputs[0].colour', 'mappings.Main.outputs[1]']);
+assert.deepStrictEqual(mapping({ listen: { sysex: 'yes', parameters: { rpn: 1, cc14: [32], all: true } } }), [
+    'mappings.Main.listen.sysex', 'mappings.Main.listen.parameters.all', 'mappings.Main.listen.parameters.rpn',
+    'mappings.Main.listen.parameters.cc14[0]']);
+assert.deepStrictEqual(mapping({ channels: { whitelist: [17], parameters: { rpn: [16384], cc14: [32] } } }), [
+    'mappings.Main.channels.whitelist[0]', 'mappings.Main.channels.parameters.rpn[0]',
+    'mappings.Main.channels.parameters.cc14[0]']);
+assert.deepStrictEqual(mapping({ adjusters: { volume: { channel: 0, controller: 7 } }, muted: 1, feedback: 'Piano' }),
+    ['mappings.Main.adjusters.volume', 'mappings.Main.muted', 'mappings.Main.feedback']);
+assert.deepStrictEqual(mapping({ velocity: { adjusters: { max: { channel: 0, controller: 128 } } } }), [
+    'mappings.Main.velocity.adjusters.max.controller']);
+
+// Clock
+assert.deepStrictEqual(problems(config({ clock: { inputs: ['Keys'], outputs: ['Synth'], bpm: 90, ppqn: 24,
+    patternLength: 16, tapEnabled: true, analog: { enabled: false, volume: 50 } } })), []);
+assert.deepStrictEqual(problems(config({ clock: { inputs: ['Piano'], bpm: 'fast', ppqn: 0, tapEnabled: 1,
+    analog: { volume: 101 }, swing: true } })), ['clock.swing', 'clock.inputs[0]', 'clock.bpm', 'clock.ppqn',
+    'clock.tapEnabled', 'clock.analog.volume']);
+
+// Scenes
+assert.deepStrictEqual(problems(config({ scenes: { Verse: {}, Chorus: { program: 5, mappings: ['Main'], bpm: 100,
+    filters: { Main: { transpose: { step: 1 } } } } } })), []);
+assert.deepStrictEqual(problems(config({ scenes: { Verse: { program: 1 }, Chorus: { mappings: ['Bass'],
+    filters: { Bass: {}, Main: { colour: {} } } } } })), ['scenes.Chorus.mappings[0]', 'scenes.Chorus.filters.Bass',
+    'scenes.Chorus.filters.Main.colour', 'scenes.Chorus']);
+
+// Sysex
+assert.deepStrictEqual(problems(config({ sysex: [{ path: 'patch.syx', output: 'Synth' },
+    { dump: 'Lead', device: 'Synth' }] })), []);
+assert.deepStrictEqual(problems(config({ sysex: [{ output: 'Synth' }, { dump: 'Lead' }, 'patch.syx'] })), [
+    'sysex[0].path', 'sysex[1].device', 'sysex[2]']);
+
+// Options
+assert.deepStrictEqual(problems(config({ options: { hotplug: false, backend: 'loopback', recorder: true,
+    adjusters: { panic: { channel: 0, controller: 102 } }, sceneSelect: { input: 'Keys', channel: 16 } } })), []);
+assert.deepStrictEqual(problems(config({ options: { hotplug: 'no', backend: 3, websocket: { devices: ['Piano'] },
+    sceneSelect: { input: 'Piano', channel: 0, initial: 'Verse' }, colour: 'red' } })), ['options.colour',
+    'options.hotplug', 'options.backend', 'options.websocket.devices[0]', 'options.sceneSelect.input',
+    'options.sceneSelect.channel', 'options.sceneSelect.initial']);
+
+// Adjusters mapped to controllers that inputs assemble into parameter messages are valid, but warned of.
+let validator = check(config({
+    mappings: { Main: { inputs: ['Keys'], outputs: ['Synth'], listen: { parameters: { nrpn: false } } } },
+    options: { adjusters: { panic: { channel: 0, controller: 100 }, record: { channel: 0, controller: 98 } } }
+}));
+assert.ok(validator.valid);
+assert.deepStrictEqual(validator.warnings.map(({ path }) => path), ['options.adjusters.panic']);
+
+// A device matching any port is loaded, bound to a connected port and saved as it was configured.
+let filePath = path.join(os.tmpdir(), `pimidibox-validator-${process.pid}.json`);
+fs.writeFileSync(filePath, JSON.stringify(config({
+    devices: { Keys: { name: 'Keys', port: '*' }, Synth: { name: 'Synth', port: 0 } },
+    options: {
+        hotplug: false,
+        syncConfigToUsb: false,
+        backend: {
+            type: 'loopback',
+            devices: [{ name: 'Keys', ports: 2, echo: false }, { name: 'Synth', echo: false }]
+        }
+    }
+})));
+let router = new Router();
+let received = [];
+router.loadConfig(filePath).then(() => {
+    let backend = midi.Core.backend;
+    backend.getDevice('Synth').on('receive', (port, bytes) => received.push(bytes));
+    backend.getDevice('Keys').inject(0, [0x90, 60, 100]);
+    return new Promise((resolve) => setTimeout(resolve, 20));
+}).then(() => {
+    assert.deepStrictEqual(received, [[0x90, 60, 100]]);
+    assert.strictEqual(router.config.devices.Keys.port, '*');
+    router.onExit();
+    fs.unlinkSync(filePath);
+    console.log('validator: ok');
+}).catch((err) => {
+    console.error(err);
+    process.exit(1);
+});